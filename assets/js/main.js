@@ -20,9 +20,31 @@ async function initializeWebsite() {
     // Determine current page
     currentPage = getCurrentPage();
 
+    // Restore language preference
+    initializeLanguage();
+
+    // Consent banner and scripts waiting for consent
+    initializeConsent();
+
+    // Remember landing campaign for marketplace links and analytics
+    initializeCampaignAttribution();
+
+    // Page view and automatic events (sent only after consent)
+    initializeAnalytics();
+
     // Load components
     await loadComponents();
 
+    // Render data-driven sections
+    await initializeProductCatalog();
+    await initializeTeamDirectory();
+    await initializeRecipes();
+    await initializeLocator();
+    await initializeReviews();
+
+    // Translate static markup and loaded components
+    applyTranslations();
+
     // Initialize navigation
     initializeNavigation();
 
@@ -32,6 +54,9 @@ async function initializeWebsite() {
     // Initialize scroll effects
     initializeScrollEffects();
 
+    // Offline support and update prompts
+    initializeServiceWorker();
+
     console.log("🎉 Amissa SweetCare website initialized successfully!");
   } catch (error) {
     console.error("❌ Error initializing website:", error);
@@ -49,42 +74,232 @@ function getCurrentPage() {
 }
 
 /**
- * Load navbar and footer components from partials folder
+ * Component Loader
  */
-async function loadComponents() {
-  const components = [
-    { id: "navbar-container", file: "partials/navbar.html" },
-    { id: "footer-container", file: "partials/footer.html" },
-  ];
 
-  const loadPromises = components.map(async (component) => {
-    try {
-      const response = await fetch(component.file);
-      if (!response.ok) {
-        throw new Error(`Failed to load ${component.file}: ${response.status}`);
-      }
+// Shared partials and the element extracted from each (partials double as
+// standalone preview pages, so only the component itself is inserted)
+const COMPONENTS = [
+  { id: "navbar-container", file: "partials/navbar.html", select: "nav" },
+  { id: "footer-container", file: "partials/footer.html", select: "footer" },
+];
 
-      const html = await response.text();
-      const container = document.getElementById(component.id);
+// Bump when partials change so copies cached in sessionStorage are refetched
+const PARTIAL_CACHE_VERSION = "4";
+const PARTIAL_CACHE_PREFIX = "amissa-partial:";
+const MAX_INCLUDE_DEPTH = 5;
 
-      if (container) {
-        container.innerHTML = html;
-        console.log(`✅ Loaded ${component.file}`);
-      } else {
-        console.warn(`⚠️ Container ${component.id} not found`);
-      }
+// In-flight and completed partial requests for this page view
+const partialRequests = new Map();
+
+/**
+ * Load navbar, footer and any data-include placeholders from partials folder.
+ * Containers already inlined by scripts/build.js (data-included) are skipped.
+ */
+async function loadComponents() {
+  const pending = COMPONENTS.filter((component) => {
+    const container = document.getElementById(component.id);
+    if (!container) {
+      console.warn(`⚠️ Container ${component.id} not found`);
+      return false;
+    }
+    return !isIncluded(container);
+  });
+
+  const loadPromises = pending.map(async (component) => {
+    const container = document.getElementById(component.id);
+
+    try {
+      await includePartial(container, component.file, component.select);
+      console.log(`✅ Loaded ${component.file}`);
     } catch (error) {
       console.error(`❌ Error loading ${component.file}:`, error);
       loadComponentFallback(component.id);
     }
   });
 
-  await Promise.all(loadPromises);
+  // Page-level includes such as the hero
+  const includes = Array.from(document.querySelectorAll("[data-include]"))
+    .filter((element) => !element.parentElement.closest("[data-include]"))
+    .filter((element) => !isIncluded(element))
+    .map((element) => includeElement(element));
+
+  // Nothing to fetch on prebuilt pages
+  if (loadPromises.length === 0 && includes.length === 0) return;
+
+  await Promise.all([...loadPromises, ...includes]);
 
   // Small delay to ensure DOM is updated
   await new Promise((resolve) => setTimeout(resolve, 100));
 }
 
+/**
+ * Check whether a container already holds its partial (inlined at build
+ * time or loaded earlier on this page)
+ */
+function isIncluded(container) {
+  return Boolean(container.dataset.included) && container.childElementCount > 0;
+}
+
+/**
+ * Load the partial named by an element's data-include attribute.
+ * If it cannot be loaded, the page's slot overrides are shown as-is.
+ */
+async function includeElement(element, depth = 0, chain = []) {
+  const file = element.dataset.include;
+
+  try {
+    await includePartial(
+      element,
+      file,
+      element.dataset.includeSelect,
+      depth,
+      chain
+    );
+  } catch (error) {
+    console.error(`❌ Error loading ${file}:`, error);
+
+    const overrides = element.querySelectorAll(":scope > template[data-slot]");
+    overrides.forEach((template) => {
+      template.replaceWith(template.content.cloneNode(true));
+    });
+  }
+}
+
+/**
+ * Insert a partial into a container, apply slot overrides and resolve
+ * nested data-include placeholders
+ */
+async function includePartial(container, file, select, depth = 0, chain = []) {
+  if (depth > MAX_INCLUDE_DEPTH || chain.includes(file)) {
+    throw new Error(
+      `Include loop or nesting too deep: ${[...chain, file].join(" → ")}`
+    );
+  }
+
+  const html = await fetchPartial(file);
+  const overrides = collectSlotOverrides(container);
+
+  container.innerHTML = extractFragment(html, select);
+  applySlotOverrides(container, overrides);
+  container.dataset.included = file;
+
+  const nested = Array.from(
+    container.querySelectorAll("[data-include]")
+  ).filter((element) => {
+    const parent = element.parentElement.closest("[data-include]");
+    return !parent || parent === container || !container.contains(parent);
+  });
+
+  await Promise.all(
+    nested.map((element) =>
+      includeElement(element, depth + 1, [...chain, file])
+    )
+  );
+}
+
+/**
+ * Fetch a partial once per session (memory + sessionStorage cache)
+ */
+function fetchPartial(file) {
+  if (!partialRequests.has(file)) {
+    const cacheKey = `${PARTIAL_CACHE_PREFIX}${PARTIAL_CACHE_VERSION}:${file}`;
+
+    const request = (async () => {
+      try {
+        const cached = sessionStorage.getItem(cacheKey);
+        if (cached !== null) return cached;
+      } catch (error) {
+        // sessionStorage unavailable (private mode, file://)
+      }
+
+      const response = await fetch(file);
+      if (!response.ok) {
+        throw new Error(`Failed to load ${file}: ${response.status}`);
+      }
+
+      const html = await response.text();
+
+      try {
+        sessionStorage.setItem(cacheKey, html);
+      } catch (error) {
+        console.warn(`⚠️ Could not cache ${file}:`, error);
+      }
+
+      return html;
+    })();
+
+    // Allow a failed request to be retried
+    request.catch(() => partialRequests.delete(file));
+    partialRequests.set(file, request);
+  }
+
+  return partialRequests.get(file);
+}
+
+/**
+ * Remove cached partials, e.g. while editing them locally
+ */
+function clearPartialCache() {
+  partialRequests.clear();
+
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(PARTIAL_CACHE_PREFIX))
+      .forEach((key) => sessionStorage.removeItem(key));
+  } catch (error) {
+    console.warn("⚠️ Could not clear partial cache:", error);
+  }
+}
+
+/**
+ * Take the component out of a full preview document; plain fragments are
+ * returned unchanged
+ */
+function extractFragment(html, select) {
+  if (!/<(html|body)[\s>]/i.test(html)) return html;
+
+  const doc = new DOMParser().parseFromString(html, "text/html");
+
+  if (select) {
+    const element = doc.querySelector(select);
+    if (!element) {
+      throw new Error(`Element "${select}" not found in partial`);
+    }
+    return element.outerHTML;
+  }
+
+  doc.body.querySelectorAll("script").forEach((script) => script.remove());
+  return doc.body.innerHTML;
+}
+
+/**
+ * Collect <template data-slot="name"> overrides provided by the page
+ */
+function collectSlotOverrides(container) {
+  const overrides = {};
+
+  container
+    .querySelectorAll(":scope > template[data-slot]")
+    .forEach((template) => {
+      overrides[template.dataset.slot] = template;
+    });
+
+  return overrides;
+}
+
+/**
+ * Replace the default content of [data-slot] elements with page overrides
+ */
+function applySlotOverrides(root, overrides) {
+  root.querySelectorAll("[data-slot]").forEach((slot) => {
+    const template = overrides[slot.dataset.slot];
+    if (template) {
+      slot.replaceChildren(template.content.cloneNode(true));
+    }
+  });
+}
+
 /**
  * Load fallback content if component loading fails
  */
@@ -93,6 +308,22 @@ function loadComponentFallback(componentId) {
   if (!container) return;
 
   if (componentId === "navbar-container") {
+    const links = [
+      ["index.html", "nav.home"],
+      ["about.html", "nav.about"],
+      ["product.html", "nav.product"],
+      ["team.html", "nav.team"],
+      ["gallery.html", "nav.gallery"],
+      ["locator.html", "nav.locator"],
+    ]
+      .map(
+        ([href, key]) =>
+          `<a href="${href}" data-i18n="${key}" class="text-gray-700 hover:text-green-600">${t(
+            key
+          )}</a>`
+      )
+      .join("");
+
     container.innerHTML = `
             <nav class="bg-white shadow-lg sticky top-0 z-50">
                 <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -101,11 +332,12 @@ function loadComponentFallback(componentId) {
                             <span class="text-xl font-bold text-green-600">SWEETCARE</span>
                         </div>
                         <div class="hidden md:flex space-x-8">
-                            <a href="index.html" class="text-gray-700 hover:text-green-600">Home</a>
-                            <a href="about.html" class="text-gray-700 hover:text-green-600">About</a>
-                            <a href="product.html" class="text-gray-700 hover:text-green-600">Product</a>
-                            <a href="team.html" class="text-gray-700 hover:text-green-600">Team</a>
-                            <a href="gallery.html" class="text-gray-700 hover:text-green-600">Gallery</a>
+                            ${links}
+                            <button type="button" data-lang-toggle class="text-gray-700 hover:text-green-600">
+                                <i class="fas fa-globe mr-1"></i><span data-lang-label>${t(
+                                  "lang.label"
+                                )}</span>
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -115,13 +347,645 @@ function loadComponentFallback(componentId) {
     container.innerHTML = `
             <footer class="bg-gray-800 text-white py-8">
                 <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
-                    <p>&copy; 2025 Amissa SweetCare. All rights reserved.</p>
+                    <p>&copy; 2025 Amissa SweetCare. <span data-i18n="footer.rights">${t(
+                      "footer.rights"
+                    )}</span></p>
                 </div>
             </footer>
         `;
   }
 }
 
+/**
+ * Internationalization
+ */
+
+const LANGUAGE_STORAGE_KEY = "amissa-lang";
+const DEFAULT_LANGUAGE = "id";
+
+// Message catalog. Keys are shared by main.js and data-i18n attributes.
+const MESSAGES = {
+  id: {
+    "lang.label": "EN",
+    "lang.switch": "Switch to English",
+
+    "nav.home": "Beranda",
+    "nav.about": "Tentang",
+    "nav.product": "Produk",
+    "nav.team": "Tim",
+    "nav.gallery": "Galeri",
+    "nav.locator": "Lokasi",
+    "nav.contact": "Hubungi Kami",
+
+    "footer.tagline":
+      "Memberikan solusi pemanis alami yang aman, sehat, dan berkualitas tinggi untuk hidup yang lebih baik dan lebih manis.",
+    "footer.quickLinks": "Tautan Cepat",
+    "footer.about": "Tentang Kami",
+    "footer.products": "Produk",
+    "footer.team": "Tim Kami",
+    "footer.contactInfo": "Info Kontak",
+    "footer.address": "Alamat",
+    "footer.phone": "Telepon",
+    "footer.email": "Email",
+    "footer.stayConnected": "Tetap Terhubung",
+    "footer.newsletterText":
+      "Dapatkan update produk dan tips kesehatan terbaru!",
+    "footer.emailPlaceholder": "Email Anda...",
+    "footer.hours": "Jam Operasional",
+    "footer.weekdays": "Senin - Jumat",
+    "footer.saturday": "Sabtu",
+    "footer.sunday": "Minggu",
+    "footer.closed": "Tutup",
+    "footer.rights": "Hak cipta dilindungi undang-undang.",
+    "footer.privacy": "Kebijakan Privasi",
+    "footer.terms": "Syarat Layanan",
+    "footer.sitemap": "Peta Situs",
+    "footer.cookies": "Pengaturan Cookie",
+
+    "validation.required": "Kolom ini wajib diisi",
+    "validation.email": "Masukkan alamat email yang valid",
+    "validation.phone": "Masukkan nomor telepon yang valid",
+    "validation.url": "Masukkan URL yang valid",
+    "validation.minlength": "Minimal {arg} karakter",
+    "validation.maxlength": "Maksimal {arg} karakter",
+    "validation.pattern": "Format tidak sesuai",
+    "validation.match": "Isian tidak sama",
+    "validation.invalid": "Isian tidak valid",
+
+    "form.correctErrors": "Periksa kembali isian Anda lalu coba lagi",
+    "form.sending": "Mengirim...",
+    "form.networkError":
+      "Tidak dapat terhubung ke server. Periksa koneksi Anda lalu coba lagi.",
+    "form.failedWith": "Gagal mengirim: {message}",
+    "form.failed": "Gagal mengirim. Silakan coba lagi nanti.",
+    "form.draftRestored": "Isian yang belum terkirim telah dipulihkan.",
+    "form.queueSentOne": "Pesan Anda yang tersimpan telah terkirim.",
+    "form.queueSentMany": "{count} pesan yang tersimpan telah terkirim.",
+
+    "newsletter.subscribing": "Mendaftarkan...",
+    "newsletter.success": "Berhasil berlangganan newsletter!",
+    "newsletter.mailto":
+      "Aplikasi email Anda telah dibuka untuk menyelesaikan pendaftaran.",
+    "newsletter.queued":
+      "Anda sedang offline. Pendaftaran Anda disimpan dan akan dikirim saat kembali online.",
+
+    "contact.success": "Pesan berhasil dikirim! Kami akan segera membalas.",
+    "contact.mailto":
+      "Aplikasi email Anda telah dibuka berisi pesan Anda. Tekan kirim untuk menyelesaikan.",
+    "contact.queued":
+      "Anda sedang offline. Pesan Anda disimpan dan akan dikirim saat kembali online.",
+
+    "error.limited":
+      "Beberapa fitur mungkin terbatas. Silakan muat ulang halaman.",
+
+    "search.open": "Cari",
+    "search.label": "Cari di situs",
+    "search.placeholder": "Cari produk, tim, cerita...",
+    "search.close": "Tutup pencarian",
+    "search.hint":
+      "Ketik untuk mencari. Tekan / atau Ctrl+K dari halaman mana pun.",
+    "search.loading": "Memuat...",
+    "search.loadFailed": "Pencarian belum dapat dimuat. Coba lagi nanti.",
+    "search.noResults": 'Tidak ada hasil untuk "{query}"',
+    "search.results": "{count} hasil",
+
+    "pwa.offline":
+      "Anda sedang offline. Halaman yang pernah dibuka tetap bisa dilihat.",
+    "pwa.offlineReady": "Situs ini sekarang bisa dibuka tanpa koneksi.",
+    "pwa.updateAvailable": "Versi baru tersedia.",
+    "pwa.reload": "Muat ulang",
+
+    "notification.close": "Tutup notifikasi",
+    "notification.undo": "Urungkan",
+    "notification.retry": "Coba lagi",
+
+    "wholesale.tier": "≥{quantity} pack: {price}",
+    "wholesale.volumeRequired": "Isi jumlah minimal untuk satu ukuran kemasan.",
+    "wholesale.quoteEmpty":
+      "Isi jumlah per bulan untuk menyusun permintaan penawaran.",
+    "wholesale.total": "Estimasi per bulan",
+    "wholesale.savings": "Hemat {amount} dibanding harga eceran",
+    "wholesale.tiersPending": "Harga grosir dikonfirmasi dalam penawaran",
+    "wholesale.retailEstimate":
+      "Estimasi dengan harga eceran; harga grosir kami kirim bersama penawaran.",
+    "wholesale.summaryTitle": "Permintaan Harga Grosir Amissa SweetCare",
+    "wholesale.business": "Usaha",
+    "wholesale.contact": "Kontak",
+    "wholesale.volume": "Volume per bulan",
+    "wholesale.area": "Area pengiriman",
+    "wholesale.address": "Alamat",
+    "wholesale.schedule": "Jadwal pengiriman",
+    "wholesale.notes": "Catatan",
+
+    "modal.close": "Tutup",
+
+    "product.loading": "Memuat produk...",
+    "product.loadFailed":
+      "Produk belum dapat dimuat. Silakan muat ulang halaman.",
+    "product.readMore": "Baca Selengkapnya",
+    "product.addToCart": "Tambah ke Keranjang",
+    "product.netWeight": "Berat bersih",
+    "team.loadFailed": "Data tim belum bisa dimuat. Silakan coba lagi nanti.",
+    "team.filterRole": "Peran",
+    "team.filterProgramme": "Prodi",
+    "team.filterAll": "Semua",
+    "team.filterStatus": "Menampilkan {shown} dari {total} anggota",
+    "team.noMatch": "Tidak ada anggota yang cocok dengan filter ini.",
+    "team.programme": "Prodi",
+    "team.readStory": "Baca Cerita",
+    "team.closeStory": "Tutup Cerita",
+    "team.viewProfile": "Lihat Profil",
+    "team.shareProfile": "Bagikan profil",
+    "team.linkCopied": "Tautan profil disalin.",
+    "team.linkCopyFailed": "Tautan tidak bisa disalin. Salin manual: {url}",
+
+    "recipes.loading": "Memuat resep...",
+    "recipes.loadFailed": "Resep belum bisa dimuat. Silakan coba lagi nanti.",
+    "recipes.filterLabel": "Kategori resep",
+    "recipes.filterAll": "Semua",
+    "recipes.filterStatus": "Menampilkan {shown} dari {total} resep",
+    "recipes.category.drink": "Minuman",
+    "recipes.category.food": "Makanan",
+    "recipes.minutes": "menit",
+    "recipes.useProduct": "Pakai",
+    "recipes.showRecipe": "Lihat Resep",
+    "recipes.hideRecipe": "Tutup Resep",
+    "recipes.ingredients": "Bahan",
+    "recipes.steps": "Cara Membuat",
+    "recipes.servings": "Jumlah porsi",
+    "recipes.servingsCount": "porsi",
+    "recipes.fewerServings": "Kurangi porsi",
+    "recipes.moreServings": "Tambah porsi",
+    "recipes.convertEmpty": "Masukkan jumlah untuk melihat hasilnya.",
+    "recipes.convertToAmissa": "{sugar} gula pasir ≈ {amissa} Amissa",
+    "recipes.convertToSugar": "{amissa} Amissa ≈ {sugar} gula pasir",
+
+    "locator.loading": "Memuat lokasi...",
+    "locator.loadFailed":
+      "Lokasi mitra belum bisa dimuat. Silakan coba lagi nanti.",
+    "locator.mapUnavailable":
+      "Peta tidak bisa ditampilkan saat ini. Daftar lokasi tetap bisa digunakan.",
+    "locator.filterLabel": "Jenis lokasi",
+    "locator.filterAll": "Semua",
+    "locator.category.cafe": "Kafe",
+    "locator.category.reseller": "Reseller",
+    "locator.category.farmer": "Petani",
+    "locator.nearest": "Urutkan dari yang terdekat",
+    "locator.chooseArea": "Atau pilih area Anda",
+    "locator.noArea": "Semua area",
+    "locator.locating": "Mencari posisi Anda...",
+    "locator.yourLocation": "lokasi Anda",
+    "locator.locationDenied":
+      "Izin lokasi ditolak. Pilih area Anda di bawah ini.",
+    "locator.locationFailed":
+      "Posisi Anda tidak ditemukan. Pilih area Anda di bawah ini.",
+    "locator.geolocationUnsupported":
+      "Browser ini tidak mendukung lokasi. Pilih area Anda di bawah ini.",
+    "locator.status": "{count} lokasi",
+    "locator.statusSorted": "{count} lokasi, diurutkan dari jarak ke {origin}",
+    "locator.noMatch": "Belum ada lokasi untuk jenis ini.",
+    "locator.whatsapp": "WhatsApp",
+    "locator.directions": "Petunjuk Arah",
+    "locator.showOnMap": "Lihat di Peta",
+    "locator.whatsappMessage":
+      "Halo {name}, saya melihat lokasi Anda di website Amissa SweetCare.",
+    "locator.whatsappAskAmissa":
+      "Halo Amissa SweetCare, saya ingin bertanya tentang {name}.",
+
+    "reviews.loading": "Memuat ulasan...",
+    "reviews.loadFailed": "Ulasan belum bisa dimuat. Silakan coba lagi nanti.",
+    "reviews.empty": "Belum ada ulasan. Jadilah yang pertama menulis ulasan!",
+    "reviews.noMatch": "Belum ada ulasan untuk produk ini.",
+    "reviews.stars": "{rating} dari 5 bintang",
+    "reviews.count": "{count} ulasan",
+    "reviews.status": "Menampilkan ulasan {from}–{to} dari {total}",
+    "reviews.pagination": "Halaman ulasan",
+    "reviews.page": "Halaman {page}",
+    "reviews.prev": "Sebelumnya",
+    "reviews.next": "Berikutnya",
+    "review.submitted":
+      "Terima kasih! Ulasan Anda akan tampil setelah diperiksa tim kami.",
+    "review.ratingRequired": "Pilih jumlah bintang untuk produk ini.",
+    "review.unavailable":
+      "Pengiriman ulasan belum tersedia. Silakan coba lagi nanti.",
+
+    "cart.title": "Keranjang",
+    "cart.label": "Keranjang belanja",
+    "cart.labelCount": "Keranjang belanja ({count})",
+    "cart.close": "Tutup keranjang",
+    "cart.subtotal": "Subtotal",
+    "cart.checkout": "Pesan via WhatsApp",
+    "cart.clear": "Kosongkan keranjang",
+    "cart.empty": "Keranjang masih kosong.",
+    "cart.browse": "Lihat produk",
+    "cart.decrease": "Kurangi jumlah",
+    "cart.increase": "Tambah jumlah",
+    "cart.quantity": "Jumlah {name}",
+    "cart.remove": "Hapus",
+    "cart.added": "{name} ditambahkan ke keranjang",
+    "cart.removed": "{name} dihapus dari keranjang",
+    "cart.cleared": "Keranjang dikosongkan",
+
+    "consent.title": "Privasi & Cookie",
+    "consent.text":
+      "Agar situs tampil, kami memuat gaya, ikon, font dan peta dari layanan pihak ketiga yang menerima alamat IP Anda. Dengan izin Anda, kami juga memakai cookie analitik dan pemasaran untuk memahami kunjungan dan mengukur iklan.",
+    "consent.necessary": "Wajib",
+    "consent.necessaryText":
+      "Keranjang, bahasa dan pilihan privasi Anda, serta Tailwind CDN, ikon Font Awesome (cdnjs), Google Fonts dan peta Leaflet (unpkg). Selalu aktif.",
+    "consent.analytics": "Analitik",
+    "consent.analyticsText":
+      "Statistik kunjungan anonim untuk memperbaiki situs.",
+    "consent.marketing": "Pemasaran",
+    "consent.marketingText": "Meta Pixel untuk mengukur iklan.",
+    "consent.accept": "Terima semua",
+    "consent.reject": "Tolak",
+    "consent.customize": "Atur pilihan",
+    "consent.save": "Simpan pilihan",
+
+    "lightbox.label": "Penampil gambar",
+    "lightbox.close": "Tutup",
+    "lightbox.prev": "Gambar sebelumnya",
+    "lightbox.next": "Gambar berikutnya",
+    "lightbox.counter": "{current} dari {total}",
+    "lightbox.groupCounter": "{group} · {current} dari {total}",
+    "lightbox.viewOriginal": "Lihat postingan asli",
+    "social.video": "Video",
+
+    "carousel.label": "Sorotan Amissa SweetCare",
+    "carousel.prev": "Slide sebelumnya",
+    "carousel.next": "Slide berikutnya",
+    "carousel.goTo": "Tampilkan slide {number}",
+    "carousel.pause": "Jeda slide otomatis",
+    "carousel.play": "Putar slide otomatis",
+    "carousel.slide": "{current} dari {total}",
+    "carousel.status": "Slide {current} dari {total}: {title}",
+
+    "order.greeting": "Halo Amissa SweetCare, saya ingin memesan:",
+    "order.subtotal": "Subtotal: {amount}",
+    "order.name": "Nama:",
+    "order.address": "Alamat pengiriman:",
+
+    "outbound.whatsappGreeting": "Halo Amissa SweetCare, saya ingin bertanya.",
+    "outbound.whatsappTag": "Sumber: {source}",
+  },
+  en: {
+    "lang.label": "ID",
+    "lang.switch": "Ganti ke Bahasa Indonesia",
+
+    "nav.home": "Home",
+    "nav.about": "About",
+    "nav.product": "Product",
+    "nav.team": "Team",
+    "nav.gallery": "Gallery",
+    "nav.locator": "Locations",
+    "nav.contact": "Contact Us",
+
+    "footer.tagline":
+      "Providing natural sweetener solutions that are safe, healthy and high quality for a better, sweeter life.",
+    "footer.quickLinks": "Quick Links",
+    "footer.about": "About Us",
+    "footer.products": "Products",
+    "footer.team": "Our Team",
+    "footer.contactInfo": "Contact Info",
+    "footer.address": "Address",
+    "footer.phone": "Phone",
+    "footer.email": "Email",
+    "footer.stayConnected": "Stay Connected",
+    "footer.newsletterText": "Get the latest product updates and health tips!",
+    "footer.emailPlaceholder": "Your email...",
+    "footer.hours": "Opening Hours",
+    "footer.weekdays": "Monday - Friday",
+    "footer.saturday": "Saturday",
+    "footer.sunday": "Sunday",
+    "footer.closed": "Closed",
+    "footer.rights": "All rights reserved.",
+    "footer.privacy": "Privacy Policy",
+    "footer.terms": "Terms of Service",
+    "footer.sitemap": "Sitemap",
+    "footer.cookies": "Cookie Settings",
+
+    "validation.required": "This field is required",
+    "validation.email": "Please enter a valid email address",
+    "validation.phone": "Please enter a valid phone number",
+    "validation.url": "Please enter a valid URL",
+    "validation.minlength": "Please enter at least {arg} characters",
+    "validation.maxlength": "Please enter no more than {arg} characters",
+    "validation.pattern": "Please match the requested format",
+    "validation.match": "The values do not match",
+    "validation.invalid": "Please enter a valid value",
+
+    "form.correctErrors": "Please correct the errors and try again",
+    "form.sending": "Sending...",
+    "form.networkError":
+      "Could not reach the server. Please check your connection and try again.",
+    "form.failedWith": "Sending failed: {message}",
+    "form.failed": "Sending failed. Please try again later.",
+    "form.draftRestored": "Your unsent answers have been restored.",
+    "form.queueSentOne": "Your saved message has been sent.",
+    "form.queueSentMany": "{count} saved messages have been sent.",
+
+    "newsletter.subscribing": "Subscribing...",
+    "newsletter.success": "Successfully subscribed to newsletter!",
+    "newsletter.mailto":
+      "Your email app has been opened to complete the subscription.",
+    "newsletter.queued":
+      "You're offline. Your subscription is saved and will be sent when you're back online.",
+
+    "contact.success": "Message sent successfully! We'll get back to you soon.",
+    "contact.mailto":
+      "Your email app has been opened with your message. Please press send to finish.",
+    "contact.queued":
+      "You're offline. Your message is saved and will be sent when you're back online.",
+
+    "error.limited": "Some features may be limited. Please refresh the page.",
+
+    "search.open": "Search",
+    "search.label": "Search the site",
+    "search.placeholder": "Search products, team, stories...",
+    "search.close": "Close search",
+    "search.hint": "Type to search. Press / or Ctrl+K on any page.",
+    "search.loading": "Loading...",
+    "search.loadFailed": "Search could not be loaded. Please try again later.",
+    "search.noResults": 'No results for "{query}"',
+    "search.results": "{count} results",
+
+    "pwa.offline":
+      "You are offline. Pages you have visited are still available.",
+    "pwa.offlineReady": "This site now works without a connection.",
+    "pwa.updateAvailable": "A new version is available.",
+    "pwa.reload": "Reload",
+
+    "notification.close": "Dismiss notification",
+    "notification.undo": "Undo",
+    "notification.retry": "Retry",
+
+    "wholesale.tier": "≥{quantity} packs: {price}",
+    "wholesale.volumeRequired": "Enter a quantity for at least one pack size.",
+    "wholesale.quoteEmpty":
+      "Enter monthly quantities to build your quote request.",
+    "wholesale.total": "Estimated per month",
+    "wholesale.savings": "Save {amount} compared to retail prices",
+    "wholesale.tiersPending": "Wholesale price confirmed in the quote",
+    "wholesale.retailEstimate":
+      "Estimated at retail prices; we send wholesale prices with the quote.",
+    "wholesale.summaryTitle": "Amissa SweetCare Wholesale Inquiry",
+    "wholesale.business": "Business",
+    "wholesale.contact": "Contact",
+    "wholesale.volume": "Monthly volume",
+    "wholesale.area": "Delivery area",
+    "wholesale.address": "Address",
+    "wholesale.schedule": "Delivery schedule",
+    "wholesale.notes": "Notes",
+
+    "modal.close": "Close",
+
+    "product.loading": "Loading products...",
+    "product.loadFailed":
+      "Products could not be loaded. Please refresh the page.",
+    "product.readMore": "Read More",
+    "product.addToCart": "Add to Cart",
+    "product.netWeight": "Net weight",
+    "team.loadFailed": "The team could not be loaded. Please try again later.",
+    "team.filterRole": "Role",
+    "team.filterProgramme": "Programme",
+    "team.filterAll": "All",
+    "team.filterStatus": "Showing {shown} of {total} members",
+    "team.noMatch": "No team members match these filters.",
+    "team.programme": "Study programme:",
+    "team.readStory": "Read Story",
+    "team.closeStory": "Close Story",
+    "team.viewProfile": "View Profile",
+    "team.shareProfile": "Share profile",
+    "team.linkCopied": "Profile link copied.",
+    "team.linkCopyFailed":
+      "The link could not be copied. Copy it manually: {url}",
+
+    "recipes.loading": "Loading recipes...",
+    "recipes.loadFailed":
+      "The recipes could not be loaded. Please try again later.",
+    "recipes.filterLabel": "Recipe category",
+    "recipes.filterAll": "All",
+    "recipes.filterStatus": "Showing {shown} of {total} recipes",
+    "recipes.category.drink": "Drinks",
+    "recipes.category.food": "Food",
+    "recipes.minutes": "min",
+    "recipes.useProduct": "Use",
+    "recipes.showRecipe": "View Recipe",
+    "recipes.hideRecipe": "Close Recipe",
+    "recipes.ingredients": "Ingredients",
+    "recipes.steps": "Method",
+    "recipes.servings": "Servings",
+    "recipes.servingsCount": "servings",
+    "recipes.fewerServings": "Fewer servings",
+    "recipes.moreServings": "More servings",
+    "recipes.convertEmpty": "Enter an amount to see the result.",
+    "recipes.convertToAmissa": "{sugar} of sugar ≈ {amissa} of Amissa",
+    "recipes.convertToSugar": "{amissa} of Amissa ≈ {sugar} of sugar",
+
+    "locator.loading": "Loading locations...",
+    "locator.loadFailed":
+      "The partner locations could not be loaded. Please try again later.",
+    "locator.mapUnavailable":
+      "The map cannot be shown right now. The list of locations still works.",
+    "locator.filterLabel": "Location type",
+    "locator.filterAll": "All",
+    "locator.category.cafe": "Café",
+    "locator.category.reseller": "Reseller",
+    "locator.category.farmer": "Farmer",
+    "locator.nearest": "Sort by nearest",
+    "locator.chooseArea": "Or choose your area",
+    "locator.noArea": "All areas",
+    "locator.locating": "Finding your position...",
+    "locator.yourLocation": "your location",
+    "locator.locationDenied":
+      "Location permission was denied. Choose your area below.",
+    "locator.locationFailed":
+      "Your position could not be found. Choose your area below.",
+    "locator.geolocationUnsupported":
+      "This browser does not support location. Choose your area below.",
+    "locator.status": "{count} locations",
+    "locator.statusSorted":
+      "{count} locations, sorted by distance from {origin}",
+    "locator.noMatch": "No locations of this type yet.",
+    "locator.whatsapp": "WhatsApp",
+    "locator.directions": "Directions",
+    "locator.showOnMap": "Show on Map",
+    "locator.whatsappMessage":
+      "Hello {name}, I found your location on the Amissa SweetCare website.",
+    "locator.whatsappAskAmissa":
+      "Hello Amissa SweetCare, I have a question about {name}.",
+
+    "reviews.loading": "Loading reviews...",
+    "reviews.loadFailed":
+      "Reviews could not be loaded. Please try again later.",
+    "reviews.empty": "No reviews yet. Be the first to write one!",
+    "reviews.noMatch": "No reviews for this product yet.",
+    "reviews.stars": "{rating} out of 5 stars",
+    "reviews.count": "{count} reviews",
+    "reviews.status": "Showing reviews {from}–{to} of {total}",
+    "reviews.pagination": "Review pages",
+    "reviews.page": "Page {page}",
+    "reviews.prev": "Previous",
+    "reviews.next": "Next",
+    "review.submitted":
+      "Thank you! Your review will appear once our team has checked it.",
+    "review.ratingRequired": "Choose a star rating for this product.",
+    "review.unavailable":
+      "Review submissions are not available yet. Please try again later.",
+
+    "cart.title": "Cart",
+    "cart.label": "Shopping cart",
+    "cart.labelCount": "Shopping cart ({count})",
+    "cart.close": "Close cart",
+    "cart.subtotal": "Subtotal",
+    "cart.checkout": "Order via WhatsApp",
+    "cart.clear": "Empty cart",
+    "cart.empty": "Your cart is empty.",
+    "cart.browse": "Browse products",
+    "cart.decrease": "Decrease quantity",
+    "cart.increase": "Increase quantity",
+    "cart.quantity": "Quantity of {name}",
+    "cart.remove": "Remove",
+    "cart.added": "{name} added to cart",
+    "cart.removed": "{name} removed from cart",
+    "cart.cleared": "Cart emptied",
+
+    "consent.title": "Privacy & cookies",
+    "consent.text":
+      "To display the site we load styles, icons, fonts and the map from third-party services, which receive your IP address. With your permission we also use analytics and marketing cookies to understand visits and measure ads.",
+    "consent.necessary": "Necessary",
+    "consent.necessaryText":
+      "Your cart, language and privacy choices, plus the Tailwind CDN, Font Awesome icons (cdnjs), Google Fonts and the Leaflet map (unpkg). Always on.",
+    "consent.analytics": "Analytics",
+    "consent.analyticsText": "Anonymous visit statistics to improve the site.",
+    "consent.marketing": "Marketing",
+    "consent.marketingText": "Meta Pixel to measure ads.",
+    "consent.accept": "Accept all",
+    "consent.reject": "Reject",
+    "consent.customize": "Customize",
+    "consent.save": "Save choices",
+
+    "lightbox.label": "Image viewer",
+    "lightbox.close": "Close",
+    "lightbox.prev": "Previous image",
+    "lightbox.next": "Next image",
+    "lightbox.counter": "{current} of {total}",
+    "lightbox.groupCounter": "{group} · {current} of {total}",
+    "lightbox.viewOriginal": "View original post",
+    "social.video": "Video",
+
+    "carousel.label": "Amissa SweetCare highlights",
+    "carousel.prev": "Previous slide",
+    "carousel.next": "Next slide",
+    "carousel.goTo": "Show slide {number}",
+    "carousel.pause": "Pause automatic slides",
+    "carousel.play": "Play automatic slides",
+    "carousel.slide": "{current} of {total}",
+    "carousel.status": "Slide {current} of {total}: {title}",
+
+    "order.greeting": "Hello Amissa SweetCare, I would like to order:",
+    "order.subtotal": "Subtotal: {amount}",
+    "order.name": "Name:",
+    "order.address": "Delivery address:",
+
+    "outbound.whatsappGreeting": "Hello Amissa SweetCare, I have a question.",
+    "outbound.whatsappTag": "Source: {source}",
+  },
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Restore the saved language before any component is rendered
+ */
+function initializeLanguage() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  } catch (error) {
+    console.warn("⚠️ Could not read saved language:", error);
+  }
+
+  currentLanguage = MESSAGES[saved] ? saved : DEFAULT_LANGUAGE;
+  document.documentElement.lang = currentLanguage;
+
+  // Language toggles live in the navbar, which may be loaded later
+  document.addEventListener("click", function (e) {
+    if (e.target.closest("[data-lang-toggle]")) {
+      e.preventDefault();
+      setLanguage(currentLanguage === "id" ? "en" : "id");
+    }
+  });
+}
+
+/**
+ * Translate a message key, replacing {placeholders} with params
+ */
+function t(key, params = {}) {
+  const catalog = MESSAGES[currentLanguage] || {};
+  const fallback = MESSAGES[DEFAULT_LANGUAGE] || {};
+  const message = key in catalog ? catalog[key] : fallback[key];
+
+  if (message === undefined) {
+    console.warn(`⚠️ Missing translation: ${key}`);
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? params[name] : match
+  );
+}
+
+/**
+ * Switch language, persist the choice and re-translate the page
+ */
+function setLanguage(language) {
+  if (!MESSAGES[language] || language === currentLanguage) return;
+
+  currentLanguage = language;
+  document.documentElement.lang = language;
+
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch (error) {
+    console.warn("⚠️ Could not save language:", error);
+  }
+
+  applyTranslations();
+
+  document.dispatchEvent(
+    new CustomEvent("amissa:languagechange", { detail: { language } })
+  );
+  trackEvent("Language", "Change", language);
+}
+
+function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Translate elements marked with data-i18n / data-i18n-<attribute>
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+
+  ["placeholder", "title", "aria-label"].forEach((attribute) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+      el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+
+  root.querySelectorAll("[data-lang-toggle]").forEach((toggle) => {
+    toggle.setAttribute("aria-label", t("lang.switch"));
+    const label = toggle.querySelector("[data-lang-label]");
+    if (label) {
+      label.textContent = t("lang.label");
+    }
+  });
+}
+
 /**
  * Initialize navigation functionality
  */
@@ -240,9 +1104,18 @@ function initializeInteractiveFeatures() {
   // Newsletter subscription
   initializeNewsletter();
 
+  // Wholesale inquiry (before contact forms so its draft can be restored)
+  initializeWholesaleForm();
+
   // Contact form handling
   initializeContactForms();
 
+  // Resend form submissions saved while offline
+  initializeSubmissionQueue();
+
+  // Carousels (before lazy loading so hidden slides are skipped)
+  initializeCarousels();
+
   // Image lazy loading
   initializeLazyLoading();
 
@@ -251,6 +1124,21 @@ function initializeInteractiveFeatures() {
 
   // Initialize tooltips and popovers
   initializeTooltips();
+
+  // Shopping cart and WhatsApp checkout
+  initializeCart();
+
+  // Modals ([data-modal-target] triggers, Escape, back button)
+  initializeModals();
+
+  // Gallery lightbox
+  initializeLightbox();
+
+  // Instagram/TikTok posts (opened in the lightbox)
+  initializeSocialFeed();
+
+  // Site search overlay (navbar button, / and Ctrl+K)
+  initializeSearch();
 }
 
 /**
@@ -303,19 +1191,28 @@ function initializeNewsletter() {
   // Handle newsletter buttons (non-form)
   const newsletterButtons = document.querySelectorAll("[data-newsletter-btn]");
   newsletterButtons.forEach((btn) => {
-    btn.addEventListener("click", function () {
+    btn.addEventListener("click", async function () {
       const emailInput = this.parentElement.querySelector(
         'input[type="email"]'
       );
-      if (emailInput && emailInput.value) {
-        handleNewsletterSubmission(null, emailInput.value);
+      if (!emailInput || !emailInput.value || this.disabled) return;
+
+      this.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+      this.disabled = true;
+
+      const success = await handleNewsletterSubmission(null, emailInput.value);
+
+      this.disabled = false;
+      if (success) {
         this.innerHTML = '<i class="fas fa-check"></i>';
         this.classList.add("bg-green-500");
+        emailInput.value = "";
         setTimeout(() => {
           this.innerHTML = '<i class="fas fa-paper-plane"></i>';
           this.classList.remove("bg-green-500");
-          emailInput.value = "";
         }, 2000);
+      } else {
+        this.innerHTML = '<i class="fas fa-paper-plane"></i>';
       }
     });
   });
@@ -324,24 +1221,51 @@ function initializeNewsletter() {
 /**
  * Handle newsletter subscription
  */
-function handleNewsletterSubmission(form, email = null) {
+async function handleNewsletterSubmission(form, email = null) {
   const emailAddress = email || form.querySelector('input[type="email"]').value;
 
   if (!isValidEmail(emailAddress)) {
-    showNotification("Please enter a valid email address", "error");
-    return;
+    showNotification(t("validation.email"), "error");
+    return false;
   }
 
-  // Simulate API call
-  showNotification("Subscribing...", "info");
-
-  setTimeout(() => {
-    showNotification("Successfully subscribed to newsletter!", "success");
+  try {
+    await notifyPromise(
+      sendOrQueueSubmission(
+        "newsletter",
+        { email: emailAddress, _subject: "Newsletter subscription" },
+        getFormTransportOptions(form)
+      ),
+      {
+        loading: t("newsletter.subscribing"),
+        success: (result) => {
+          if (result.queued) {
+            return { message: t("newsletter.queued"), type: "warning" };
+          }
+          return result.fallback
+            ? t("newsletter.mailto")
+            : t("newsletter.success");
+        },
+        error: (error) => ({
+          message: getSubmissionErrorMessage(error),
+          actions: [
+            {
+              label: t("notification.retry"),
+              onClick: () => handleNewsletterSubmission(form, emailAddress),
+            },
+          ],
+        }),
+      }
+    );
     if (form) form.reset();
 
-    // Track subscription (for analytics)
-    trackEvent("Newsletter", "Subscribe", emailAddress);
-  }, 1000);
+    // Track subscription by page; the address never goes to analytics
+    trackEvent("Newsletter", "Subscribe", currentPage);
+    return true;
+  } catch (error) {
+    console.error("❌ Newsletter subscription failed:", error);
+    return false;
+  }
 }
 
 /**
@@ -355,186 +1279,6951 @@ function initializeContactForms() {
   contactForms.forEach((form) => {
     form.addEventListener("submit", function (e) {
       e.preventDefault();
+
+      // Enter on an earlier step moves forward instead of sending
+      if (this.hasAttribute("data-steps") && !isLastFormStep(this)) {
+        goToNextFormStep(this);
+        return;
+      }
+
       handleContactSubmission(this);
     });
 
     // Real-time validation
-    const inputs = form.querySelectorAll("input, textarea");
-    inputs.forEach((input) => {
-      input.addEventListener("blur", function () {
-        validateField(this);
-      });
+    attachFormValidation(form);
 
-      input.addEventListener("input", function () {
-        clearFieldError(this);
-      });
-    });
+    if (form.hasAttribute("data-steps")) {
+      initializeMultiStepForm(form);
+    }
+
+    if (form.hasAttribute("data-autosave")) {
+      initializeFormDraft(form);
+    }
   });
 }
 
 /**
  * Handle contact form submission
  */
-function handleContactSubmission(form) {
-  const formData = new FormData(form);
-  const data = Object.fromEntries(formData.entries());
+async function handleContactSubmission(form) {
+  const kind = form.dataset.formKind || "contact";
 
   // Validate form
-  if (!validateContactForm(form)) {
-    showNotification("Please correct the errors and try again", "error");
-    return;
+  const isValid = form.hasAttribute("data-steps")
+    ? await validateAllFormSteps(form)
+    : await validateForm(form);
+  if (!isValid) {
+    showNotification(t("form.correctErrors"), "error");
+    return false;
   }
 
   // Show loading state
   const submitBtn = form.querySelector('button[type="submit"]');
-  const originalText = submitBtn.innerHTML;
-  submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Sending...';
-  submitBtn.disabled = true;
+  const originalText = submitBtn ? submitBtn.innerHTML : "";
+  if (submitBtn) {
+    submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin mr-2"></i>${t(
+      "form.sending"
+    )}`;
+    submitBtn.disabled = true;
+  }
+  form.setAttribute("aria-busy", "true");
 
-  // Simulate API call
-  setTimeout(() => {
-    showNotification(
-      "Message sent successfully! We'll get back to you soon.",
-      "success"
+  // Read after validation, which may normalise values such as phone numbers
+  const data = Object.fromEntries(new FormData(form).entries());
+  const subject = data.subject || form.dataset.subject || "Contact form";
+
+  try {
+    const result = await sendOrQueueSubmission(
+      kind,
+      { _subject: subject, ...data },
+      getFormTransportOptions(form)
     );
-    form.reset();
 
-    // Reset button
-    submitBtn.innerHTML = originalText;
-    submitBtn.disabled = false;
+    if (result.queued) {
+      showNotification(t("contact.queued"), "warning");
+    } else {
+      showNotification(
+        result.fallback
+          ? t("contact.mailto")
+          : t(form.dataset.successMessage || "contact.success"),
+        "success"
+      );
+    }
+    form.reset();
+    form.dispatchEvent(
+      new CustomEvent("amissa:formsubmitted", { detail: { kind, ...result } })
+    );
 
     // Track form submission
-    trackEvent("Contact", "Submit", data.subject || "General");
-  }, 2000);
+    trackEvent(
+      form.dataset.trackCategory || "Contact",
+      "Submit",
+      data.subject || "General"
+    );
+    return true;
+  } catch (error) {
+    console.error("❌ Contact form submission failed:", error);
+    showNotification(getSubmissionErrorMessage(error), "error", {
+      duration: 0,
+      actions: [
+        {
+          label: t("notification.retry"),
+          onClick: () => handleContactSubmission(form),
+        },
+      ],
+    });
+    return false;
+  } finally {
+    // Reset button
+    if (submitBtn) {
+      submitBtn.innerHTML = originalText;
+      submitBtn.disabled = false;
+    }
+    form.removeAttribute("aria-busy");
+  }
 }
 
 /**
- * Initialize lazy loading for images
+ * Form Validation
  */
-function initializeLazyLoading() {
-  const images = document.querySelectorAll("img[data-src]");
 
-  if ("IntersectionObserver" in window) {
-    const imageObserver = new IntersectionObserver((entries, observer) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          const img = entry.target;
-          img.src = img.dataset.src;
-          img.classList.remove("lazy");
-          imageObserver.unobserve(img);
-        }
+// Rules come from native attributes (required, type, minlength, maxlength,
+// pattern) plus data-validate="rule|rule:arg", e.g.
+// data-validate="required|phone|minlength:10|match:email".
+// A pattern rule takes the rest of the string, so put it last:
+// data-validate="required|pattern:BDG|JKT" keeps "BDG|JKT" as one regex.
+// Custom messages: data-validate-message-<rule>="..." (text or message key).
+const validationRules = {
+  required: (value, arg, field) =>
+    field.type === "checkbox" || field.type === "radio"
+      ? field.form?.querySelector(`[name="${field.name}"]:checked`) !== null
+      : value !== "",
+  email: (value) => isValidEmail(value),
+  phone: (value) => isValidPhone(value),
+  url: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  minlength: (value, arg) => value.length >= Number(arg),
+  maxlength: (value, arg) => value.length <= Number(arg),
+  pattern: (value, arg, field) => {
+    const source =
+      arg || field.dataset.validatePattern || field.getAttribute("pattern");
+    return !source || new RegExp(`^(?:${source})$`, "u").test(value);
+  },
+  // Same value as another field, by name or #id
+  match: (value, arg, field) => {
+    const scope = field.form || document;
+    const other = arg.startsWith("#")
+      ? document.querySelector(arg)
+      : scope.querySelector(`[name="${arg}"]`);
+    return !other || other.value.trim() === value;
+  },
+};
+
+/**
+ * Register a validation rule. The validator gets (value, arg, field) and
+ * returns true, false or an error message, or a Promise of one of those.
+ */
+function registerValidationRule(name, validator) {
+  if (typeof validator !== "function") {
+    throw new TypeError(`Validation rule "${name}" must be a function`);
+  }
+  validationRules[name] = validator;
+}
+
+/**
+ * [name, arg] pairs from a data-validate string. "pattern:" keeps the rest
+ * of the string as its argument, "|" included.
+ */
+function parseValidationRules(source) {
+  const parts = (source || "").split("|");
+  const rules = [];
+
+  for (let index = 0; index < parts.length; index++) {
+    const rule = parts[index].trim();
+    if (!rule) continue;
+
+    const separator = rule.indexOf(":");
+    const name = separator === -1 ? rule : rule.slice(0, separator);
+
+    if (name === "pattern" && separator !== -1) {
+      const rest = parts.slice(index).join("|");
+      rules.push([name, rest.slice(rest.indexOf(":") + 1)]);
+      break;
+    }
+    rules.push([name, separator === -1 ? null : rule.slice(separator + 1)]);
+  }
+
+  return rules;
+}
+
+/**
+ * Validation rules for a field as [name, arg] pairs, in the order they run
+ */
+function getFieldRules(field) {
+  const rules = new Map();
+
+  if (field.required) rules.set("required", null);
+  if (field.type === "email") rules.set("email", null);
+  if (field.type === "tel") rules.set("phone", null);
+  if (field.type === "url") rules.set("url", null);
+  if (field.hasAttribute("minlength")) {
+    rules.set("minlength", field.getAttribute("minlength"));
+  }
+  if (field.hasAttribute("maxlength")) {
+    rules.set("maxlength", field.getAttribute("maxlength"));
+  }
+  if (field.hasAttribute("pattern")) rules.set("pattern", null);
+
+  parseValidationRules(field.dataset.validate).forEach(([rule, arg]) =>
+    rules.set(rule, arg)
+  );
+
+  // Required runs first so other rules can skip empty values
+  return Array.from(rules).sort(([a], [b]) =>
+    a === "required" ? -1 : b === "required" ? 1 : 0
+  );
+}
+
+/**
+ * Message for a failed rule: custom attribute, validator result or default
+ */
+function getValidationMessage(field, rule, arg, result) {
+  const custom =
+    field.getAttribute(`data-validate-message-${rule}`) ||
+    field.dataset.validateMessage;
+  const message = custom || (typeof result === "string" ? result : null);
+
+  if (message) {
+    return MESSAGES[DEFAULT_LANGUAGE][message] ? t(message, { arg }) : message;
+  }
+
+  return MESSAGES[DEFAULT_LANGUAGE][`validation.${rule}`]
+    ? t(`validation.${rule}`, { arg })
+    : t("validation.invalid");
+}
+
+/**
+ * Run a field's rules in order from `start`. Returns the first failure as
+ * { rule, arg, result } or null when all pass; once a rule answers with a
+ * Promise, the rest run after it and the outcome is a Promise too.
+ * With skipAsync, Promise answers are ignored instead.
+ */
+function runFieldRules(field, value, rules, { start = 0, skipAsync } = {}) {
+  for (let index = start; index < rules.length; index++) {
+    const [rule, arg] = rules[index];
+    const validator = validationRules[rule];
+    if (!validator) {
+      console.warn(`⚠️ Unknown validation rule: ${rule}`);
+      continue;
+    }
+
+    if (rule !== "required" && value === "") continue;
+
+    let result;
+    try {
+      result = validator(value, arg, field);
+    } catch (error) {
+      console.error(`❌ Validation rule "${rule}" failed:`, error);
+      result = false;
+    }
+
+    if (result && typeof result.then === "function") {
+      if (skipAsync) continue;
+      return Promise.resolve(result)
+        .catch((error) => {
+          console.error(`❌ Validation rule "${rule}" failed:`, error);
+          return false;
+        })
+        .then((resolved) =>
+          resolved === true
+            ? runFieldRules(field, value, rules, { start: index + 1 })
+            : { rule, arg, result: resolved }
+        );
+    }
+
+    if (result !== true) return { rule, arg, result };
+  }
+
+  return null;
+}
+
+/**
+ * Show or clear a field's error for a rule run; true when it passed
+ */
+function applyFieldValidation(field, value, rules, failure) {
+  if (failure) {
+    const { rule, arg, result } = failure;
+    showFieldError(field, getValidationMessage(field, rule, arg, result));
+    return false;
+  }
+
+  clearFieldError(field);
+
+  // Optional phone formatting: data-phone-format="national|international"
+  const format = field.dataset.phoneFormat;
+  if (format && value && rules.some(([rule]) => rule === "phone")) {
+    field.value = normalizeIndonesianPhone(value, format) || value;
+  }
+  return true;
+}
+
+/**
+ * Validate a field against its rules and show or clear its error.
+ * Returns true when the field is valid. Rules that answer with a Promise
+ * are skipped; validateFieldAsync waits for them.
+ */
+function validateField(field) {
+  const value = field.value.trim();
+  const rules = getFieldRules(field);
+
+  // Supersedes any async run still in flight
+  field._validationRun = (field._validationRun || 0) + 1;
+
+  const failure = runFieldRules(field, value, rules, { skipAsync: true });
+  return applyFieldValidation(field, value, rules, failure);
+}
+
+/**
+ * Like validateField, but waits for async rules. Resolves to true when the
+ * field is valid.
+ */
+async function validateFieldAsync(field) {
+  const value = field.value.trim();
+  const rules = getFieldRules(field);
+
+  // Ignore results of an older run that finished late (async rules)
+  const run = (field._validationRun || 0) + 1;
+  field._validationRun = run;
+
+  const failure = await runFieldRules(field, value, rules);
+  if (field._validationRun !== run) return !failure;
+
+  return applyFieldValidation(field, value, rules, failure);
+}
+
+/**
+ * Validate every field of a form; focuses the first invalid field
+ */
+async function validateForm(form) {
+  const fields = Array.from(
+    form.querySelectorAll("input, select, textarea")
+  ).filter(
+    (field) =>
+      !field.disabled &&
+      !["hidden", "submit", "button", "reset"].includes(field.type) &&
+      getFieldRules(field).length > 0
+  );
+
+  const results = await Promise.all(fields.map(validateFieldAsync));
+  const firstInvalid = fields.find((field, index) => !results[index]);
+
+  if (firstInvalid) {
+    firstInvalid.focus();
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Live validation for a form: check on blur, clear errors while typing
+ */
+function attachFormValidation(form) {
+  // Errors are rendered by showFieldError instead of browser bubbles
+  form.noValidate = true;
+
+  form.querySelectorAll("input, select, textarea").forEach((field) => {
+    field.addEventListener("blur", function () {
+      validateFieldAsync(this);
+    });
+
+    field.addEventListener(
+      field.tagName === "SELECT" ? "change" : "input",
+      function () {
+        clearFieldError(this);
+      }
+    );
+  });
+}
+
+let fieldErrorCount = 0;
+
+/**
+ * Show an error under a field and link it with aria-describedby
+ */
+function showFieldError(field, message) {
+  field.classList.add("error");
+  field.setAttribute("aria-invalid", "true");
+
+  if (!field.id) {
+    field.id = `field-${++fieldErrorCount}`;
+  }
+  const errorId = `${field.id}-error`;
+
+  // Remove existing error message
+  const existingError = field.parentElement.querySelector(".field-error");
+  if (existingError) {
+    existingError.remove();
+  }
+
+  // Add new error message
+  const errorElement = document.createElement("div");
+  errorElement.id = errorId;
+  errorElement.className = "field-error text-red-500 text-sm mt-1";
+  errorElement.setAttribute("role", "alert");
+  errorElement.textContent = message;
+  field.parentElement.appendChild(errorElement);
+
+  const describedBy = (field.getAttribute("aria-describedby") || "")
+    .split(" ")
+    .filter((id) => id && id !== errorId);
+  field.setAttribute("aria-describedby", [...describedBy, errorId].join(" "));
+}
+
+function clearFieldError(field) {
+  field.classList.remove("error");
+  field.removeAttribute("aria-invalid");
+
+  const errorElement = field.parentElement.querySelector(".field-error");
+  if (errorElement) {
+    errorElement.remove();
+  }
+
+  const describedBy = (field.getAttribute("aria-describedby") || "")
+    .split(" ")
+    .filter((id) => id && id !== `${field.id}-error`);
+  if (describedBy.length > 0) {
+    field.setAttribute("aria-describedby", describedBy.join(" "));
+  } else {
+    field.removeAttribute("aria-describedby");
+  }
+}
+
+/**
+ * Normalise an Indonesian phone number (0813…, 62813…, +62 813-…).
+ * format: "international" (+62813…), "national" (0813…) or "whatsapp"
+ * (62813…, as used by wa.me). Returns null if it is not a valid number.
+ */
+function normalizeIndonesianPhone(phone, format = "international") {
+  let digits = String(phone).replace(/[\s().-]/g, "");
+
+  if (digits.startsWith("+62")) {
+    digits = digits.slice(3);
+  } else if (digits.startsWith("62")) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith("0")) {
+    digits = digits.slice(1);
+  } else {
+    return null;
+  }
+
+  // Subscriber number without the leading 0: 8–12 digits
+  if (!/^[1-9]\d{7,11}$/.test(digits)) return null;
+
+  switch (format) {
+    case "national":
+      return `0${digits}`;
+    case "whatsapp":
+      return `62${digits}`;
+    default:
+      return `+62${digits}`;
+  }
+}
+
+/**
+ * Form Submission Transport
+ */
+
+// Default transport settings, overridable per form kind and per form element
+// (data-transport, data-endpoint or an http(s) action). No endpoint is set
+// yet, so forms open the visitor's email client addressed to `mailto`; give
+// a kind an `endpoint` to send it to Formspree or a JSON API instead, with
+// retries, timeouts and the offline queue.
+const FORM_TRANSPORT_CONFIG = {
+  defaults: {
+    // "formspree", "json" or "mailto"; mailto is used until an endpoint is set
+    type: "formspree",
+    endpoint: "",
+    mailto: "amissasweetcare@gmail.com",
+    retries: 2,
+    retryDelay: 1000,
+    timeout: 10000,
+  },
+  contact: {},
+  newsletter: {},
+  wholesale: {},
+  // Reviews land in a moderation queue; scripts/moderate-reviews.js
+  // publishes the approved ones to assets/data/reviews.json. A mailed
+  // review never reaches that queue, so the review form stays disabled
+  // until this kind has an endpoint.
+  review: {},
+};
+
+/**
+ * Error raised by a form transport. `retryable` marks network failures,
+ * timeouts and 5xx/429 responses that are worth sending again.
+ */
+class SubmissionError extends Error {
+  constructor(message, { status = 0, retryable = false } = {}) {
+    super(message);
+    this.name = "SubmissionError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const formTransports = {
+  // Formspree-style endpoint: form-encoded POST, JSON response
+  formspree: async function (payload, config) {
+    const body = new FormData();
+    Object.entries(payload).forEach(([key, value]) => body.append(key, value));
+
+    const response = await fetchWithTimeout(
+      config.endpoint,
+      {
+        method: "POST",
+        headers: { Accept: "application/json" },
+        body: body,
+      },
+      config.timeout
+    );
+
+    return parseSubmissionResponse(response);
+  },
+
+  // Generic JSON API endpoint
+  json: async function (payload, config) {
+    const response = await fetchWithTimeout(
+      config.endpoint,
+      {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+      },
+      config.timeout
+    );
+
+    return parseSubmissionResponse(response);
+  },
+
+  // Opens the visitor's email client; delivery cannot be confirmed
+  mailto: async function (payload, config) {
+    const { _subject, ...fields } = payload;
+    const body = Object.entries(fields)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join("\n");
+
+    const query = new URLSearchParams({
+      subject: _subject || "Amissa SweetCare",
+      body: body,
+    })
+      .toString()
+      .replace(/\+/g, "%20");
+
+    window.location.href = `mailto:${config.mailto}?${query}`;
+
+    return { ok: true, fallback: true };
+  },
+};
+
+/**
+ * Register a custom form transport
+ */
+function registerFormTransport(type, handler) {
+  if (typeof handler !== "function") {
+    throw new TypeError(`Transport "${type}" must be a function`);
+  }
+  formTransports[type] = handler;
+}
+
+/**
+ * Merge transport config for a form kind with per-call overrides
+ */
+function getFormTransportConfig(kind, overrides = {}) {
+  const config = {
+    ...FORM_TRANSPORT_CONFIG.defaults,
+    ...(FORM_TRANSPORT_CONFIG[kind] || {}),
+    ...overrides,
+  };
+
+  // Without an endpoint the only working transport is mailto
+  if (!config.endpoint && config.type !== "mailto") {
+    config.type = "mailto";
+  }
+
+  return config;
+}
+
+/**
+ * Read transport overrides from a form's data attributes
+ */
+function getFormTransportOptions(form) {
+  if (!form) return {};
+
+  const options = {};
+  const action = form.getAttribute("action");
+
+  if (form.dataset.transport) options.type = form.dataset.transport;
+  if (form.dataset.endpoint) {
+    options.endpoint = form.dataset.endpoint;
+  } else if (action && /^https?:/.test(action)) {
+    options.endpoint = action;
+  }
+
+  return options;
+}
+
+/**
+ * Send form data through the configured transport, retrying network failures
+ */
+async function submitForm(kind, payload, overrides = {}) {
+  const config = getFormTransportConfig(kind, overrides);
+  const transport = formTransports[config.type];
+
+  if (!transport) {
+    throw new SubmissionError(`Unknown form transport "${config.type}"`);
+  }
+
+  // Queued entries already carry the page they were filled in on
+  const data = { _page: currentPage || getCurrentPage(), ...payload };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await transport(data, config);
+    } catch (error) {
+      const submissionError =
+        error instanceof SubmissionError
+          ? error
+          : new SubmissionError(error.message || "Network error", {
+              retryable: true,
+            });
+
+      if (!submissionError.retryable || attempt >= config.retries) {
+        throw submissionError;
+      }
+
+      const delay = config.retryDelay * Math.pow(2, attempt);
+      console.warn(
+        `⚠️ ${kind} submission failed, retrying in ${delay}ms:`,
+        submissionError.message
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * fetch() that rejects with a retryable SubmissionError after `timeout` ms
+ */
+async function fetchWithTimeout(url, options, timeout) {
+  const controller =
+    typeof AbortController !== "undefined" ? new AbortController() : null;
+  const timer =
+    controller && timeout
+      ? setTimeout(() => controller.abort(), timeout)
+      : null;
+
+  try {
+    return await fetch(url, {
+      ...options,
+      signal: controller ? controller.signal : undefined,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new SubmissionError("Request timed out", { retryable: true });
+    }
+    throw new SubmissionError(error.message || "Network error", {
+      retryable: true,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Turn an endpoint response into a result or a SubmissionError
+ */
+async function parseSubmissionResponse(response) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    // Endpoint returned no JSON body
+  }
+
+  if (!response.ok) {
+    const message =
+      (body && body.errors && body.errors.map((e) => e.message).join(", ")) ||
+      (body && (body.error || body.message)) ||
+      `Request failed with status ${response.status}`;
+
+    throw new SubmissionError(message, {
+      status: response.status,
+      retryable: response.status >= 500 || response.status === 429,
+    });
+  }
+
+  return { ok: true, data: body };
+}
+
+/**
+ * Progressive Web App
+ */
+
+const SERVICE_WORKER_URL = "sw.js";
+
+let offlineNotification = null;
+
+/**
+ * Register sw.js, offer a reload when a new version is waiting and tell
+ * the visitor when the connection drops
+ */
+function initializeServiceWorker() {
+  window.addEventListener("offline", function () {
+    offlineNotification = showNotification(t("pwa.offline"), "warning", 0);
+  });
+
+  window.addEventListener("online", function () {
+    offlineNotification?.dismiss();
+    offlineNotification = null;
+  });
+
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+
+  // Wait for the page to finish loading so registration does not compete
+  // with the first render
+  if (document.readyState === "complete") {
+    registerServiceWorker();
+  } else {
+    window.addEventListener("load", registerServiceWorker, { once: true });
+  }
+}
+
+async function registerServiceWorker() {
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    console.log("✅ Service worker registered");
+  } catch (error) {
+    console.warn("⚠️ Service worker registration failed:", error);
+    return;
+  }
+
+  // An update finished installing during an earlier visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    promptServiceWorkerUpdate(registration.waiting);
+  }
+
+  registration.addEventListener("updatefound", function () {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener("statechange", function () {
+      if (worker.state !== "installed") return;
+
+      if (navigator.serviceWorker.controller) {
+        promptServiceWorkerUpdate(worker);
+      } else {
+        // First install: everything is precached now
+        showNotification(t("pwa.offlineReady"), "success");
+      }
+    });
+  });
+
+  // Check for a new version whenever the visitor comes back to the tab
+  document.addEventListener("visibilitychange", function () {
+    if (!document.hidden) {
+      registration.update().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Ask before switching to the new version, since it reloads the page
+ */
+function promptServiceWorkerUpdate(worker) {
+  showNotification(t("pwa.updateAvailable"), "info", {
+    duration: 0,
+    actions: [
+      {
+        label: t("pwa.reload"),
+        onClick: () => {
+          navigator.serviceWorker.addEventListener(
+            "controllerchange",
+            () => window.location.reload(),
+            { once: true }
+          );
+          worker.postMessage({ type: "SKIP_WAITING" });
+        },
+      },
+    ],
+  });
+}
+
+/**
+ * Offline Submission Queue
+ */
+
+const SUBMISSION_QUEUE_KEY = "amissa-submission-queue";
+const SUBMISSION_QUEUE_LIMIT = 20;
+
+let isFlushingQueue = false;
+
+/**
+ * Flush queued submissions now and whenever the connection comes back
+ */
+function initializeSubmissionQueue() {
+  window.addEventListener("online", function () {
+    console.log("🌐 Back online");
+    flushSubmissionQueue();
+  });
+
+  flushSubmissionQueue();
+}
+
+/**
+ * Submit right away, or queue the submission when the visitor is offline
+ * or the endpoint cannot be reached
+ */
+async function sendOrQueueSubmission(kind, payload, overrides = {}) {
+  // The mail client handles mailto delivery itself, so it is never queued
+  const canQueue = getFormTransportConfig(kind, overrides).type !== "mailto";
+
+  if (canQueue && navigator.onLine === false) {
+    queueSubmission(kind, payload, overrides);
+    return { ok: true, queued: true };
+  }
+
+  try {
+    return await submitForm(kind, payload, overrides);
+  } catch (error) {
+    if (canQueue && error.retryable) {
+      queueSubmission(kind, payload, overrides);
+      return { ok: true, queued: true };
+    }
+    throw error;
+  }
+}
+
+function loadSubmissionQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SUBMISSION_QUEUE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn("⚠️ Could not read submission queue:", error);
+    return [];
+  }
+}
+
+function saveSubmissionQueue(queue) {
+  try {
+    localStorage.setItem(SUBMISSION_QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.warn("⚠️ Could not save submission queue:", error);
+  }
+}
+
+/**
+ * Persist a submission so it survives reloads until it can be sent
+ */
+function queueSubmission(kind, payload, overrides = {}) {
+  const queue = loadSubmissionQueue();
+
+  queue.push({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    kind: kind,
+    // The queue may be flushed from another page
+    payload: { _page: currentPage || getCurrentPage(), ...payload },
+    overrides: overrides,
+    queuedAt: new Date().toISOString(),
+  });
+
+  // Keep the newest entries if the queue grows too large
+  saveSubmissionQueue(queue.slice(-SUBMISSION_QUEUE_LIMIT));
+  console.log(`📥 Queued ${kind} submission (${queue.length} pending)`);
+}
+
+/**
+ * Send queued submissions in order; stops at the first network failure
+ */
+async function flushSubmissionQueue() {
+  if (isFlushingQueue || navigator.onLine === false) return;
+
+  let queue = loadSubmissionQueue();
+  if (queue.length === 0) return;
+
+  isFlushingQueue = true;
+  let sent = 0;
+
+  try {
+    while (queue.length > 0) {
+      const entry = queue[0];
+
+      try {
+        await submitForm(entry.kind, entry.payload, entry.overrides);
+        sent++;
+      } catch (error) {
+        if (error.retryable) {
+          console.warn("⚠️ Queue flush paused:", error.message);
+          break;
+        }
+
+        // Rejected by the endpoint; resending will not help
+        console.error(`❌ Dropped queued ${entry.kind} submission:`, error);
+        showNotification(getSubmissionErrorMessage(error), "error");
+      }
+
+      // Re-read in case another tab changed the queue meanwhile
+      queue = loadSubmissionQueue().filter((item) => item.id !== entry.id);
+      saveSubmissionQueue(queue);
+    }
+  } finally {
+    isFlushingQueue = false;
+  }
+
+  if (sent > 0) {
+    showNotification(
+      sent === 1
+        ? t("form.queueSentOne")
+        : t("form.queueSentMany", { count: sent }),
+      "success"
+    );
+    trackEvent("Forms", "Queue Flushed", "", sent);
+  }
+}
+
+/**
+ * User-facing message for a failed submission
+ */
+function getSubmissionErrorMessage(error) {
+  if (error && error.retryable) {
+    return t("form.networkError");
+  }
+  return error && error.message
+    ? t("form.failedWith", { message: error.message })
+    : t("form.failed");
+}
+
+/**
+ * Initialize lazy loading for images
+ */
+function initializeLazyLoading() {
+  observeLazyImages(document);
+}
+
+let lazyImageObserver = null;
+
+/**
+ * Load the data-src images inside root once they scroll into view
+ */
+function observeLazyImages(root) {
+  // Hidden carousel slides are loaded by the carousel when they come up next
+  const images = Array.from(root.querySelectorAll("img[data-src]")).filter(
+    (img) => !img.closest('.carousel-item[aria-hidden="true"]')
+  );
+
+  if (!("IntersectionObserver" in window)) {
+    // Fallback for browsers that don't support IntersectionObserver
+    images.forEach(loadLazyImage);
+    return;
+  }
+
+  if (!lazyImageObserver) {
+    lazyImageObserver = new IntersectionObserver((entries, observer) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          loadLazyImage(entry.target);
+          observer.unobserve(entry.target);
+        }
+      });
+    });
+  }
+
+  images.forEach((img) => lazyImageObserver.observe(img));
+}
+
+/**
+ * Swap in the real source of a data-src image, as a responsive <picture>
+ * when scripts/build-images.js generated variants for it
+ */
+function loadLazyImage(img) {
+  if (!img.dataset.src || img._lazyLoad) return;
+
+  img.decoding = "async";
+  img._lazyLoad = loadImageManifest().then((manifest) => {
+    const src = img.dataset.src;
+    const entry = manifest[src.replace(/^\.\//, "")];
+
+    if (entry) {
+      upgradeToPicture(img, entry);
+    } else {
+      img.src = src;
+    }
+
+    img.removeAttribute("data-src");
+    img.classList.remove("lazy");
+  });
+}
+
+/**
+ * Responsive Images
+ */
+const IMAGE_MANIFEST_VERSION = 1;
+
+let imageManifestPromise = null;
+
+/**
+ * Image variants by source path; empty when the manifest was not built.
+ * scripts/build.js names the manifest in a meta tag when it ships one.
+ */
+function loadImageManifest() {
+  const url = document.querySelector('meta[name="image-manifest"]')?.content;
+  if (!url) return Promise.resolve({});
+
+  if (!imageManifestPromise) {
+    imageManifestPromise = fetch(url)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((manifest) =>
+        manifest && manifest.version === IMAGE_MANIFEST_VERSION
+          ? manifest.images
+          : {}
+      )
+      .catch(() => ({}));
+  }
+  return imageManifestPromise;
+}
+
+/**
+ * Wrap an image in <picture> with AVIF/WebP sources and a blurred
+ * placeholder that shows until the chosen variant has loaded
+ */
+function upgradeToPicture(img, entry) {
+  const sizes = img.dataset.sizes || "100vw";
+  const fallback = entry.formats.jpeg || entry.formats.png || [];
+
+  // display: contents keeps grid and flex layouts as they were
+  const picture = document.createElement("picture");
+  picture.className = "contents";
+
+  ["avif", "webp"].forEach((format) => {
+    const variants = entry.formats[format];
+    if (!variants || variants.length === 0) return;
+
+    const source = document.createElement("source");
+    source.type = `image/${format}`;
+    source.srcset = getImageSrcset(variants);
+    source.sizes = sizes;
+    picture.appendChild(source);
+  });
+
+  img.parentNode.insertBefore(picture, img);
+  picture.appendChild(img);
+
+  if (!img.hasAttribute("width") && entry.width && entry.height) {
+    img.width = entry.width;
+    img.height = entry.height;
+  }
+
+  // The lightbox shows the largest variant instead of the original
+  if (fallback.length > 0 && !img.dataset.full) {
+    img.dataset.full = fallback[fallback.length - 1].src;
+  }
+
+  if (entry.placeholder) {
+    img.style.backgroundImage = `url("${entry.placeholder}")`;
+    img.style.backgroundSize = "cover";
+    img.classList.add("blur-sm");
+
+    const reveal = () => {
+      img.style.backgroundImage = "";
+      img.style.backgroundSize = "";
+      img.classList.remove("blur-sm");
+    };
+    img.addEventListener("load", reveal, { once: true });
+    img.addEventListener("error", reveal, { once: true });
+  }
+
+  if (fallback.length > 0) {
+    img.sizes = sizes;
+    img.srcset = getImageSrcset(fallback);
+    img.src = fallback[0].src;
+  } else {
+    img.src = img.dataset.src;
+  }
+}
+
+/**
+ * srcset attribute for a list of { src, width } variants
+ */
+function getImageSrcset(variants) {
+  return variants.map(({ src, width }) => `${src} ${width}w`).join(", ");
+}
+
+/**
+ * Initialize smooth scrolling
+ */
+function initializeSmoothScrolling() {
+  const scrollLinks = document.querySelectorAll('a[href^="#"]');
+
+  scrollLinks.forEach((link) => {
+    link.addEventListener("click", function (e) {
+      e.preventDefault();
+      const targetId = this.getAttribute("href");
+      scrollToElement(targetId);
+    });
+  });
+}
+
+/**
+ * Initialize tooltips
+ */
+function initializeTooltips() {
+  const tooltipElements = document.querySelectorAll("[data-tooltip]");
+
+  tooltipElements.forEach((element) => {
+    element.addEventListener("mouseenter", showTooltip);
+    element.addEventListener("mouseleave", hideTooltip);
+  });
+}
+
+/**
+ * Initialize scroll effects
+ */
+function initializeScrollEffects() {
+  // Navbar background on scroll
+  const navbar = document.querySelector("nav");
+  if (navbar) {
+    window.addEventListener(
+      "scroll",
+      throttle(function () {
+        if (window.pageYOffset > 50) {
+          navbar.classList.add("scrolled");
+        } else {
+          navbar.classList.remove("scrolled");
+        }
+      }, 100)
+    );
+  }
+
+  // Fade in animations on scroll
+  initializeScrollAnimations();
+}
+
+/**
+ * Initialize scroll animations
+ */
+function initializeScrollAnimations() {
+  const animatedElements = document.querySelectorAll(
+    ".fade-in-up, .fade-in, .slide-in-left, .slide-in-right"
+  );
+
+  if ("IntersectionObserver" in window) {
+    const animationObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add("animated");
+          }
+        });
+      },
+      {
+        threshold: 0.1,
+        rootMargin: "0px 0px -50px 0px",
+      }
+    );
+
+    animatedElements.forEach((el) => animationObserver.observe(el));
+  }
+}
+
+/**
+ * Scroll to element smoothly
+ */
+function scrollToElement(targetId) {
+  const target = document.querySelector(targetId);
+  if (!target) return;
+
+  const headerOffset = document.querySelector("nav")?.offsetHeight || 0;
+  const elementPosition = target.getBoundingClientRect().top;
+  const offsetPosition =
+    elementPosition + window.pageYOffset - headerOffset - 20;
+
+  window.scrollTo({
+    top: offsetPosition,
+    behavior: "smooth",
+  });
+}
+
+/**
+ * Multi-step Forms
+ */
+
+// form[data-steps] holds [data-step] sections with [data-step-next] and
+// [data-step-prev] buttons. A step may name an extra check in
+// data-step-validate (see registerStepValidator).
+const stepValidators = {};
+
+const FORM_DRAFT_PREFIX = "amissa-form-draft:";
+const FORM_DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Register a whole-step check: (step, form) => true | message
+ */
+function registerStepValidator(name, validator) {
+  stepValidators[name] = validator;
+}
+
+/**
+ * Set up step navigation for a multi-step form
+ */
+function initializeMultiStepForm(form) {
+  const steps = getFormSteps(form);
+  if (steps.length === 0) return;
+
+  form.addEventListener("click", function (e) {
+    if (e.target.closest("[data-step-next]")) {
+      e.preventDefault();
+      goToNextFormStep(form);
+    } else if (e.target.closest("[data-step-prev]")) {
+      e.preventDefault();
+      showFormStep(form, getCurrentFormStep(form) - 1);
+    }
+  });
+
+  // Start over once the inquiry has been sent
+  form.addEventListener("amissa:formsubmitted", function () {
+    showFormStep(form, 0, { focus: false });
+  });
+
+  showFormStep(form, 0, { focus: false });
+}
+
+function getFormSteps(form) {
+  return Array.from(form.querySelectorAll("[data-step]"));
+}
+
+function getCurrentFormStep(form) {
+  return parseInt(form.dataset.currentStep, 10) || 0;
+}
+
+function isLastFormStep(form) {
+  return getCurrentFormStep(form) >= getFormSteps(form).length - 1;
+}
+
+/**
+ * Show one step, update the progress indicator and focus the step heading
+ */
+function showFormStep(form, index, { focus = true } = {}) {
+  const steps = getFormSteps(form);
+  const current = Math.max(0, Math.min(index, steps.length - 1));
+
+  form.dataset.currentStep = current;
+  steps.forEach((step, i) => {
+    step.hidden = i !== current;
+  });
+
+  form.querySelectorAll("[data-step-indicator] > *").forEach((item, i) => {
+    item.classList.toggle("text-green-600", i <= current);
+    item.classList.toggle("font-semibold", i === current);
+    if (i === current) {
+      item.setAttribute("aria-current", "step");
+    } else {
+      item.removeAttribute("aria-current");
+    }
+  });
+
+  form.dispatchEvent(
+    new CustomEvent("amissa:stepchange", { detail: { step: current } })
+  );
+
+  if (focus) {
+    const heading = steps[current].querySelector("legend, h2, h3");
+    if (heading) {
+      heading.setAttribute("tabindex", "-1");
+      heading.focus();
+    }
+  }
+}
+
+/**
+ * Validate the current step and move on if it passes
+ */
+async function goToNextFormStep(form) {
+  const step = getFormSteps(form)[getCurrentFormStep(form)];
+  if (!step || !(await validateFormStep(step, form))) return false;
+
+  showFormStep(form, getCurrentFormStep(form) + 1);
+  return true;
+}
+
+/**
+ * Field rules plus the step's data-step-validate check
+ */
+async function validateFormStep(step, form) {
+  const fieldsValid = await validateForm(step);
+
+  const errorElement = step.querySelector("[data-step-error]");
+  const validator = stepValidators[step.dataset.stepValidate];
+  const result = validator ? await validator(step, form) : true;
+
+  if (errorElement) {
+    errorElement.textContent = result === true ? "" : result;
+    errorElement.classList.toggle("hidden", result === true);
+  }
+
+  return fieldsValid && result === true;
+}
+
+/**
+ * Validate every step; shows the first invalid one
+ */
+async function validateAllFormSteps(form) {
+  const steps = getFormSteps(form);
+
+  for (let i = 0; i < steps.length; i++) {
+    if (!(await validateFormStep(steps[i], form))) {
+      showFormStep(form, i);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Keep a form's values in localStorage (form[data-autosave] with an id)
+ * and restore them on the next visit
+ */
+function initializeFormDraft(form) {
+  if (!form.id) return;
+
+  const key = `${FORM_DRAFT_PREFIX}${form.id}`;
+
+  if (restoreFormDraft(form, key)) {
+    // Let dependent UI (such as the quote) catch up with restored values
+    form.dispatchEvent(new Event("input", { bubbles: true }));
+    showNotification(t("form.draftRestored"), "info");
+  }
+
+  const save = debounce(() => saveFormDraft(form, key), 500);
+  form.addEventListener("input", save);
+  form.addEventListener("change", save);
+
+  form.addEventListener("amissa:formsubmitted", function () {
+    clearFormDraft(form);
+  });
+}
+
+/**
+ * Fields worth saving in a draft
+ */
+function getDraftFields(form) {
+  return Array.from(form.elements).filter(
+    (field) =>
+      field.name &&
+      !field.name.startsWith("_") &&
+      !field.hasAttribute("data-no-autosave") &&
+      !["hidden", "password", "file", "submit", "button"].includes(field.type)
+  );
+}
+
+function saveFormDraft(form, key) {
+  const values = {};
+  getDraftFields(form).forEach((field) => {
+    values[field.name] =
+      field.type === "checkbox" || field.type === "radio"
+        ? field.checked
+        : field.value;
+  });
+
+  try {
+    localStorage.setItem(
+      key,
+      JSON.stringify({ savedAt: Date.now(), values: values })
+    );
+  } catch (error) {
+    console.warn("⚠️ Could not save form draft:", error);
+  }
+}
+
+function restoreFormDraft(form, key) {
+  let draft = null;
+  try {
+    draft = JSON.parse(localStorage.getItem(key));
+  } catch (error) {
+    return false;
+  }
+
+  if (!draft || Date.now() - draft.savedAt > FORM_DRAFT_MAX_AGE) {
+    return false;
+  }
+
+  let restored = false;
+  getDraftFields(form).forEach((field) => {
+    if (!(field.name in draft.values)) return;
+
+    if (field.type === "checkbox" || field.type === "radio") {
+      field.checked = Boolean(draft.values[field.name]);
+    } else if (draft.values[field.name]) {
+      field.value = draft.values[field.name];
+      restored = true;
+    }
+  });
+
+  return restored;
+}
+
+function clearFormDraft(form) {
+  try {
+    localStorage.removeItem(`${FORM_DRAFT_PREFIX}${form.id}`);
+  } catch (error) {
+    // Nothing to clear
+  }
+}
+
+/**
+ * Wholesale Inquiry
+ */
+
+/**
+ * Set up the reseller form: volume rows from the catalog, live quote,
+ * summary and WhatsApp sending
+ */
+function initializeWholesaleForm() {
+  const form = document.getElementById("wholesale-form");
+  if (!form) return;
+
+  renderWholesaleVolumeRows(form);
+
+  registerStepValidator("wholesaleVolume", function (step, currentForm) {
+    const quote = calculateWholesaleQuote(getWholesaleQuantities(currentForm));
+    return quote.lines.length > 0 || t("wholesale.volumeRequired");
+  });
+
+  const update = () => updateWholesaleQuote(form);
+  form.addEventListener("input", update);
+  form.addEventListener("amissa:stepchange", update);
+  form.addEventListener("amissa:formsubmitted", update);
+  document.addEventListener("amissa:languagechange", function () {
+    renderWholesaleVolumeRows(form);
+    update();
+  });
+
+  form
+    .querySelector("[data-wholesale-whatsapp]")
+    ?.addEventListener("click", () => sendWholesaleViaWhatsApp(form));
+
+  update();
+}
+
+/**
+ * One monthly volume input per pack size, with its tier prices
+ */
+function renderWholesaleVolumeRows(form) {
+  const container = form.querySelector("[data-wholesale-items]");
+  if (!container) return;
+
+  const products = productCatalog ? productCatalog.products : [];
+  if (products.length === 0) {
+    container.innerHTML = `<p class="text-gray-600" data-i18n="product.loadFailed">${t(
+      "product.loadFailed"
+    )}</p>`;
+    return;
+  }
+
+  // Keep typed values when re-rendering for a language change
+  const quantities = getWholesaleQuantities(form);
+
+  container.innerHTML = products
+    .map((product) => {
+      const id = escapeHTML(product.id);
+      const tiers =
+        (product.wholesale || [])
+          .map((tier) =>
+            t("wholesale.tier", {
+              quantity: tier.minQuantity,
+              price: formatPrice(tier.price),
+            })
+          )
+          .join(" · ") || t("wholesale.tiersPending");
+
+      return `
+                <div class="flex items-center justify-between gap-4 py-3 border-b border-gray-100">
+                    <label for="wholesale-qty-${id}" class="flex-1">
+                        <span class="block font-medium text-gray-800">${escapeHTML(
+                          product.name
+                        )}${
+        hasPrice(product) ? ` &middot; ${formatPrice(product.price)}` : ""
+      }</span>
+                        <span class="block text-xs text-gray-500">${escapeHTML(
+                          tiers
+                        )}</span>
+                    </label>
+                    <input
+                        id="wholesale-qty-${id}"
+                        name="qty_${id}"
+                        type="number"
+                        min="0"
+                        max="100000"
+                        step="1"
+                        inputmode="numeric"
+                        placeholder="0"
+                        value="${quantities[product.id] || ""}"
+                        data-quote-product="${id}"
+                        class="w-28 px-3 py-2 border border-gray-300 rounded-lg text-right focus:outline-none focus:ring-2 focus:ring-green-500" />
+                </div>`;
+    })
+    .join("");
+}
+
+/**
+ * Monthly packs per product id from the volume inputs
+ */
+function getWholesaleQuantities(form) {
+  const quantities = {};
+  form.querySelectorAll("[data-quote-product]").forEach((input) => {
+    const quantity = Math.max(0, Math.floor(Number(input.value) || 0));
+    if (quantity > 0) {
+      quantities[input.dataset.quoteProduct] = quantity;
+    }
+  });
+  return quantities;
+}
+
+/**
+ * Unit price for a monthly volume: the highest tier reached, else retail,
+ * else null while the product has no confirmed price
+ */
+function getWholesaleUnitPrice(product, quantity) {
+  const tier = (product.wholesale || [])
+    .filter((item) => quantity >= item.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  if (tier) return tier.price;
+  return hasPrice(product) ? product.price : null;
+}
+
+/**
+ * Estimate for the given quantities ({ productId: packs })
+ */
+function calculateWholesaleQuote(quantities) {
+  const lines = Object.entries(quantities)
+    .map(([id, quantity]) => {
+      const product = getProduct(id);
+      if (!product) return null;
+
+      const unitPrice = getWholesaleUnitPrice(product, quantity);
+      if (unitPrice === null) {
+        return { product, quantity, unitPrice, total: null, savings: 0 };
+      }
+
+      return {
+        product,
+        quantity,
+        unitPrice,
+        total: unitPrice * quantity,
+        savings: hasPrice(product) ? (product.price - unitPrice) * quantity : 0,
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    lines,
+    // A partial total would understate the order, so estimate all or nothing
+    priced: lines.every((line) => line.total !== null),
+    total: lines.reduce((sum, line) => sum + line.total, 0),
+    savings: lines.reduce((sum, line) => sum + line.savings, 0),
+  };
+}
+
+/**
+ * Monthly total with the tier savings (or the retail-price note)
+ */
+function renderWholesaleEstimate(quote) {
+  return `
+                <p class="flex justify-between gap-4 font-semibold text-gray-800 border-t border-gray-200 mt-2 pt-2">
+                    <span>${t("wholesale.total")}</span>
+                    <span>${formatPrice(quote.total)}</span>
+                </p>
+                ${
+                  quote.savings > 0
+                    ? `<p class="text-sm text-green-600">${t(
+                        "wholesale.savings",
+                        { amount: formatPrice(quote.savings) }
+                      )}</p>`
+                    : `<p class="text-sm text-gray-500">${t(
+                        "wholesale.retailEstimate"
+                      )}</p>`
+                }`;
+}
+
+/**
+ * Refresh the live estimate and the final summary
+ */
+function updateWholesaleQuote(form) {
+  const quote = calculateWholesaleQuote(getWholesaleQuantities(form));
+
+  form.querySelectorAll("[data-wholesale-quote]").forEach((element) => {
+    element.innerHTML =
+      quote.lines.length === 0
+        ? `<p class="text-gray-500">${t("wholesale.quoteEmpty")}</p>`
+        : `
+                <ul class="space-y-1">${quote.lines
+                  .map(
+                    (line) => `
+                    <li class="flex justify-between gap-4">
+                        <span>${escapeHTML(line.product.name)} &times; ${
+                      line.quantity
+                    }</span>
+                        ${
+                          quote.priced
+                            ? `<span>${formatPrice(line.total)}</span>`
+                            : ""
+                        }
+                    </li>`
+                  )
+                  .join("")}
+                </ul>
+                ${
+                  quote.priced
+                    ? renderWholesaleEstimate(quote)
+                    : `<p class="text-sm text-gray-500 mt-2">${t(
+                        "wholesale.tiersPending"
+                      )}</p>`
+                }`;
+  });
+
+  const summary = buildWholesaleSummary(form, quote);
+  const preview = form.querySelector("[data-wholesale-summary]");
+  if (preview) {
+    preview.textContent = summary;
+  }
+
+  // Sent with the form through the transport
+  const field = form.querySelector('[name="summary"]');
+  if (field) {
+    field.value = summary;
+  }
+}
+
+/**
+ * Plain-text inquiry used for the email/transport and WhatsApp message
+ */
+function buildWholesaleSummary(form, quote) {
+  const value = (name) => {
+    const field = form.elements[name];
+    if (!field) return "";
+    if (field.tagName === "SELECT") {
+      return field.value ? field.selectedOptions[0].textContent.trim() : "";
+    }
+    return field.value.trim();
+  };
+
+  const lines = quote.lines.map((line) =>
+    quote.priced
+      ? `- ${line.product.name}: ${line.quantity} x ${formatPrice(
+          line.unitPrice
+        )} = ${formatPrice(line.total)}`
+      : `- ${line.product.name}: ${line.quantity}`
+  );
+
+  return [
+    t("wholesale.summaryTitle"),
+    "",
+    `${t("wholesale.business")}: ${value("business")} (${value(
+      "businessType"
+    )})`,
+    `${t("wholesale.contact")}: ${value("name")}, ${value("phone")}${
+      value("email") ? `, ${value("email")}` : ""
+    }`,
+    "",
+    `${t("wholesale.volume")}:`,
+    ...(lines.length > 0 ? lines : ["-"]),
+    ...(quote.priced
+      ? [`${t("wholesale.total")}: ${formatPrice(quote.total)}`]
+      : []),
+    "",
+    `${t("wholesale.area")}: ${value("area")}, ${value("city")}`,
+    `${t("wholesale.address")}: ${value("address")}`,
+    `${t("wholesale.schedule")}: ${value("schedule")}`,
+    value("notes") ? `${t("wholesale.notes")}: ${value("notes")}` : "",
+  ]
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Open WhatsApp with the inquiry summary
+ */
+async function sendWholesaleViaWhatsApp(form) {
+  if (!(await validateAllFormSteps(form))) {
+    showNotification(t("form.correctErrors"), "error");
+    return;
+  }
+
+  updateWholesaleQuote(form);
+  const summary = form.querySelector('[name="summary"]').value;
+  const url = `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(
+    tagWhatsAppText(summary)
+  )}`;
+
+  trackEvent("Wholesale", "WhatsApp", form.elements.businessType?.value);
+  window.open(url, "_blank", "noopener");
+}
+
+/**
+ * Product Catalog
+ */
+
+// Marketplace buttons shown in the product detail modal
+const MARKETPLACES = {
+  shopee: {
+    label: "Shopee",
+    icon: "fas fa-shopping-cart",
+    className: "bg-orange-500 hover:bg-orange-600",
+  },
+  tokopedia: {
+    label: "Tokopedia",
+    icon: "fas fa-store",
+    className: "bg-green-500 hover:bg-green-600",
+  },
+  whatsapp: {
+    label: "WhatsApp",
+    icon: "fab fa-whatsapp",
+    className:
+      "bg-gradient-to-r from-green-500 to-yellow-400 hover:from-green-600 hover:to-yellow-500",
+  },
+};
+
+let productCatalog = null;
+
+/**
+ * Load the product catalog and render the product grid
+ */
+async function initializeProductCatalog() {
+  const grid = document.getElementById("product-grid");
+  if (!grid) return;
+
+  const source = grid.dataset.productsSrc || "assets/data/products.json";
+
+  try {
+    productCatalog = await loadProductCatalog(source);
+    renderProductGrid(grid, productCatalog.products);
+    console.log(`✅ Rendered ${productCatalog.products.length} products`);
+  } catch (error) {
+    console.error("❌ Error loading product catalog:", error);
+    grid.innerHTML = `
+            <p class="col-span-full text-center text-gray-600" data-i18n="product.loadFailed">
+                ${t("product.loadFailed")}
+            </p>
+        `;
+  }
+}
+
+/**
+ * Fetch products.json and merge catalog-wide marketplace links into each product
+ */
+async function loadProductCatalog(file) {
+  const response = await fetch(file);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${file}: ${response.status}`);
+  }
+
+  const catalog = await response.json();
+  const defaultLinks = catalog.links || {};
+
+  catalog.products = (catalog.products || []).map((product) => ({
+    ...product,
+    images: product.images || [],
+    benefits: product.benefits || [],
+    links: { ...defaultLinks, ...(product.links || {}) },
+  }));
+
+  return catalog;
+}
+
+/**
+ * Find a product in the loaded catalog by id
+ */
+function getProduct(productId) {
+  if (!productCatalog) return null;
+  return productCatalog.products.find((p) => p.id === productId) || null;
+}
+
+/**
+ * Render product cards into the grid
+ */
+function renderProductGrid(grid, products) {
+  grid.innerHTML = "";
+
+  products.forEach((product, index) => {
+    const card = document.createElement("div");
+    card.className =
+      "bg-white rounded-2xl shadow-lg p-6 hover:shadow-2xl transition fadeInUp flex flex-col";
+    card.id = `produk-${product.id}`;
+    card.dataset.productId = product.id;
+    if (index > 0) {
+      card.style.animationDelay = `${index * 0.1}s`;
+    }
+
+    const name = escapeHTML(product.name);
+    const image = escapeHTML(product.images[0] || "");
+    const summary = escapeHTML(product.summary || "");
+
+    card.innerHTML = `
+            <img
+                data-src="${image}"
+                data-sizes="(min-width: 768px) 33vw, 100vw"
+                alt="${name}"
+                class="rounded-xl mb-4 w-full h-52 object-cover bg-gray-100" />
+            <h3 class="text-xl font-bold text-gray-800">${name}</h3>
+            ${
+              hasPrice(product)
+                ? `<p class="text-green-600 font-semibold mt-1">${formatPrice(
+                    product.price
+                  )}</p>`
+                : ""
+            }
+            <a
+                href="#ulasan"
+                data-product-rating
+                data-review-filter="${escapeHTML(product.id)}"
+                class="text-sm text-gray-600 hover:text-green-700 mt-1 self-start"
+                hidden></a>
+            <p class="text-gray-600 text-sm mt-2 flex-1">${summary}</p>
+            <button
+                type="button"
+                data-product-detail
+                data-i18n="product.readMore"
+                class="mt-6 w-full bg-green-500 hover:bg-green-600 text-white px-5 py-2 rounded-lg shadow-md transition">
+                ${t("product.readMore")}
+            </button>
+            <button
+                type="button"
+                data-add-to-cart="${escapeHTML(product.id)}"
+                class="mt-3 w-full border border-green-500 text-green-600 hover:bg-green-50 px-5 py-2 rounded-lg transition">
+                <i class="fas fa-cart-plus mr-2"></i><span data-i18n="product.addToCart">${t(
+                  "product.addToCart"
+                )}</span>
+            </button>
+        `;
+
+    card
+      .querySelector("[data-product-detail]")
+      .addEventListener("click", function () {
+        openProductModal(product.id, this);
+      });
+
+    grid.appendChild(card);
+  });
+
+  observeLazyImages(grid);
+}
+
+/**
+ * Fill the detail modal with a product and open it
+ */
+function openProductModal(productId, trigger) {
+  const modal = document.getElementById("product-modal");
+  const product = getProduct(productId);
+  if (!modal || !product) return;
+
+  const name = escapeHTML(product.name);
+  const description = escapeHTML(product.description || "");
+  const rating = getProductRating(product.id);
+
+  const thumbnails = product.images
+    .map((src) => {
+      const url = escapeHTML(src);
+      return `
+                <button type="button" data-product-thumb="${url}" class="w-16 h-16 rounded-lg overflow-hidden border-2 border-transparent hover:border-green-500">
+                    <img src="${url}" alt="" class="w-full h-full object-cover" />
+                </button>`;
+    })
+    .join("");
+
+  const benefits = product.benefits
+    .map(
+      (benefit) => `
+                <li><i class="fas fa-check text-green-500 mr-2"></i>${escapeHTML(
+                  benefit
+                )}</li>`
+    )
+    .join("");
+
+  const links = Object.keys(MARKETPLACES)
+    .filter((key) => isListingUrl(product.links[key]))
+    .map((key) => {
+      const { label, icon, className } = MARKETPLACES[key];
+      const href = escapeHTML(product.links[key]);
+      return `
+                <a
+                    href="${href}"
+                    target="_blank"
+                    rel="noopener"
+                    class="${className} text-white px-4 py-2 rounded-lg flex items-center gap-2">
+                    <i class="${icon}"></i> ${label}
+                </a>`;
+    })
+    .join("");
+
+  modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-lg max-w-lg w-full p-8 relative fadeInUp max-h-full overflow-y-auto">
+            <button
+                type="button"
+                data-modal-close
+                aria-label="${t("modal.close")}"
+                data-i18n-aria-label="modal.close"
+                class="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <i class="fas fa-times text-xl"></i>
+            </button>
+            <img
+                src="${escapeHTML(product.images[0] || "")}"
+                alt="${name}"
+                data-product-image
+                class="rounded-xl mb-4 w-full h-56 object-cover" />
+            ${
+              product.images.length > 1
+                ? `<div class="flex gap-2 mb-4">${thumbnails}</div>`
+                : ""
+            }
+            <h3 class="text-2xl font-bold mb-1 text-gray-800">${name}</h3>
+            <p class="text-sm text-gray-500 mb-2">
+                <span data-i18n="product.netWeight">${t(
+                  "product.netWeight"
+                )}</span>
+                ${formatWeight(product.weight)}${
+    hasPrice(product)
+      ? ` &middot;
+                <span class="text-green-600 font-semibold">${formatPrice(
+                  product.price
+                )}</span>`
+      : ""
+  }
+            </p>
+            ${
+              rating
+                ? `<p class="text-sm text-gray-600 mb-2 flex items-center gap-2">
+                ${renderStars(rating.average)}
+                ${formatRating(rating.average)} &middot; ${t("reviews.count", {
+                    count: rating.count,
+                  })}
+            </p>`
+                : ""
+            }
+            <p class="text-gray-600 mb-4">${description}</p>
+            ${
+              benefits
+                ? `<ul class="text-gray-700 space-y-2 mb-6">${benefits}</ul>`
+                : ""
+            }
+            <button
+                type="button"
+                data-add-to-cart="${escapeHTML(product.id)}"
+                class="w-full mb-3 bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg shadow-md transition">
+                <i class="fas fa-cart-plus mr-2"></i><span data-i18n="product.addToCart">${t(
+                  "product.addToCart"
+                )}</span>
+            </button>
+            <div class="flex flex-wrap gap-3">${links}</div>
+        </div>
+    `;
+
+  const mainImage = modal.querySelector("[data-product-image]");
+  modal.querySelectorAll("[data-product-thumb]").forEach((thumb) => {
+    thumb.addEventListener("click", function () {
+      mainImage.src = this.dataset.productThumb;
+    });
+  });
+
+  openModal(modal.id, { trigger });
+  trackEvent("Product", "View Detail", product.name);
+}
+
+/**
+ * Team Directory
+ */
+
+// Cards are rendered from assets/data/team.json into #team-grid and can be
+// filtered by role and study programme. team.html#<id> opens the member's
+// profile in #team-profile.
+const TEAM_FILTERS = [
+  { key: "role", label: "team.filterRole" },
+  { key: "programme", label: "team.filterProgramme" },
+];
+
+const TEAM_SOCIALS = {
+  instagram: { label: "Instagram", icon: "fab fa-instagram" },
+  tiktok: { label: "TikTok", icon: "fab fa-tiktok" },
+  linkedin: { label: "LinkedIn", icon: "fab fa-linkedin" },
+  github: { label: "GitHub", icon: "fab fa-github" },
+  email: { label: "Email", icon: "fas fa-envelope" },
+};
+
+let teamMembers = [];
+const teamFilters = { role: "", programme: "" };
+
+/**
+ * Load the team and render the directory
+ */
+async function initializeTeamDirectory() {
+  const grid = document.getElementById("team-grid");
+  if (!grid) return;
+
+  try {
+    const response = await fetch(
+      grid.dataset.teamSrc || "assets/data/team.json"
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load team: ${response.status}`);
+    }
+
+    teamMembers = (await response.json()).members || [];
+    renderTeamGrid(grid);
+    renderTeamFilters(document.querySelector("[data-team-filters]"));
+    console.log(`✅ Rendered ${teamMembers.length} team members`);
+  } catch (error) {
+    console.error("❌ Error loading team:", error);
+    grid.innerHTML = `
+            <p class="col-span-full text-center text-gray-600" data-i18n="team.loadFailed">
+                ${t("team.loadFailed")}
+            </p>
+        `;
+    return;
+  }
+
+  grid.addEventListener("click", function (e) {
+    const storyButton = e.target.closest("[data-team-story]");
+    if (storyButton) {
+      toggleTeamStory(storyButton);
+      return;
+    }
+
+    const profileButton = e.target.closest("[data-team-profile]");
+    if (profileButton) {
+      openTeamProfile(profileButton.dataset.teamProfile, profileButton);
+    }
+  });
+
+  document.addEventListener("amissa:languagechange", updateTeamFilterStatus);
+
+  // Shareable profile links such as team.html#dea
+  window.addEventListener("hashchange", openTeamProfileFromHash);
+  openTeamProfileFromHash();
+}
+
+function getTeamMember(memberId) {
+  return teamMembers.find((member) => member.id === memberId) || null;
+}
+
+/**
+ * Filter chips for every role and study programme in the data
+ */
+function renderTeamFilters(container) {
+  if (!container) return;
+
+  const chipClass =
+    "px-4 py-1.5 rounded-full border text-sm transition focus:outline-none focus:ring-2 focus:ring-green-400";
+
+  container.innerHTML = `
+        ${TEAM_FILTERS.map(({ key, label }) => {
+          const values = [
+            ...new Set(teamMembers.map((member) => member[key])),
+          ].filter(Boolean);
+
+          const chips = ["", ...values]
+            .map((value) => {
+              const text = value
+                ? escapeHTML(value)
+                : `<span data-i18n="team.filterAll">${t(
+                    "team.filterAll"
+                  )}</span>`;
+              return `<button type="button" data-team-filter="${key}" data-value="${escapeHTML(
+                value
+              )}" aria-pressed="${
+                value === teamFilters[key]
+              }" class="${chipClass}">${text}</button>`;
+            })
+            .join("");
+
+          return `
+                <div role="group" aria-label="${t(
+                  label
+                )}" data-i18n-aria-label="${label}" class="flex flex-wrap items-center justify-center gap-2">
+                    <span class="text-sm text-gray-500 mr-1" data-i18n="${label}">${t(
+            label
+          )}</span>
+                    ${chips}
+                </div>`;
+        }).join("")}
+        <p class="sr-only" role="status" data-team-status></p>
+    `;
+
+  container.addEventListener("click", function (e) {
+    const chip = e.target.closest("[data-team-filter]");
+    if (!chip) return;
+
+    teamFilters[chip.dataset.teamFilter] = chip.dataset.value;
+    applyTeamFilters();
+    trackEvent(
+      "Team",
+      "Filter",
+      `${chip.dataset.teamFilter}: ${chip.dataset.value || "all"}`
+    );
+  });
+
+  updateTeamFilterChips();
+}
+
+/**
+ * Render one card per member
+ */
+function renderTeamGrid(grid) {
+  grid.innerHTML = teamMembers
+    .map((member, index) => {
+      const id = escapeHTML(member.id);
+      const name = escapeHTML(member.name);
+      const border = index % 2 ? "border-yellow-500" : "border-green-500";
+
+      return `
+            <article
+                id="tim-${id}"
+                data-team-member="${id}"
+                class="team-card bg-white p-6 rounded-2xl shadow-lg hover:shadow-2xl transition transform hover:-translate-y-2 flex flex-col">
+                <img
+                    data-src="${escapeHTML(member.photo)}"
+                    data-sizes="160px"
+                    alt="${name}"
+                    class="w-40 h-40 mx-auto rounded-full object-cover border-4 ${border} mb-4 bg-gray-100" />
+                <h3 class="text-xl font-bold text-gray-800">${name}</h3>
+                <p class="text-green-600 font-medium">${escapeHTML(
+                  member.role
+                )}</p>
+                ${
+                  member.focus
+                    ? `<p class="text-sm text-gray-500">${escapeHTML(
+                        member.focus
+                      )}</p>`
+                    : ""
+                }
+                <p class="text-sm text-gray-600 mt-2">
+                    <span data-i18n="team.programme">${t(
+                      "team.programme"
+                    )}</span> ${escapeHTML(member.programme)}
+                </p>
+                <p class="mt-4 text-gray-500 text-sm italic flex-1">"${escapeHTML(
+                  member.quote || ""
+                )}"</p>
+                <div class="mt-6 flex flex-wrap gap-3">
+                    <button
+                        type="button"
+                        data-team-story
+                        aria-expanded="false"
+                        aria-controls="cerita-${id}"
+                        data-i18n="team.readStory"
+                        class="px-4 py-2 bg-green-500 text-white rounded-lg shadow hover:bg-green-600 transition">
+                        ${t("team.readStory")}
+                    </button>
+                    <button
+                        type="button"
+                        data-team-profile="${id}"
+                        aria-haspopup="dialog"
+                        data-i18n="team.viewProfile"
+                        class="px-4 py-2 border border-green-500 text-green-600 rounded-lg hover:bg-green-50 transition">
+                        ${t("team.viewProfile")}
+                    </button>
+                </div>
+                <div id="cerita-${id}" class="mt-4 text-gray-700 text-sm" hidden>
+                    ${escapeHTML(member.story || "")}
+                </div>
+            </article>`;
+    })
+    .join("");
+
+  observeLazyImages(grid);
+}
+
+/**
+ * Show or hide a member's story below the card
+ */
+function toggleTeamStory(button) {
+  const story = document.getElementById(button.getAttribute("aria-controls"));
+  if (!story) return;
+
+  const expanded = button.getAttribute("aria-expanded") !== "true";
+  button.setAttribute("aria-expanded", String(expanded));
+  story.hidden = !expanded;
+
+  // applyTranslations() keeps the label right after a language switch
+  button.dataset.i18n = expanded ? "team.closeStory" : "team.readStory";
+  button.textContent = t(button.dataset.i18n);
+}
+
+/**
+ * Hide the cards that do not match the selected chips
+ */
+function applyTeamFilters() {
+  document.querySelectorAll("[data-team-member]").forEach((card) => {
+    const member = getTeamMember(card.dataset.teamMember);
+    const visible = TEAM_FILTERS.every(
+      ({ key }) => !teamFilters[key] || member[key] === teamFilters[key]
+    );
+    card.classList.toggle("hidden", !visible);
+  });
+
+  updateTeamFilterChips();
+}
+
+function updateTeamFilterChips() {
+  document.querySelectorAll("[data-team-filter]").forEach((chip) => {
+    setFilterChipState(
+      chip,
+      teamFilters[chip.dataset.teamFilter] === chip.dataset.value
+    );
+  });
+
+  updateTeamFilterStatus();
+}
+
+/**
+ * Announce how many members match, or that none do
+ */
+function updateTeamFilterStatus() {
+  const status = document.querySelector("[data-team-status]");
+  const grid = document.getElementById("team-grid");
+  if (!status || !grid) return;
+
+  const shown = grid.querySelectorAll("[data-team-member]:not(.hidden)").length;
+  status.textContent = t("team.filterStatus", {
+    shown,
+    total: teamMembers.length,
+  });
+
+  let empty = grid.querySelector("[data-team-empty]");
+  if (shown === 0 && !empty) {
+    empty = document.createElement("p");
+    empty.dataset.teamEmpty = "";
+    empty.dataset.i18n = "team.noMatch";
+    empty.className = "col-span-full text-center text-gray-600";
+    grid.appendChild(empty);
+  }
+  if (empty) {
+    empty.textContent = t("team.noMatch");
+    empty.hidden = shown > 0;
+  }
+}
+
+/**
+ * Open the profile named by the URL hash, e.g. team.html#dea
+ */
+function openTeamProfileFromHash() {
+  const member = getTeamMember(
+    decodeURIComponent(window.location.hash.slice(1))
+  );
+  if (member) {
+    openTeamProfile(member.id);
+  }
+}
+
+/**
+ * Fill the profile dialog with a member and open it
+ */
+function openTeamProfile(memberId, trigger) {
+  const modal = document.getElementById("team-profile");
+  const member = getTeamMember(memberId);
+  if (!modal || !member) return;
+
+  const name = escapeHTML(member.name);
+  const socials = Object.keys(member.socials || {})
+    .filter((key) => TEAM_SOCIALS[key] && member.socials[key])
+    .map((key) => {
+      const { label, icon } = TEAM_SOCIALS[key];
+      const href =
+        key === "email" ? `mailto:${member.socials[key]}` : member.socials[key];
+      return `
+                <a href="${escapeHTML(
+                  href
+                )}" target="_blank" rel="noopener" aria-label="${label}" class="w-10 h-10 rounded-full bg-gray-100 hover:bg-green-100 text-gray-700 flex items-center justify-center transition">
+                    <i class="${icon}" aria-hidden="true"></i>
+                </a>`;
+    })
+    .join("");
+
+  modal.setAttribute("aria-labelledby", "team-profile-name");
+  modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-lg max-w-lg w-full p-8 relative fadeInUp max-h-full overflow-y-auto">
+            <button
+                type="button"
+                data-modal-close
+                aria-label="${t("modal.close")}"
+                data-i18n-aria-label="modal.close"
+                class="absolute top-4 right-4 text-gray-500 hover:text-gray-700">
+                <i class="fas fa-times text-xl"></i>
+            </button>
+            <img
+                src="${escapeHTML(member.photo)}"
+                alt="${name}"
+                decoding="async"
+                class="w-32 h-32 mx-auto rounded-full object-cover border-4 border-green-500 mb-4" />
+            <h3 id="team-profile-name" class="text-2xl font-bold text-gray-800 text-center">${name}</h3>
+            <p class="text-green-600 font-medium text-center">
+                ${escapeHTML(member.role)}${
+    member.focus ? ` &middot; ${escapeHTML(member.focus)}` : ""
+  }
+            </p>
+            <p class="text-sm text-gray-600 text-center mt-1">
+                <span data-i18n="team.programme">${t(
+                  "team.programme"
+                )}</span> ${escapeHTML(member.programme)}
+            </p>
+            <blockquote class="mt-6 text-gray-500 italic text-center">"${escapeHTML(
+              member.quote || ""
+            )}"</blockquote>
+            <p class="mt-4 text-gray-700 leading-relaxed">${escapeHTML(
+              member.story || ""
+            )}</p>
+            ${
+              socials
+                ? `<div class="mt-6 flex justify-center gap-3">${socials}</div>`
+                : ""
+            }
+            <button
+                type="button"
+                data-team-share
+                class="mt-6 w-full border border-green-500 text-green-600 hover:bg-green-50 px-4 py-2 rounded-lg transition">
+                <i class="fas fa-link mr-2"></i><span data-i18n="team.shareProfile">${t(
+                  "team.shareProfile"
+                )}</span>
+            </button>
+        </div>
+    `;
+
+  modal
+    .querySelector("[data-team-share]")
+    .addEventListener("click", () => shareTeamProfile(member));
+
+  if (!isModalOpen(modal.id)) {
+    // The hash lives on the dialog's history entry, so closing clears it
+    if (window.location.hash) {
+      history.replaceState(
+        history.state,
+        "",
+        window.location.pathname + window.location.search
+      );
+    }
+
+    openModal(modal.id, {
+      trigger:
+        trigger || document.querySelector(`[data-team-profile="${member.id}"]`),
+    });
+  }
+  history.replaceState(history.state, "", `#${member.id}`);
+
+  trackEvent("Team", "View Profile", member.name);
+}
+
+/**
+ * Share a profile link through the share sheet, or copy it
+ */
+async function shareTeamProfile(member) {
+  const url = `${window.location.origin}${window.location.pathname}#${member.id}`;
+
+  try {
+    if (navigator.share) {
+      await navigator.share({ title: member.name, url });
+      return;
+    }
+    await navigator.clipboard.writeText(url);
+    showNotification(t("team.linkCopied"), "success");
+  } catch (error) {
+    // Closing the share sheet is not an error
+    if (error.name !== "AbortError") {
+      showNotification(t("team.linkCopyFailed", { url }), "error");
+    }
+  }
+}
+
+/**
+ * Recipes
+ */
+
+// Recipes and sweetener conversion ratios come from assets/data/recipes.json.
+// Cards in #recipe-grid can be filtered by category and scaled to any number
+// of servings; the converter swaps sugar for Amissa using the ratio of the
+// chosen usage, since Amissa is used in different amounts for drinks, baking
+// and cooking. Until measured ratios are listed under conversion.usages it
+// stays hidden and the page shows the [data-converter-pending] note instead.
+const RECIPE_CATEGORIES = [
+  { key: "drink", label: "recipes.category.drink", icon: "fas fa-mug-hot" },
+  { key: "food", label: "recipes.category.food", icon: "fas fa-utensils" },
+];
+
+const RECIPE_SERVINGS_LIMIT = 50;
+
+let recipeData = null;
+let recipeFilter = "";
+
+/**
+ * Load the recipes and set up the list and the converter
+ */
+async function initializeRecipes() {
+  const grid = document.getElementById("recipe-grid");
+  if (!grid) return;
+
+  try {
+    const response = await fetch(
+      grid.dataset.recipesSrc || "assets/data/recipes.json"
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load recipes: ${response.status}`);
+    }
+
+    recipeData = await response.json();
+    recipeData.recipes = recipeData.recipes || [];
+    renderRecipeGrid(grid);
+    renderRecipeFilters(document.querySelector("[data-recipe-filters]"));
+    initializeSweetenerConverter(
+      document.querySelector("[data-sweetener-converter]")
+    );
+    console.log(`✅ Rendered ${recipeData.recipes.length} recipes`);
+  } catch (error) {
+    console.error("❌ Error loading recipes:", error);
+    grid.innerHTML = `
+            <p class="col-span-full text-center text-gray-600" data-i18n="recipes.loadFailed">
+                ${t("recipes.loadFailed")}
+            </p>
+        `;
+    // The converter cannot work without the ratios either
+    const converter = document.querySelector("[data-sweetener-converter]");
+    if (converter) converter.hidden = true;
+    return;
+  }
+
+  grid.addEventListener("click", function (e) {
+    const toggle = e.target.closest("[data-recipe-toggle]");
+    if (toggle) {
+      toggleRecipeDetails(toggle);
+      return;
+    }
+
+    const step = e.target.closest("[data-servings-step]");
+    if (step) {
+      const input = step
+        .closest("[data-recipe]")
+        .querySelector("[data-servings]");
+      input.value = Number(input.value) + Number(step.dataset.servingsStep);
+      updateRecipeServings(input);
+      return;
+    }
+
+    // Open the pack size in the product dialog when the catalog is on the page
+    const productLink = e.target.closest("[data-recipe-product]");
+    if (productLink && getProduct(productLink.dataset.recipeProduct)) {
+      e.preventDefault();
+      openProductModal(productLink.dataset.recipeProduct, productLink);
+    }
+  });
+
+  grid.addEventListener("change", function (e) {
+    if (e.target.matches("[data-servings]")) {
+      updateRecipeServings(e.target);
+    }
+  });
+
+  document.addEventListener("amissa:languagechange", function () {
+    updateRecipeFilterStatus();
+    document
+      .querySelectorAll("[data-servings]")
+      .forEach((input) => updateRecipeServings(input));
+  });
+
+  // Links such as product.html#resep-es-kopi-susu open the recipe
+  window.addEventListener("hashchange", openRecipeFromHash);
+  openRecipeFromHash();
+}
+
+function getRecipe(recipeId) {
+  if (!recipeData) return null;
+  return recipeData.recipes.find((recipe) => recipe.id === recipeId) || null;
+}
+
+/**
+ * Category chips: all recipes, drinks or food
+ */
+function renderRecipeFilters(container) {
+  if (!container) return;
+
+  const chipClass =
+    "px-4 py-1.5 rounded-full border text-sm transition focus:outline-none focus:ring-2 focus:ring-green-400";
+
+  const chips = [{ key: "", label: "recipes.filterAll" }, ...RECIPE_CATEGORIES]
+    .map(
+      ({ key, label, icon }) => `
+                <button type="button" data-recipe-filter="${key}" aria-pressed="${
+        key === recipeFilter
+      }" class="${chipClass}">
+                    ${
+                      icon
+                        ? `<i class="${icon} mr-1" aria-hidden="true"></i>`
+                        : ""
+                    }<span data-i18n="${label}">${t(label)}</span>
+                </button>`
+    )
+    .join("");
+
+  container.innerHTML = `
+        <div role="group" aria-label="${t(
+          "recipes.filterLabel"
+        )}" data-i18n-aria-label="recipes.filterLabel" class="flex flex-wrap items-center justify-center gap-2">
+            ${chips}
+        </div>
+        <p class="sr-only" role="status" data-recipe-status></p>
+    `;
+
+  container.addEventListener("click", function (e) {
+    const chip = e.target.closest("[data-recipe-filter]");
+    if (!chip) return;
+
+    recipeFilter = chip.dataset.recipeFilter;
+    applyRecipeFilter();
+    trackEvent("Recipes", "Filter", recipeFilter || "all");
+  });
+
+  updateRecipeFilterChips();
+}
+
+/**
+ * Render one card per recipe, details collapsed
+ */
+function renderRecipeGrid(grid) {
+  grid.innerHTML = recipeData.recipes
+    .map((recipe) => {
+      const id = escapeHTML(recipe.id);
+      const name = escapeHTML(recipe.name);
+      const category = RECIPE_CATEGORIES.find(
+        ({ key }) => key === recipe.category
+      );
+      const product = getProduct(recipe.product);
+
+      const steps = (recipe.steps || [])
+        .map((step) => `<li>${escapeHTML(step)}</li>`)
+        .join("");
+
+      return `
+            <article
+                id="resep-${id}"
+                data-recipe="${id}"
+                class="bg-white rounded-2xl shadow-lg overflow-hidden flex flex-col">
+                ${
+                  recipe.image
+                    ? `<img
+                    data-src="${escapeHTML(recipe.image)}"
+                    data-sizes="(min-width: 768px) 33vw, 100vw"
+                    alt="${name}"
+                    class="w-full h-48 object-cover bg-gray-100" />`
+                    : ""
+                }
+                <div class="p-6 flex flex-col flex-1">
+                    <div class="flex flex-wrap gap-2 mb-3 text-xs font-medium">
+                        ${
+                          category
+                            ? `<span class="px-3 py-1 rounded-full bg-green-100 text-green-700">
+                            <i class="${
+                              category.icon
+                            } mr-1" aria-hidden="true"></i><span data-i18n="${
+                                category.label
+                              }">${t(category.label)}</span>
+                        </span>`
+                            : ""
+                        }
+                        ${
+                          recipe.source
+                            ? `<span class="px-3 py-1 rounded-full bg-yellow-100 text-yellow-700">${escapeHTML(
+                                recipe.source
+                              )}</span>`
+                            : ""
+                        }
+                    </div>
+                    <h3 class="text-xl font-bold text-gray-800">${name}</h3>
+                    <p class="text-gray-600 text-sm mt-2 flex-1">${escapeHTML(
+                      recipe.summary || ""
+                    )}</p>
+                    <p class="text-sm text-gray-500 mt-3">
+                        ${
+                          recipe.minutes
+                            ? `<i class="far fa-clock mr-1" aria-hidden="true"></i>${Number(
+                                recipe.minutes
+                              )} <span data-i18n="recipes.minutes">${t(
+                                "recipes.minutes"
+                              )}</span>`
+                            : ""
+                        }
+                    </p>
+                    <a
+                        href="product.html#produk-${escapeHTML(recipe.product)}"
+                        data-recipe-product="${escapeHTML(recipe.product)}"
+                        class="mt-3 inline-flex items-center text-sm text-green-600 hover:text-green-700 font-medium">
+                        <i class="fas fa-box mr-2" aria-hidden="true"></i>
+                        <span data-i18n="recipes.useProduct">${t(
+                          "recipes.useProduct"
+                        )}</span>&nbsp;${escapeHTML(
+        product ? product.name : recipe.product
+      )}
+                    </a>
+                    <button
+                        type="button"
+                        data-recipe-toggle
+                        aria-expanded="false"
+                        aria-controls="resep-${id}-detail"
+                        data-i18n="recipes.showRecipe"
+                        class="mt-6 w-full bg-green-500 hover:bg-green-600 text-white px-5 py-2 rounded-lg shadow-md transition">
+                        ${t("recipes.showRecipe")}
+                    </button>
+                    <div id="resep-${id}-detail" class="mt-6 text-sm text-gray-700" hidden>
+                        <div class="flex items-center justify-between gap-3 mb-3">
+                            <h4 class="font-semibold text-gray-800" data-i18n="recipes.ingredients">${t(
+                              "recipes.ingredients"
+                            )}</h4>
+                            <div class="flex items-center gap-1">
+                                <button type="button" data-servings-step="-1" aria-label="${t(
+                                  "recipes.fewerServings"
+                                )}" data-i18n-aria-label="recipes.fewerServings" class="w-8 h-8 rounded-full border border-gray-300 hover:bg-gray-100">
+                                    <i class="fas fa-minus text-xs" aria-hidden="true"></i>
+                                </button>
+                                <label class="sr-only" for="resep-${id}-servings" data-i18n="recipes.servings">${t(
+        "recipes.servings"
+      )}</label>
+                                <input
+                                    id="resep-${id}-servings"
+                                    type="number"
+                                    inputmode="numeric"
+                                    min="1"
+                                    max="${RECIPE_SERVINGS_LIMIT}"
+                                    value="${Number(recipe.servings) || 1}"
+                                    data-servings
+                                    class="w-14 text-center border border-gray-300 rounded-lg py-1" />
+                                <button type="button" data-servings-step="1" aria-label="${t(
+                                  "recipes.moreServings"
+                                )}" data-i18n-aria-label="recipes.moreServings" class="w-8 h-8 rounded-full border border-gray-300 hover:bg-gray-100">
+                                    <i class="fas fa-plus text-xs" aria-hidden="true"></i>
+                                </button>
+                                <span class="text-gray-500 ml-1" data-i18n="recipes.servingsCount">${t(
+                                  "recipes.servingsCount"
+                                )}</span>
+                            </div>
+                        </div>
+                        <ul class="space-y-1 mb-4" data-ingredients></ul>
+                        <h4 class="font-semibold text-gray-800 mb-2" data-i18n="recipes.steps">${t(
+                          "recipes.steps"
+                        )}</h4>
+                        <ol class="list-decimal list-inside space-y-1">${steps}</ol>
+                    </div>
+                </div>
+            </article>`;
+    })
+    .join("");
+
+  grid
+    .querySelectorAll("[data-servings]")
+    .forEach((input) => updateRecipeServings(input));
+  observeLazyImages(grid);
+}
+
+/**
+ * Rescale a recipe's ingredient list to the servings in its input
+ */
+function updateRecipeServings(input) {
+  const card = input.closest("[data-recipe]");
+  const recipe = getRecipe(card.dataset.recipe);
+  if (!recipe) return;
+
+  const base = Number(recipe.servings) || 1;
+  const servings = Math.min(
+    Math.max(Math.round(Number(input.value)) || 1, 1),
+    RECIPE_SERVINGS_LIMIT
+  );
+  input.value = servings;
+
+  card.querySelector("[data-ingredients]").innerHTML = (
+    recipe.ingredients || []
+  )
+    .map((ingredient) => {
+      const quantity =
+        typeof ingredient.amount === "number"
+          ? `<span class="font-semibold">${formatQuantity(
+              (ingredient.amount * servings) / base
+            )}${
+              ingredient.unit ? ` ${escapeHTML(ingredient.unit)}` : ""
+            }</span> `
+          : "";
+      const highlight = ingredient.amissa ? " text-green-700" : "";
+      return `<li class="flex gap-2${highlight}"><i class="fas fa-check text-green-500 mt-1" aria-hidden="true"></i><span>${quantity}${escapeHTML(
+        ingredient.name
+      )}</span></li>`;
+    })
+    .join("");
+}
+
+/**
+ * Show or hide the ingredients and steps of a recipe
+ */
+function toggleRecipeDetails(button, expanded) {
+  const details = document.getElementById(button.getAttribute("aria-controls"));
+  if (!details) return;
+
+  if (expanded === undefined) {
+    expanded = button.getAttribute("aria-expanded") !== "true";
+  }
+  button.setAttribute("aria-expanded", String(expanded));
+  details.hidden = !expanded;
+
+  button.dataset.i18n = expanded ? "recipes.hideRecipe" : "recipes.showRecipe";
+  button.textContent = t(button.dataset.i18n);
+
+  if (expanded) {
+    trackEvent("Recipes", "Open", button.closest("[data-recipe]").id);
+  }
+}
+
+/**
+ * Expand the recipe named by the URL hash, e.g. #resep-bolu-pandan
+ */
+function openRecipeFromHash() {
+  const match = /^#resep-([\w-]+)$/.exec(window.location.hash);
+  const card = match && document.getElementById(`resep-${match[1]}`);
+  if (!card || !card.matches("[data-recipe]")) return;
+
+  // A filtered-out recipe would stay hidden otherwise
+  if (card.classList.contains("hidden")) {
+    recipeFilter = "";
+    applyRecipeFilter();
+  }
+  toggleRecipeDetails(card.querySelector("[data-recipe-toggle]"), true);
+}
+
+/**
+ * Hide the recipes outside the selected category
+ */
+function applyRecipeFilter() {
+  document.querySelectorAll("[data-recipe]").forEach((card) => {
+    const recipe = getRecipe(card.dataset.recipe);
+    card.classList.toggle(
+      "hidden",
+      Boolean(recipeFilter) && recipe.category !== recipeFilter
+    );
+  });
+
+  updateRecipeFilterChips();
+}
+
+function updateRecipeFilterChips() {
+  document.querySelectorAll("[data-recipe-filter]").forEach((chip) => {
+    setFilterChipState(chip, chip.dataset.recipeFilter === recipeFilter);
+  });
+
+  updateRecipeFilterStatus();
+}
+
+/**
+ * Announce how many recipes match the selected category
+ */
+function updateRecipeFilterStatus() {
+  const status = document.querySelector("[data-recipe-status]");
+  const grid = document.getElementById("recipe-grid");
+  if (!status || !grid || !recipeData) return;
+
+  status.textContent = t("recipes.filterStatus", {
+    shown: grid.querySelectorAll("[data-recipe]:not(.hidden)").length,
+    total: recipeData.recipes.length,
+  });
+}
+
+/**
+ * Sugar ⇄ Amissa converter: fill the unit and usage options from the
+ * recipe data and recalculate on every input
+ */
+function initializeSweetenerConverter(form) {
+  const conversion = recipeData.conversion;
+  if (!form || !conversion || !(conversion.usages || []).length) return;
+
+  form.querySelector("[data-convert-unit]").innerHTML = conversion.units
+    .map(
+      (unit) =>
+        `<option value="${escapeHTML(unit.id)}">${escapeHTML(
+          unit.label
+        )}</option>`
+    )
+    .join("");
+  form.querySelector("[data-convert-usage]").innerHTML = conversion.usages
+    .map(
+      (usage) =>
+        `<option value="${escapeHTML(usage.id)}">${escapeHTML(
+          usage.label
+        )}</option>`
+    )
+    .join("");
+
+  form.addEventListener("submit", (e) => e.preventDefault());
+  form.addEventListener("input", () => updateSweetenerConversion(form));
+  form.addEventListener("change", () => updateSweetenerConversion(form));
+  document.addEventListener("amissa:languagechange", () =>
+    updateSweetenerConversion(form)
+  );
+
+  updateSweetenerConversion(form);
+  form.hidden = false;
+
+  const pending = document.querySelector("[data-converter-pending]");
+  if (pending) pending.hidden = true;
+}
+
+/**
+ * Convert the entered amount in the chosen direction. Sugar can be given in
+ * any unit from the data; Amissa is always weighed in grams.
+ */
+function updateSweetenerConversion(form) {
+  const { units, usages } = recipeData.conversion;
+  const direction = form.querySelector("[data-convert-direction]").value;
+  const unit = units.find(
+    (item) => item.id === form.querySelector("[data-convert-unit]").value
+  );
+  const usage = usages.find(
+    (item) => item.id === form.querySelector("[data-convert-usage]").value
+  );
+  const amount = parseFloat(
+    form.querySelector("[data-convert-amount]").value.replace(",", ".")
+  );
+  const result = form.querySelector("[data-convert-result]");
+
+  if (!unit || !usage || !(amount > 0)) {
+    result.textContent = t("recipes.convertEmpty");
+    return;
+  }
+
+  const sugarGrams =
+    direction === "toSugar"
+      ? amount / usage.amissaPerSugar
+      : amount * unit.grams;
+  const amissaGrams =
+    direction === "toSugar" ? amount : sugarGrams * usage.amissaPerSugar;
+
+  const sugar =
+    unit.grams === 1
+      ? `${formatQuantity(sugarGrams)} g`
+      : `${formatQuantity(sugarGrams / unit.grams)} ${
+          unit.label
+        } (${formatQuantity(sugarGrams)} g)`;
+
+  result.textContent = t(
+    direction === "toSugar"
+      ? "recipes.convertToSugar"
+      : "recipes.convertToAmissa",
+    { sugar, amissa: `${formatQuantity(amissaGrams)} g` }
+  );
+}
+
+/**
+ * Store Locator
+ */
+
+// Café, reseller and farmer locations come from assets/data/locations.geojson
+// (Point features, plus an "areas" list for visitors who do not share their
+// position). Features whose pin is not confirmed yet have a null geometry:
+// they are listed by address but get no marker or distance. The map uses the tiles bundled by scripts/build-map-tiles.js and
+// falls back to labelled vector markers when none were built; without
+// Leaflet the list works on its own.
+const LOCATION_CATEGORIES = [
+  {
+    key: "cafe",
+    label: "locator.category.cafe",
+    icon: "fas fa-mug-hot",
+    color: "#eab308",
+  },
+  {
+    key: "reseller",
+    label: "locator.category.reseller",
+    icon: "fas fa-store",
+    color: "#16a34a",
+  },
+  {
+    key: "farmer",
+    label: "locator.category.farmer",
+    icon: "fas fa-tractor",
+    color: "#92400e",
+  },
+];
+
+const MAP_TILES_URL = "assets/data/map-tiles.json";
+const MAP_TILES_VERSION = 1;
+
+const GEOLOCATION_OPTIONS = { timeout: 10000, maximumAge: 5 * 60 * 1000 };
+
+let locatorLocations = [];
+let locatorAreas = [];
+let locatorFilter = "";
+let locatorOrigin = null;
+let locatorMap = null;
+let locatorOriginMarker = null;
+const locatorMarkers = {};
+
+/**
+ * Load the locations and set up the list, filters and map
+ */
+async function initializeLocator() {
+  const locator = document.getElementById("locator");
+  if (!locator) return;
+
+  const list = locator.querySelector("[data-locator-list]");
+
+  try {
+    const response = await fetch(
+      locator.dataset.locationsSrc || "assets/data/locations.geojson"
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load locations: ${response.status}`);
+    }
+
+    const collection = await response.json();
+    locatorLocations = (collection.features || []).map((feature) => {
+      const point =
+        feature.geometry?.type === "Point"
+          ? feature.geometry.coordinates
+          : null;
+      return {
+        ...feature.properties,
+        lng: point ? point[0] : null,
+        lat: point ? point[1] : null,
+      };
+    });
+    locatorAreas = collection.areas || [];
+  } catch (error) {
+    console.error("❌ Error loading locations:", error);
+    list.innerHTML = `
+            <li class="text-center text-gray-600" data-i18n="locator.loadFailed">
+                ${t("locator.loadFailed")}
+            </li>
+        `;
+    return;
+  }
+
+  renderLocatorFilters(locator.querySelector("[data-locator-filters]"));
+  renderLocatorAreas(locator.querySelector("[data-locator-area]"));
+  await initializeLocatorMap(locator.querySelector("[data-locator-map]"));
+  renderLocatorList();
+  console.log(`✅ Rendered ${locatorLocations.length} locations`);
+
+  locator
+    .querySelector("[data-locator-nearest]")
+    .addEventListener("click", locateVisitor);
+
+  locator
+    .querySelector("[data-locator-area]")
+    .addEventListener("change", function () {
+      const area = locatorAreas.find((item) => item.id === this.value);
+      setLocatorOrigin(
+        area
+          ? { lat: area.center[1], lng: area.center[0], label: area.name }
+          : null
+      );
+      if (area) trackEvent("Locator", "Nearest", `area: ${area.id}`);
+    });
+
+  // Covers the map popups as well as the list
+  locator.addEventListener("click", function (e) {
+    const button = e.target.closest("[data-location-show]");
+    if (button) {
+      showLocation(button.dataset.locationShow);
+      return;
+    }
+
+    const directions = e.target.closest("[data-location-directions]");
+    if (directions) {
+      trackEvent(
+        "Locator",
+        "Directions",
+        directions.dataset.locationDirections
+      );
+    }
+  });
+
+  document.addEventListener("amissa:languagechange", renderLocatorList);
+
+  // Links such as locator.html#lokasi-dmy-cafe open the location on the map
+  window.addEventListener("hashchange", showLocationFromHash);
+  showLocationFromHash();
+}
+
+function getLocation(locationId) {
+  return (
+    locatorLocations.find((location) => location.id === locationId) || null
+  );
+}
+
+function hasLocationPin(location) {
+  return location.lat !== null && location.lng !== null;
+}
+
+function getLocationCategory(key) {
+  return LOCATION_CATEGORIES.find((category) => category.key === key) || null;
+}
+
+/**
+ * Category chips: all locations, cafés, resellers or farmers
+ */
+function renderLocatorFilters(container) {
+  if (!container) return;
+
+  const chipClass =
+    "px-4 py-1.5 rounded-full border text-sm transition focus:outline-none focus:ring-2 focus:ring-green-400";
+
+  const chips = [
+    { key: "", label: "locator.filterAll" },
+    ...LOCATION_CATEGORIES,
+  ]
+    .map(
+      ({ key, label, icon }) => `
+                <button type="button" data-locator-filter="${key}" aria-pressed="${
+        key === locatorFilter
+      }" class="${chipClass}">
+                    ${
+                      icon
+                        ? `<i class="${icon} mr-1" aria-hidden="true"></i>`
+                        : ""
+                    }<span data-i18n="${label}">${t(label)}</span>
+                </button>`
+    )
+    .join("");
+
+  container.innerHTML = `
+        <div role="group" aria-label="${t(
+          "locator.filterLabel"
+        )}" data-i18n-aria-label="locator.filterLabel" class="flex flex-wrap gap-2">
+            ${chips}
+        </div>
+    `;
+
+  container.addEventListener("click", function (e) {
+    const chip = e.target.closest("[data-locator-filter]");
+    if (!chip) return;
+
+    locatorFilter = chip.dataset.locatorFilter;
+    renderLocatorList();
+    trackEvent("Locator", "Filter", locatorFilter || "all");
+  });
+}
+
+/**
+ * Manual areas for visitors without geolocation
+ */
+function renderLocatorAreas(select) {
+  if (!select) return;
+
+  select.insertAdjacentHTML(
+    "beforeend",
+    locatorAreas
+      .map(
+        (area) =>
+          `<option value="${escapeHTML(area.id)}">${escapeHTML(
+            area.name
+          )}</option>`
+      )
+      .join("")
+  );
+}
+
+/**
+ * Locations in the selected category, nearest first once an origin is set;
+ * locations without a pin follow the measured ones
+ */
+function getVisibleLocations() {
+  const locations = locatorLocations
+    .filter((location) => !locatorFilter || location.category === locatorFilter)
+    .map((location) => ({
+      ...location,
+      distance:
+        locatorOrigin && hasLocationPin(location)
+          ? getDistanceKm(locatorOrigin, location)
+          : null,
+    }));
+
+  if (locatorOrigin) {
+    locations.sort(
+      (a, b) =>
+        (a.distance === null) - (b.distance === null) || a.distance - b.distance
+    );
+  }
+  return locations;
+}
+
+/**
+ * Render the list and sync the chips, markers and status with it
+ */
+function renderLocatorList() {
+  const list = document.querySelector("[data-locator-list]");
+  if (!list) return;
+
+  const locations = getVisibleLocations();
+
+  list.innerHTML =
+    locations.map(renderLocationCard).join("") ||
+    `<li class="text-center text-gray-600" data-i18n="locator.noMatch">${t(
+      "locator.noMatch"
+    )}</li>`;
+
+  document.querySelectorAll("[data-locator-filter]").forEach((chip) => {
+    setFilterChipState(chip, chip.dataset.locatorFilter === locatorFilter);
+  });
+
+  updateLocatorMarkers(locations);
+
+  // Only claim a distance order when something was actually measured
+  const sorted = locations.some((location) => location.distance !== null);
+  setLocatorStatus(
+    t(sorted ? "locator.statusSorted" : "locator.status", {
+      count: locations.length,
+      origin: locatorOrigin && getLocatorOriginLabel(),
+    })
+  );
+}
+
+function renderLocationCard(location) {
+  const id = escapeHTML(location.id);
+  const category = getLocationCategory(location.category);
+
+  return `
+            <li id="lokasi-${id}" data-location="${id}" class="bg-white rounded-2xl shadow-md p-5">
+                <div class="flex items-start justify-between gap-3">
+                    <div>
+                        <h3 class="font-bold text-gray-800">${escapeHTML(
+                          location.name
+                        )}</h3>
+                        ${
+                          category
+                            ? `<p class="text-xs text-green-700 mt-1">
+                            <i class="${
+                              category.icon
+                            } mr-1" aria-hidden="true"></i><span data-i18n="${
+                                category.label
+                              }">${t(category.label)}</span>
+                        </p>`
+                            : ""
+                        }
+                    </div>
+                    ${
+                      location.distance !== null
+                        ? `<span class="text-sm font-semibold text-green-600 whitespace-nowrap">${formatQuantity(
+                            location.distance
+                          )} km</span>`
+                        : ""
+                    }
+                </div>
+                <p class="text-sm text-gray-600 mt-2">
+                    <i class="fas fa-map-marker-alt text-gray-400 mr-1" aria-hidden="true"></i>${escapeHTML(
+                      location.address || location.area || ""
+                    )}
+                </p>
+                ${
+                  location.hours
+                    ? `<p class="text-sm text-gray-600 mt-1"><i class="far fa-clock text-gray-400 mr-1" aria-hidden="true"></i>${escapeHTML(
+                        location.hours
+                      )}</p>`
+                    : ""
+                }
+                ${
+                  location.description
+                    ? `<p class="text-sm text-gray-500 mt-2">${escapeHTML(
+                        location.description
+                      )}</p>`
+                    : ""
+                }
+                <div class="flex flex-wrap gap-2 mt-4">
+                    ${renderLocationActions(location)}
+                    ${
+                      locatorMap && hasLocationPin(location)
+                        ? `<button type="button" data-location-show="${id}" class="px-3 py-1.5 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-100 transition">
+                        <i class="fas fa-map mr-1" aria-hidden="true"></i><span data-i18n="locator.showOnMap">${t(
+                          "locator.showOnMap"
+                        )}</span>
+                    </button>`
+                        : ""
+                    }
+                </div>
+            </li>`;
+}
+
+/**
+ * WhatsApp and directions links, shared by the list and the map popups.
+ * Locations without their own number are asked about through Amissa.
+ * wa.me links are tagged and tracked like every other outbound link.
+ */
+function renderLocationActions(location) {
+  const message = location.whatsapp
+    ? t("locator.whatsappMessage", { name: location.name })
+    : t("locator.whatsappAskAmissa", { name: location.name });
+  const whatsappUrl = `https://wa.me/${
+    location.whatsapp || WHATSAPP_NUMBER
+  }?text=${encodeURIComponent(message)}`;
+
+  // Without a pin the maps app searches for the name and address
+  const directions = new URL("https://www.google.com/maps/dir/");
+  directions.searchParams.set("api", "1");
+  directions.searchParams.set(
+    "destination",
+    hasLocationPin(location)
+      ? `${location.lat},${location.lng}`
+      : [location.name, location.address].filter(Boolean).join(", ")
+  );
+
+  return `
+                    <a href="${escapeHTML(
+                      whatsappUrl
+                    )}" target="_blank" rel="noopener" class="px-3 py-1.5 rounded-lg bg-green-500 hover:bg-green-600 text-white text-sm transition">
+                        <i class="fab fa-whatsapp mr-1" aria-hidden="true"></i><span data-i18n="locator.whatsapp">${t(
+                          "locator.whatsapp"
+                        )}</span>
+                    </a>
+                    <a href="${escapeHTML(
+                      directions.href
+                    )}" target="_blank" rel="noopener" data-location-directions="${escapeHTML(
+    location.id
+  )}" class="px-3 py-1.5 rounded-lg border border-green-500 text-green-600 hover:bg-green-50 text-sm transition">
+                        <i class="fas fa-directions mr-1" aria-hidden="true"></i><span data-i18n="locator.directions">${t(
+                          "locator.directions"
+                        )}</span>
+                    </a>`;
+}
+
+function setLocatorStatus(text) {
+  const status = document.querySelector("[data-locator-status]");
+  if (status) status.textContent = text;
+}
+
+/**
+ * Sort by distance from the visitor's position, or ask for an area when
+ * geolocation is unavailable or refused
+ */
+function locateVisitor() {
+  if (!navigator.geolocation) {
+    showLocatorAreaFallback("locator.geolocationUnsupported");
+    return;
+  }
+
+  setLocatorStatus(t("locator.locating"));
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      document.querySelector("[data-locator-area]").value = "";
+      setLocatorOrigin({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+      });
+      trackEvent("Locator", "Nearest", "geolocation");
+    },
+    (error) => {
+      console.warn("⚠️ Geolocation failed:", error.message);
+      showLocatorAreaFallback(
+        error.code === 1 ? "locator.locationDenied" : "locator.locationFailed"
+      );
+    },
+    GEOLOCATION_OPTIONS
+  );
+}
+
+function showLocatorAreaFallback(key) {
+  setLocatorStatus(t(key));
+  document.querySelector("[data-locator-area]")?.focus();
+}
+
+/**
+ * Set the point distances are measured from ({ lat, lng, label }), or clear
+ * it with null; without a label it is the visitor's own position
+ */
+function setLocatorOrigin(origin) {
+  locatorOrigin = origin;
+  renderLocatorList();
+}
+
+function getLocatorOriginLabel() {
+  return locatorOrigin.label || t("locator.yourLocation");
+}
+
+/**
+ * Great-circle distance in kilometres between two { lat, lng } points
+ */
+function getDistanceKm(from, to) {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) *
+      Math.cos(toRad(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Bundled tile settings; null when scripts/build-map-tiles.js was not run
+ */
+async function loadMapTiles() {
+  try {
+    const response = await fetch(MAP_TILES_URL);
+    if (!response.ok) return null;
+
+    const tiles = await response.json();
+    if (tiles.version !== MAP_TILES_VERSION) {
+      console.warn(`⚠️ Unsupported map tiles version ${tiles.version}`);
+      return null;
+    }
+    return tiles;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the Leaflet map with one marker per location
+ */
+async function initializeLocatorMap(container) {
+  if (!container) return;
+
+  if (typeof L === "undefined") {
+    console.warn("⚠️ Leaflet is not available, showing the list only");
+    container.innerHTML = `
+            <p class="h-full flex items-center justify-center text-center text-gray-600 p-6" data-i18n="locator.mapUnavailable">
+                ${t("locator.mapUnavailable")}
+            </p>
+        `;
+    return;
+  }
+
+  const tiles = await loadMapTiles();
+
+  locatorMap = L.map(container, { scrollWheelZoom: false });
+
+  if (tiles) {
+    L.tileLayer(tiles.url, {
+      minZoom: tiles.minZoom,
+      maxZoom: tiles.maxZoom,
+      bounds: tiles.bounds,
+      attribution: tiles.attribution,
+    }).addTo(locatorMap);
+    locatorMap.setMinZoom(tiles.minZoom);
+    locatorMap.setMaxZoom(tiles.maxZoom);
+    locatorMap.setMaxBounds(tiles.bounds);
+  } else {
+    // Vector fallback: no basemap, so the markers carry their names
+    container.classList.add("locator-map-vector");
+  }
+
+  locatorLocations.filter(hasLocationPin).forEach((location) => {
+    const category = getLocationCategory(location.category);
+    const marker = L.circleMarker([location.lat, location.lng], {
+      radius: 10,
+      color: "#ffffff",
+      weight: 2,
+      fillColor: category ? category.color : "#16a34a",
+      fillOpacity: 1,
+    });
+
+    if (!tiles) {
+      marker.bindTooltip(escapeHTML(location.name), {
+        permanent: true,
+        direction: "top",
+        offset: [0, -10],
+      });
+    }
+
+    // Built on open so the popup follows the current language
+    marker.bindPopup(
+      () => `
+            <div class="text-sm">
+                <p class="font-bold text-gray-800">${escapeHTML(
+                  location.name
+                )}</p>
+                <p class="text-gray-600 my-1">${escapeHTML(
+                  location.address || location.area || ""
+                )}</p>
+                <div class="flex flex-wrap gap-2 mt-2">${renderLocationActions(
+                  location
+                )}</div>
+            </div>`
+    );
+
+    locatorMarkers[location.id] = marker;
+  });
+}
+
+/**
+ * Show the listed locations on the map and frame them, or the visitor and
+ * the nearest location once an origin is set
+ */
+function updateLocatorMarkers(locations) {
+  if (!locatorMap) return;
+
+  const visible = new Set(locations.map((location) => location.id));
+  Object.keys(locatorMarkers).forEach((id) => {
+    if (visible.has(id)) {
+      locatorMarkers[id].addTo(locatorMap);
+    } else {
+      locatorMarkers[id].remove();
+    }
+  });
+
+  if (locatorOriginMarker) {
+    locatorOriginMarker.remove();
+    locatorOriginMarker = null;
+  }
+
+  let points = locations
+    .filter(hasLocationPin)
+    .map((location) => [location.lat, location.lng]);
+
+  if (locatorOrigin) {
+    locatorOriginMarker = L.circleMarker(
+      [locatorOrigin.lat, locatorOrigin.lng],
+      {
+        radius: 7,
+        color: "#2563eb",
+        weight: 3,
+        fillColor: "#ffffff",
+        fillOpacity: 1,
+      }
+    )
+      .bindTooltip(escapeHTML(getLocatorOriginLabel()))
+      .addTo(locatorMap);
+    points = [[locatorOrigin.lat, locatorOrigin.lng], ...points.slice(0, 1)];
+  }
+
+  // With no pins to show, frame the areas the locator offers instead
+  if (points.length === 0) {
+    points = locatorAreas.map((area) => [area.center[1], area.center[0]]);
+  }
+
+  if (points.length > 0) {
+    locatorMap.fitBounds(points, { padding: [40, 40], maxZoom: 15 });
+  }
+}
+
+/**
+ * Zoom to a location and open its popup
+ */
+function showLocation(locationId) {
+  const marker = locatorMarkers[locationId];
+  if (!locatorMap || !marker) return;
+
+  locatorMap.setView(marker.getLatLng(), Math.max(locatorMap.getZoom(), 14));
+  marker.openPopup();
+  scrollToElement("[data-locator-map]");
+  trackEvent("Locator", "Show", locationId);
+}
+
+/**
+ * Select the location named by the URL hash, e.g. #lokasi-dmy-cafe
+ */
+function showLocationFromHash() {
+  const match = /^#lokasi-([\w-]+)$/.exec(window.location.hash);
+  const location = match && getLocation(match[1]);
+  if (!location) return;
+
+  // A filtered-out location would not be listed otherwise
+  if (locatorFilter && location.category !== locatorFilter) {
+    locatorFilter = "";
+    renderLocatorList();
+  }
+  showLocation(location.id);
+}
+
+/**
+ * Reviews
+ */
+
+// Approved reviews come from assets/data/reviews.json, which
+// scripts/moderate-reviews.js publishes from the moderation queue. The list
+// in #review-list can be narrowed to one product, sorted and paged, and the
+// product cards show each product's average rating. #review-form sends new
+// reviews through the "review" form transport, so they only appear here
+// after a moderator approves them.
+const REVIEWS_VERSION = 1;
+const REVIEWS_PAGE_SIZE = 5;
+
+// Newest first breaks ties in the rating sorts
+const REVIEW_SORTS = {
+  newest: (a, b) => b.date.localeCompare(a.date),
+  highest: (a, b) => b.rating - a.rating || b.date.localeCompare(a.date),
+  lowest: (a, b) => a.rating - b.rating || b.date.localeCompare(a.date),
+};
+
+let productReviews = [];
+const reviewState = { product: "", sort: "newest", page: 1 };
+
+/**
+ * Load the approved reviews and set up the list, ratings and review form
+ */
+async function initializeReviews() {
+  initializeReviewForm(document.getElementById("review-form"));
+
+  const list = document.getElementById("review-list");
+  if (!list) return;
+
+  try {
+    const response = await fetch(
+      list.dataset.reviewsSrc || "assets/data/reviews.json"
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load reviews: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.version !== REVIEWS_VERSION) {
+      throw new Error(`Unsupported reviews version ${data.version}`);
+    }
+    productReviews = (data.reviews || []).filter(
+      (review) => review.rating >= 1 && review.rating <= 5
+    );
+  } catch (error) {
+    console.error("❌ Error loading reviews:", error);
+    list.innerHTML = `
+            <li class="text-center text-gray-600" data-i18n="reviews.loadFailed">
+                ${t("reviews.loadFailed")}
+            </li>
+        `;
+    return;
+  }
+
+  renderReviewProductOptions(document.querySelector("[data-review-product]"));
+  renderReviews();
+  updateProductRatings();
+  console.log(`✅ Loaded ${productReviews.length} reviews`);
+
+  document.addEventListener("change", function (e) {
+    if (e.target.matches("[data-review-product]")) {
+      setReviewProduct(e.target.value);
+    } else if (e.target.matches("[data-review-sort]")) {
+      reviewState.sort = e.target.value;
+      reviewState.page = 1;
+      renderReviews();
+      trackEvent("Reviews", "Sort", reviewState.sort);
+    }
+  });
+
+  document.addEventListener("click", function (e) {
+    const page = e.target.closest("[data-review-page]");
+    if (page) {
+      reviewState.page = Number(page.dataset.reviewPage);
+      renderReviews();
+      list.focus({ preventScroll: true });
+      scrollToElement("#ulasan");
+      return;
+    }
+
+    // Rating links on the product cards show that product's reviews
+    const filter = e.target.closest("[data-review-filter]");
+    if (filter) {
+      setReviewProduct(filter.dataset.reviewFilter);
+    }
+  });
+
+  document.addEventListener("amissa:languagechange", function () {
+    renderReviews();
+    updateProductRatings();
+  });
+}
+
+/**
+ * Product choices for the review filter and form, from the loaded catalog
+ */
+function renderReviewProductOptions(select) {
+  if (!select || !productCatalog) return;
+
+  select.insertAdjacentHTML(
+    "beforeend",
+    productCatalog.products
+      .map(
+        (product) =>
+          `<option value="${escapeHTML(product.id)}">${escapeHTML(
+            product.name
+          )}</option>`
+      )
+      .join("")
+  );
+}
+
+function setReviewProduct(productId) {
+  reviewState.product = getProduct(productId) ? productId : "";
+  reviewState.page = 1;
+
+  const select = document.querySelector("[data-review-product]");
+  if (select) select.value = reviewState.product;
+
+  // Start a new review for the product the visitor is reading about
+  const formSelect = document.querySelector('#review-form [name="product"]');
+  if (formSelect && !formSelect.value) formSelect.value = reviewState.product;
+
+  renderReviews();
+  trackEvent("Reviews", "Filter", reviewState.product || "all");
+}
+
+/**
+ * Average rating and review count, or null without reviews
+ */
+function getRatingSummary(reviews) {
+  if (reviews.length === 0) return null;
+
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  return { average: total / reviews.length, count: reviews.length };
+}
+
+function getProductRating(productId) {
+  return getRatingSummary(
+    productReviews.filter((review) => review.product === productId)
+  );
+}
+
+/**
+ * Five stars filled up to the rating, rounded to half stars
+ */
+function renderStars(rating) {
+  const halves = Math.round(rating * 2);
+  const stars = [1, 2, 3, 4, 5]
+    .map((star) => {
+      const icon =
+        halves >= star * 2
+          ? "fas fa-star"
+          : halves === star * 2 - 1
+          ? "fas fa-star-half-alt"
+          : "far fa-star";
+      return `<i class="${icon}" aria-hidden="true"></i>`;
+    })
+    .join("");
+
+  return `<span role="img" aria-label="${t("reviews.stars", {
+    rating: formatRating(rating),
+  })}" class="text-yellow-400 whitespace-nowrap">${stars}</span>`;
+}
+
+/**
+ * Summary, current page of reviews and pagination
+ */
+function renderReviews() {
+  const list = document.getElementById("review-list");
+  if (!list) return;
+
+  renderReviewSummary(document.querySelector("[data-review-summary]"));
+
+  const reviews = productReviews
+    .filter(
+      (review) => !reviewState.product || review.product === reviewState.product
+    )
+    .sort(REVIEW_SORTS[reviewState.sort] || REVIEW_SORTS.newest);
+  const pages = Math.max(1, Math.ceil(reviews.length / REVIEWS_PAGE_SIZE));
+  reviewState.page = Math.min(Math.max(reviewState.page, 1), pages);
+
+  const start = (reviewState.page - 1) * REVIEWS_PAGE_SIZE;
+  const shown = reviews.slice(start, start + REVIEWS_PAGE_SIZE);
+
+  if (shown.length === 0) {
+    const key = productReviews.length ? "reviews.noMatch" : "reviews.empty";
+    list.innerHTML = `
+            <li class="text-center text-gray-600 py-6" data-i18n="${key}">
+                ${t(key)}
+            </li>
+        `;
+  } else {
+    list.innerHTML = shown.map(renderReviewCard).join("");
+  }
+
+  renderReviewPagination(
+    document.querySelector("[data-review-pagination]"),
+    pages
+  );
+
+  const status = document.querySelector("[data-review-status]");
+  if (status) {
+    status.textContent = reviews.length
+      ? t("reviews.status", {
+          from: start + 1,
+          to: start + shown.length,
+          total: reviews.length,
+        })
+      : "";
+  }
+}
+
+function renderReviewCard(review) {
+  const product = getProduct(review.product);
+  const author = [review.name, review.city].filter(Boolean).join(", ");
+
+  return `
+            <li id="ulasan-${escapeHTML(
+              review.id
+            )}" class="bg-white rounded-2xl shadow-md p-6">
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    ${renderStars(review.rating)}
+                    <time datetime="${escapeHTML(
+                      review.date
+                    )}" class="text-sm text-gray-500">${formatDate(
+    review.date
+  )}</time>
+                </div>
+                <p class="text-gray-700 mb-3">${escapeHTML(review.text)}</p>
+                <p class="text-sm text-gray-600">
+                    <span class="font-semibold text-gray-800">${escapeHTML(
+                      author
+                    )}</span>
+                    ${
+                      product
+                        ? `&middot; <a href="#produk-${escapeHTML(
+                            product.id
+                          )}" class="text-green-600 hover:underline">${escapeHTML(
+                            product.name
+                          )}</a>`
+                        : ""
+                    }
+                </p>
+            </li>`;
+}
+
+/**
+ * Overall rating with one row per reviewed product
+ */
+function renderReviewSummary(container) {
+  if (!container) return;
+
+  const overall = getRatingSummary(productReviews);
+  if (!overall) {
+    container.hidden = true;
+    return;
+  }
+
+  const rows = (productCatalog ? productCatalog.products : [])
+    .map((product) => ({ product, rating: getProductRating(product.id) }))
+    .filter(({ rating }) => rating)
+    .map(
+      ({ product, rating }) => `
+                <li class="flex flex-wrap items-center justify-between gap-2">
+                    <span class="text-gray-700">${escapeHTML(
+                      product.name
+                    )}</span>
+                    <span class="flex items-center gap-2 text-sm text-gray-600">
+                        ${renderStars(rating.average)}
+                        ${formatRating(rating.average)} (${rating.count})
+                    </span>
+                </li>`
+    )
+    .join("");
+
+  container.hidden = false;
+  container.innerHTML = `
+        <div class="text-center md:text-left">
+            <p class="text-4xl font-bold text-gray-800">${formatRating(
+              overall.average
+            )}</p>
+            <p class="text-lg">${renderStars(overall.average)}</p>
+            <p class="text-sm text-gray-600 mt-1">${t("reviews.count", {
+              count: overall.count,
+            })}</p>
+        </div>
+        ${rows ? `<ul class="space-y-2 flex-1">${rows}</ul>` : ""}
+    `;
+}
+
+/**
+ * Previous/next and page number buttons; hidden for a single page
+ */
+function renderReviewPagination(nav, pages) {
+  if (!nav) return;
+
+  nav.hidden = pages < 2;
+  if (pages < 2) {
+    nav.innerHTML = "";
+    return;
+  }
+
+  const { page } = reviewState;
+  const buttonClass =
+    "min-w-[2.5rem] px-3 py-1.5 rounded-lg border text-sm transition focus:outline-none focus:ring-2 focus:ring-green-400 disabled:opacity-50 disabled:cursor-not-allowed";
+
+  const numbers = Array.from({ length: pages }, (_, index) => index + 1)
+    .map(
+      (number) => `
+                <button type="button" data-review-page="${number}" aria-label="${t(
+        "reviews.page",
+        { page: number }
+      )}" ${
+        number === page ? 'aria-current="page"' : ""
+      } class="${buttonClass} ${
+        number === page
+          ? "bg-green-500 border-green-500 text-white"
+          : "bg-white border-gray-300 text-gray-700 hover:bg-green-50"
+      }">${number}</button>`
+    )
+    .join("");
+
+  nav.setAttribute("aria-label", t("reviews.pagination"));
+  nav.innerHTML = `
+        <button type="button" data-review-page="${page - 1}" ${
+    page === 1 ? "disabled" : ""
+  } class="${buttonClass} bg-white border-gray-300 text-gray-700">
+            <i class="fas fa-chevron-left mr-1" aria-hidden="true"></i>${t(
+              "reviews.prev"
+            )}
+        </button>
+        ${numbers}
+        <button type="button" data-review-page="${page + 1}" ${
+    page === pages ? "disabled" : ""
+  } class="${buttonClass} bg-white border-gray-300 text-gray-700">
+            ${t(
+              "reviews.next"
+            )}<i class="fas fa-chevron-right ml-1" aria-hidden="true"></i>
+        </button>
+    `;
+}
+
+/**
+ * Average rating under each product card, linking to its reviews
+ */
+function updateProductRatings() {
+  document.querySelectorAll("[data-product-rating]").forEach((link) => {
+    const rating = getProductRating(link.dataset.reviewFilter);
+    link.hidden = !rating;
+    link.innerHTML = rating
+      ? `${renderStars(rating.average)} ${formatRating(
+          rating.average
+        )} &middot; ${t("reviews.count", { count: rating.count })}`
+      : "";
+  });
+}
+
+/**
+ * Review form: product choices and the star rating input. Sending goes
+ * through initializeContactForms like any other form.
+ */
+function initializeReviewForm(form) {
+  if (!form) return;
+
+  if (
+    !getFormTransportConfig("review", getFormTransportOptions(form)).endpoint
+  ) {
+    console.warn("⚠️ No review endpoint configured, review form disabled");
+    disableReviewForm(form);
+    return;
+  }
+
+  renderReviewProductOptions(form.querySelector('[name="product"]'));
+
+  form.addEventListener("change", function (e) {
+    if (e.target.name !== "rating") return;
+
+    // The required rule sits on the first star only
+    form
+      .querySelectorAll('[name="rating"]')
+      .forEach((radio) => clearFieldError(radio));
+    updateRatingInput(form);
+  });
+
+  form.addEventListener("amissa:formsubmitted", function () {
+    updateRatingInput(form);
+  });
+
+  updateRatingInput(form);
+}
+
+/**
+ * Switch off every control of the review form and say why
+ */
+function disableReviewForm(form) {
+  form
+    .querySelectorAll("input, select, textarea, button")
+    .forEach((control) => (control.disabled = true));
+
+  const note = document.createElement("p");
+  note.className = "text-sm text-gray-600";
+  note.setAttribute("role", "status");
+  note.dataset.i18n = "review.unavailable";
+  note.textContent = t("review.unavailable");
+  form.querySelector("h3")?.after(note);
+}
+
+/**
+ * Colour the stars up to the selected rating
+ */
+function updateRatingInput(form) {
+  const checked = form.querySelector('[name="rating"]:checked');
+  const rating = checked ? Number(checked.value) : 0;
+
+  form.querySelectorAll("[data-rating-star]").forEach((star) => {
+    const active = Number(star.dataset.ratingStar) <= rating;
+    star.classList.toggle("text-yellow-400", active);
+    star.classList.toggle("text-gray-300", !active);
+  });
+}
+
+/**
+ * Modal Manager
+ */
+
+// Open modals, most recent last (Escape and back button close the top one)
+const openModals = [];
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+let modalHistoryPending = false;
+let bodyOverflow = "";
+
+/**
+ * Initialize [data-modal-target] triggers, keyboard and history handling
+ */
+function initializeModals() {
+  document.addEventListener("click", function (e) {
+    const trigger = e.target.closest("[data-modal-target]");
+    if (trigger) {
+      e.preventDefault();
+      openModal(trigger.dataset.modalTarget, { trigger });
+      return;
+    }
+
+    const modal = getTopModal();
+    if (!modal) return;
+
+    // Close buttons and backdrop clicks
+    if (e.target === modal || e.target.closest("[data-modal-close]")) {
+      closeModal(modal.id);
+    }
+  });
+
+  document.addEventListener("keydown", function (e) {
+    const modal = getTopModal();
+    if (!modal) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeModal(modal.id);
+    } else if (e.key === "Tab") {
+      trapFocus(e, modal);
+    }
+  });
+
+  // Phone back button closes the modal instead of leaving the page
+  window.addEventListener("popstate", function () {
+    if (modalHistoryPending) {
+      modalHistoryPending = false;
+      return;
+    }
+
+    const modal = getTopModal();
+    if (modal && history.state?.modal !== modal.id) {
+      closeModal(modal.id, { fromHistory: true });
+    }
+  });
+
+  document.addEventListener("amissa:modalopen", function (e) {
+    trackEvent("Modal", "Open", e.detail.id);
+  });
+  document.addEventListener("amissa:modalclose", function (e) {
+    trackEvent("Modal", "Close", e.detail.id);
+  });
+}
+
+function getTopModal() {
+  return openModals[openModals.length - 1] || null;
+}
+
+function isModalOpen(id) {
+  return openModals.some((modal) => modal.id === id);
+}
+
+/**
+ * Open modal by id. Emits amissa:modalopen on the modal element.
+ */
+function openModal(id, { trigger = document.activeElement } = {}) {
+  const modal = document.getElementById(id);
+  if (!modal || isModalOpen(id)) return;
+
+  if (isMenuOpen) {
+    closeMobileMenu();
+  }
+
+  modal.setAttribute("role", modal.getAttribute("role") || "dialog");
+  modal.setAttribute("aria-modal", "true");
+  modal.setAttribute("tabindex", "-1");
+  modal.classList.add("show");
+
+  // Drawers and overlays created with Tailwind's "hidden" get it back on close
+  modal._modalHidden = modal.classList.contains("hidden");
+  modal.classList.remove("hidden");
+
+  // Focus returns to the trigger on close
+  modal._modalTrigger = trigger;
+
+  if (openModals.length === 0) {
+    bodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+  }
+  openModals.push(modal);
+
+  history.pushState({ ...history.state, modal: id }, "");
+
+  modal.dispatchEvent(
+    new CustomEvent("amissa:modalopen", {
+      bubbles: true,
+      detail: { id, trigger },
+    })
+  );
+
+  (getFocusableElements(modal)[0] || modal).focus();
+}
+
+/**
+ * Close modal by id. Emits amissa:modalclose on the modal element.
+ */
+function closeModal(id, { fromHistory = false } = {}) {
+  const modal = document.getElementById(id);
+  const index = openModals.indexOf(modal);
+  if (index === -1) return;
+
+  openModals.splice(index, 1);
+  modal.classList.remove("show");
+  modal.classList.toggle("hidden", Boolean(modal._modalHidden));
+  modal.removeAttribute("aria-modal");
+
+  if (openModals.length === 0) {
+    document.body.style.overflow = bodyOverflow;
+  }
+
+  // Drop the history entry added on open
+  if (!fromHistory && history.state?.modal === id) {
+    modalHistoryPending = true;
+    history.back();
+  }
+
+  const trigger = modal._modalTrigger;
+  modal._modalTrigger = null;
+  if (trigger && trigger !== document.body && document.contains(trigger)) {
+    trigger.focus();
+  }
+
+  modal.dispatchEvent(
+    new CustomEvent("amissa:modalclose", {
+      bubbles: true,
+      detail: { id, trigger },
+    })
+  );
+}
+
+/**
+ * Shopping Cart
+ */
+
+const CART_STORAGE_KEY = "amissa-cart";
+const WHATSAPP_NUMBER = "6281324972885";
+
+let cartItems = [];
+
+/**
+ * Initialize cart state, navbar badge and cart drawer
+ */
+function initializeCart() {
+  cartItems = loadCart();
+  createCartDrawer();
+  updateCartBadge();
+
+  // Add to cart buttons (product cards and modal are rendered dynamically)
+  document.addEventListener("click", function (e) {
+    const addButton = e.target.closest("[data-add-to-cart]");
+    if (addButton) {
+      e.preventDefault();
+      addToCart(addButton.dataset.addToCart);
+      return;
+    }
+
+    const toggle = e.target.closest("[data-cart-toggle]");
+    if (toggle) {
+      e.preventDefault();
+      openCart(toggle);
+    }
+  });
+
+  // Re-render translated cart labels
+  document.addEventListener("amissa:languagechange", function () {
+    updateCartBadge();
+    renderCart();
+  });
+
+  // Keep cart in sync across open tabs
+  window.addEventListener("storage", function (e) {
+    if (e.key === CART_STORAGE_KEY) {
+      cartItems = loadCart();
+      updateCartBadge();
+      renderCart();
+    }
+  });
+}
+
+/**
+ * Read cart items from localStorage
+ */
+function loadCart() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter((item) => item && item.id && item.quantity > 0)
+      : [];
+  } catch (error) {
+    console.warn("⚠️ Could not read saved cart:", error);
+    return [];
+  }
+}
+
+/**
+ * Persist cart items and refresh cart UI
+ */
+function saveCart() {
+  try {
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cartItems));
+  } catch (error) {
+    console.warn("⚠️ Could not save cart:", error);
+  }
+
+  updateCartBadge();
+  renderCart();
+}
+
+/**
+ * Add a catalog product to the cart
+ */
+function addToCart(productId, quantity = 1) {
+  const product = getProduct(productId);
+  if (!product) {
+    console.warn(`⚠️ Product ${productId} not found in catalog`);
+    return;
+  }
+
+  const existing = cartItems.find((item) => item.id === productId);
+  if (existing) {
+    existing.quantity += quantity;
+    // Refresh snapshot in case the catalog price changed
+    existing.name = product.name;
+    existing.price = product.price;
+  } else {
+    cartItems.push({
+      id: product.id,
+      name: product.name,
+      price: product.price,
+      image: product.images[0] || "",
+      quantity: quantity,
+    });
+  }
+
+  saveCart();
+  showNotification(t("cart.added", { name: product.name }), "success", 3000);
+  trackEvent("Cart", "Add", product.name, quantity);
+}
+
+/**
+ * Set the quantity of a cart item (removes it at zero)
+ */
+function updateCartQuantity(productId, quantity) {
+  const item = cartItems.find((entry) => entry.id === productId);
+  if (!item) return;
+
+  const parsed = parseInt(quantity, 10);
+  if (isNaN(parsed) || parsed <= 0) {
+    removeFromCart(productId);
+    return;
+  }
+
+  item.quantity = Math.min(parsed, 999);
+  saveCart();
+}
+
+/**
+ * Remove an item from the cart
+ */
+function removeFromCart(productId) {
+  cartItems = cartItems.filter((item) => item.id !== productId);
+  saveCart();
+}
+
+/**
+ * Empty the cart
+ */
+function clearCart() {
+  cartItems = [];
+  saveCart();
+}
+
+function getCartCount() {
+  return cartItems.reduce((total, item) => total + item.quantity, 0);
+}
+
+// A subtotal that skips unpriced items would understate the order
+function isCartPriced(items = cartItems) {
+  return items.every(hasPrice);
+}
+
+function getCartSubtotal() {
+  return cartItems.reduce(
+    (total, item) => total + (item.price || 0) * item.quantity,
+    0
+  );
+}
+
+/**
+ * Update every cart badge in the navbar
+ */
+function updateCartBadge() {
+  const count = getCartCount();
+
+  document.querySelectorAll("[data-cart-count]").forEach((badge) => {
+    badge.textContent = count > 99 ? "99+" : String(count);
+    badge.classList.toggle("hidden", count === 0);
+  });
+
+  document.querySelectorAll("[data-cart-toggle]").forEach((button) => {
+    button.setAttribute(
+      "aria-label",
+      count ? t("cart.labelCount", { count }) : t("cart.label")
+    );
+  });
+}
+
+/**
+ * Create the cart drawer once and append it to the page
+ */
+function createCartDrawer() {
+  if (document.getElementById("cart-drawer")) return;
+
+  const drawer = document.createElement("div");
+  drawer.id = "cart-drawer";
+  drawer.className = "fixed inset-0 z-50 hidden";
+  drawer.setAttribute("role", "dialog");
+  drawer.setAttribute("aria-labelledby", "cart-drawer-title");
+
+  drawer.innerHTML = `
+        <div class="absolute inset-0 bg-black bg-opacity-50" data-cart-close></div>
+        <div class="absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-2xl flex flex-col">
+            <div class="flex items-center justify-between px-6 py-4 border-b">
+                <h2 id="cart-drawer-title" class="text-xl font-bold text-gray-800">
+                    <i class="fas fa-shopping-basket mr-2 text-green-600"></i><span data-i18n="cart.title">${t(
+                      "cart.title"
+                    )}</span>
+                </h2>
+                <button type="button" data-cart-close aria-label="${t(
+                  "cart.close"
+                )}" data-i18n-aria-label="cart.close" class="text-gray-500 hover:text-gray-700">
+                    <i class="fas fa-times text-xl"></i>
+                </button>
+            </div>
+            <div class="flex-1 overflow-y-auto px-6 py-4" data-cart-items></div>
+            <div class="border-t px-6 py-4 space-y-3">
+                <div class="flex justify-between font-semibold text-gray-800" data-cart-subtotal-row>
+                    <span data-i18n="cart.subtotal">${t("cart.subtotal")}</span>
+                    <span data-cart-subtotal>${formatPrice(0)}</span>
+                </div>
+                <button
+                    type="button"
+                    data-cart-checkout
+                    class="w-full bg-gradient-to-r from-green-500 to-yellow-400 hover:from-green-600 hover:to-yellow-500 text-white px-4 py-3 rounded-lg font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed">
+                    <i class="fab fa-whatsapp mr-2"></i><span data-i18n="cart.checkout">${t(
+                      "cart.checkout"
+                    )}</span>
+                </button>
+                <button type="button" data-cart-clear data-i18n="cart.clear" class="w-full text-sm text-gray-500 hover:text-red-500">
+                    ${t("cart.clear")}
+                </button>
+            </div>
+        </div>
+    `;
+
+  document.body.appendChild(drawer);
+
+  drawer.querySelectorAll("[data-cart-close]").forEach((el) => {
+    el.addEventListener("click", closeCart);
+  });
+  drawer
+    .querySelector("[data-cart-checkout]")
+    .addEventListener("click", checkoutCart);
+  drawer
+    .querySelector("[data-cart-clear]")
+    .addEventListener("click", function () {
+      if (cartItems.length === 0) return;
+
+      const previousItems = cartItems.map((item) => ({ ...item }));
+      clearCart();
+      showCartUndo(t("cart.cleared"), previousItems);
+    });
+
+  // Quantity editing (delegated, items are re-rendered)
+  const itemsContainer = drawer.querySelector("[data-cart-items]");
+  itemsContainer.addEventListener("click", function (e) {
+    const button = e.target.closest("[data-cart-action]");
+    if (!button) return;
+
+    const productId = button.closest("[data-cart-item]").dataset.cartItem;
+    const item = cartItems.find((entry) => entry.id === productId);
+    if (!item) return;
+
+    switch (button.dataset.cartAction) {
+      case "increase":
+        updateCartQuantity(productId, item.quantity + 1);
+        break;
+      case "decrease":
+        updateCartQuantity(productId, item.quantity - 1);
+        break;
+      case "remove": {
+        const previousItems = cartItems.map((entry) => ({ ...entry }));
+        removeFromCart(productId);
+        showCartUndo(t("cart.removed", { name: item.name }), previousItems);
+        break;
+      }
+    }
+  });
+
+  itemsContainer.addEventListener("change", function (e) {
+    if (!e.target.matches("[data-cart-quantity]")) return;
+    const productId = e.target.closest("[data-cart-item]").dataset.cartItem;
+    updateCartQuantity(productId, e.target.value);
+  });
+
+  renderCart();
+}
+
+/**
+ * Offer to put back what the visitor just removed
+ */
+function showCartUndo(message, previousItems) {
+  showNotification(message, "info", {
+    actions: [
+      {
+        label: t("notification.undo"),
+        onClick: () => {
+          cartItems = previousItems;
+          saveCart();
+        },
+      },
+    ],
+  });
+}
+
+/**
+ * Render cart items and subtotal into the drawer
+ */
+function renderCart() {
+  const drawer = document.getElementById("cart-drawer");
+  if (!drawer) return;
+
+  const itemsContainer = drawer.querySelector("[data-cart-items]");
+  const checkoutBtn = drawer.querySelector("[data-cart-checkout]");
+
+  if (cartItems.length === 0) {
+    itemsContainer.innerHTML = `
+            <div class="text-center text-gray-500 py-12">
+                <i class="fas fa-shopping-basket text-4xl mb-4 text-gray-300"></i>
+                <p>${t("cart.empty")}</p>
+                <a href="product.html" class="inline-block mt-4 text-green-600 hover:underline">${t(
+                  "cart.browse"
+                )}</a>
+            </div>
+        `;
+  } else {
+    itemsContainer.innerHTML = cartItems
+      .map((item) => {
+        const id = escapeHTML(item.id);
+        const name = escapeHTML(item.name);
+        const image = escapeHTML(item.image || "");
+        const price = hasPrice(item) ? formatPrice(item.price) : "";
+        const quantity = item.quantity;
+        const lineTotal = hasPrice(item)
+          ? formatPrice(item.price * quantity)
+          : "";
+        const quantityLabel = t("cart.quantity", { name });
+        return `
+                <div class="flex items-center gap-4 py-3 border-b last:border-b-0" data-cart-item="${id}">
+                    <img src="${image}" alt="${name}" class="w-16 h-16 rounded-lg object-cover bg-gray-100" />
+                    <div class="flex-1">
+                        <p class="font-medium text-gray-800">${name}</p>
+                        ${
+                          price
+                            ? `<p class="text-sm text-gray-500">${price}</p>`
+                            : ""
+                        }
+                        <div class="flex items-center mt-2">
+                            <button type="button" data-cart-action="decrease" aria-label="${t(
+                              "cart.decrease"
+                            )}" class="w-8 h-8 rounded-l-lg border text-gray-600 hover:bg-gray-100">-</button>
+                            <input type="number" min="1" max="999" value="${quantity}" data-cart-quantity aria-label="${quantityLabel}" class="w-14 h-8 border-t border-b text-center text-sm" />
+                            <button type="button" data-cart-action="increase" aria-label="${t(
+                              "cart.increase"
+                            )}" class="w-8 h-8 rounded-r-lg border text-gray-600 hover:bg-gray-100">+</button>
+                        </div>
+                    </div>
+                    <div class="text-right">
+                        ${
+                          lineTotal
+                            ? `<p class="font-semibold text-gray-800">${lineTotal}</p>`
+                            : ""
+                        }
+                        <button type="button" data-cart-action="remove" class="text-sm text-red-500 hover:underline mt-2">${t(
+                          "cart.remove"
+                        )}</button>
+                    </div>
+                </div>
+            `;
+      })
+      .join("");
+  }
+
+  drawer.querySelector("[data-cart-subtotal]").textContent = formatPrice(
+    getCartSubtotal()
+  );
+  drawer.querySelector("[data-cart-subtotal-row]").hidden = !isCartPriced();
+  checkoutBtn.disabled = cartItems.length === 0;
+}
+
+function isCartOpen() {
+  return isModalOpen("cart-drawer");
+}
+
+/**
+ * Open the drawer as a modal: focus trap, Escape, back button and scroll
+ * lock come from the modal manager
+ */
+function openCart(trigger = document.activeElement) {
+  if (!document.getElementById("cart-drawer")) return;
+
+  renderCart();
+  openModal("cart-drawer", { trigger });
+}
+
+function closeCart() {
+  closeModal("cart-drawer");
+}
+
+/**
+ * Build the prefilled WhatsApp order message for the current cart
+ */
+function buildOrderMessage(items = cartItems) {
+  // Without confirmed prices the message lists items and quantities only
+  const priced = isCartPriced(items);
+
+  const lines = items.map((item, index) => {
+    const line = `${index + 1}. ${item.name} x${item.quantity}`;
+    return priced
+      ? `${line} = ${formatPrice(item.price * item.quantity)}`
+      : line;
+  });
+
+  const subtotal = priced
+    ? items.reduce((total, item) => total + item.price * item.quantity, 0)
+    : 0;
+
+  return [
+    t("order.greeting"),
+    "",
+    ...lines,
+    "",
+    ...(priced
+      ? [t("order.subtotal", { amount: formatPrice(subtotal) }), ""]
+      : []),
+    t("order.name"),
+    t("order.address"),
+  ].join("\n");
+}
+
+/**
+ * Order message with the page/campaign source tag for attribution
+ */
+function buildTaggedOrderMessage(items = cartItems) {
+  return tagWhatsAppText(buildOrderMessage(items));
+}
+
+/**
+ * Build the wa.me checkout URL with the URL-encoded order message
+ */
+function buildWhatsAppOrderUrl(items = cartItems) {
+  return `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(
+    buildTaggedOrderMessage(items)
+  )}`;
+}
+
+/**
+ * Open WhatsApp with the order message
+ */
+function checkoutCart() {
+  if (cartItems.length === 0) {
+    showNotification(t("cart.empty"), "warning");
+    return;
+  }
+
+  trackEvent("Cart", "Checkout", "WhatsApp", getCartSubtotal());
+  window.open(buildWhatsAppOrderUrl(), "_blank", "noopener");
+}
+
+/**
+ * Gallery Lightbox
+ */
+
+// Images opened in the lightbox; each [data-gallery] container is a group
+const LIGHTBOX_SELECTOR = ".gallery-img";
+const LIGHTBOX_HASH_PREFIX = "#gallery/";
+
+let lightboxGroup = [];
+let lightboxIndex = -1;
+
+/**
+ * Initialize the lightbox for .gallery-img images on the page
+ */
+function initializeLightbox() {
+  const images = getLightboxImages();
+  if (images.length === 0) return;
+
+  createLightbox();
+
+  images.forEach((img) => {
+    img.setAttribute("tabindex", "0");
+    img.setAttribute("role", "button");
+    img.setAttribute("aria-haspopup", "dialog");
+  });
+
+  // Open from the grid (delegated so galleries rendered later also work)
+  document.addEventListener("click", function (e) {
+    const img = e.target.closest(LIGHTBOX_SELECTOR);
+    if (img) {
+      openLightbox(img);
+    }
+  });
+
+  document.addEventListener("keydown", function (e) {
+    if (isLightboxOpen()) {
+      handleLightboxKeydown(e);
+      return;
+    }
+
+    const img = e.target.closest?.(LIGHTBOX_SELECTOR);
+    if (img && (e.key === "Enter" || e.key === " ")) {
+      e.preventDefault();
+      openLightbox(img);
+    }
+  });
+
+  // Deep links such as #gallery/3
+  window.addEventListener("hashchange", openLightboxFromHash);
+  openLightboxFromHash();
+
+  document.addEventListener("amissa:languagechange", function () {
+    if (isLightboxOpen()) {
+      showLightboxImage(lightboxIndex);
+    }
+  });
+}
+
+/**
+ * All lightbox images on the page, in document order
+ */
+function getLightboxImages() {
+  return Array.from(document.querySelectorAll(LIGHTBOX_SELECTOR));
+}
+
+/**
+ * Images in the same [data-gallery] group as the given image
+ */
+function getLightboxGroup(img) {
+  const container = img.closest("[data-gallery]");
+  if (!container) return getLightboxImages();
+
+  return Array.from(container.querySelectorAll(LIGHTBOX_SELECTOR)).filter(
+    (item) => item.closest("[data-gallery]") === container
+  );
+}
+
+/**
+ * Group title from data-gallery-title or the group's heading
+ */
+function getLightboxGroupTitle(img) {
+  const container = img.closest("[data-gallery]");
+  if (!container) return "";
+
+  const heading = container.querySelector("h2, h3");
+  return container.dataset.galleryTitle || heading?.textContent.trim() || "";
+}
+
+/**
+ * Full-size source, including images still waiting for lazy loading
+ */
+function getLightboxSource(img) {
+  return img.dataset.full || img.dataset.src || img.currentSrc || img.src;
+}
+
+/**
+ * Create lightbox dialog
+ */
+function createLightbox() {
+  if (document.getElementById("lightbox")) return;
+
+  const lightbox = document.createElement("div");
+  lightbox.id = "lightbox";
+  lightbox.className = "fixed inset-0 z-50 hidden";
+  lightbox.setAttribute("role", "dialog");
+  lightbox.setAttribute("aria-label", t("lightbox.label"));
+  lightbox.setAttribute("data-i18n-aria-label", "lightbox.label");
+
+  const navButtonClass =
+    "absolute top-1/2 -translate-y-1/2 w-12 h-12 rounded-full bg-white bg-opacity-20 hover:bg-opacity-40 text-white text-xl transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-yellow-400";
+
+  lightbox.innerHTML = `
+        <div class="absolute inset-0 bg-black bg-opacity-90" data-lightbox-close></div>
+        <figure class="relative h-full flex flex-col items-center justify-center px-16 py-12 pointer-events-none">
+            <img data-lightbox-image src="" alt="" class="max-w-4xl w-full max-h-[75vh] object-contain rounded-lg shadow-lg border-4 border-white pointer-events-auto" />
+            <figcaption class="mt-4 text-center text-white pointer-events-auto">
+                <span class="block text-lg font-medium" data-lightbox-caption></span>
+                <span class="block text-sm text-gray-300" data-lightbox-counter aria-live="polite"></span>
+                <a data-lightbox-link href="#" target="_blank" rel="noopener" data-i18n="lightbox.viewOriginal" class="hidden mt-2 inline-block text-sm text-yellow-300 hover:text-yellow-400 underline">${t(
+                  "lightbox.viewOriginal"
+                )}</a>
+            </figcaption>
+        </figure>
+        <button type="button" data-lightbox-prev aria-label="${t(
+          "lightbox.prev"
+        )}" data-i18n-aria-label="lightbox.prev" class="${navButtonClass} left-4">
+            <i class="fas fa-chevron-left"></i>
+        </button>
+        <button type="button" data-lightbox-next aria-label="${t(
+          "lightbox.next"
+        )}" data-i18n-aria-label="lightbox.next" class="${navButtonClass} right-4">
+            <i class="fas fa-chevron-right"></i>
+        </button>
+        <button type="button" data-lightbox-close aria-label="${t(
+          "lightbox.close"
+        )}" data-i18n-aria-label="lightbox.close" class="absolute top-4 right-4 w-12 h-12 text-white text-3xl hover:text-yellow-400 focus:outline-none focus:ring-2 focus:ring-yellow-400 rounded-full">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+
+  document.body.appendChild(lightbox);
+
+  lightbox.querySelectorAll("[data-lightbox-close]").forEach((el) => {
+    el.addEventListener("click", closeLightbox);
+  });
+  lightbox
+    .querySelector("[data-lightbox-prev]")
+    .addEventListener("click", () => showLightboxImage(lightboxIndex - 1));
+  lightbox
+    .querySelector("[data-lightbox-next]")
+    .addEventListener("click", () => showLightboxImage(lightboxIndex + 1));
+
+  // Touch swipe navigation
+  addSwipeListener(lightbox, (direction) =>
+    showLightboxImage(lightboxIndex + direction)
+  );
+
+  // Escape, backdrop and back button close through the modal manager
+  lightbox.addEventListener("amissa:modalclose", function () {
+    lightboxIndex = -1;
+    lightboxGroup = [];
+
+    if (window.location.hash.startsWith(LIGHTBOX_HASH_PREFIX)) {
+      history.replaceState(
+        history.state,
+        "",
+        window.location.pathname + window.location.search
+      );
+    }
+  });
+}
+
+function isLightboxOpen() {
+  return isModalOpen("lightbox");
+}
+
+/**
+ * Open the lightbox on an image from the page
+ */
+function openLightbox(img) {
+  const lightbox = document.getElementById("lightbox");
+  if (!lightbox || !img) return;
+
+  if (!isLightboxOpen()) {
+    // Focus returns here on close; deep links fall back to the thumbnail
+    const active = document.activeElement;
+    openModal(lightbox.id, {
+      trigger: active && active !== document.body ? active : img,
+    });
+  }
+
+  lightboxGroup = getLightboxGroup(img);
+  showLightboxImage(lightboxGroup.indexOf(img));
+  lightbox.querySelector("button[data-lightbox-close]").focus();
+
+  trackEvent("Gallery", "Open Image", img.alt);
+}
+
+function closeLightbox() {
+  closeModal("lightbox");
+}
+
+/**
+ * Show an image of the current group (wraps around at either end)
+ */
+function showLightboxImage(index) {
+  const lightbox = document.getElementById("lightbox");
+  const total = lightboxGroup.length;
+  if (!lightbox || total === 0) return;
+
+  lightboxIndex = (index + total) % total;
+  const img = lightboxGroup[lightboxIndex];
+
+  const image = lightbox.querySelector("[data-lightbox-image]");
+  image.src = getLightboxSource(img);
+  image.alt = img.alt;
+
+  lightbox.querySelector("[data-lightbox-caption]").textContent =
+    img.dataset.caption || img.alt;
+
+  // Images from elsewhere, such as social posts, link back to the original
+  const link = lightbox.querySelector("[data-lightbox-link]");
+  link.classList.toggle("hidden", !img.dataset.link);
+  link.href = img.dataset.link || "#";
+  const group = getLightboxGroupTitle(img);
+  const counterKey = group ? "lightbox.groupCounter" : "lightbox.counter";
+  lightbox.querySelector("[data-lightbox-counter]").textContent = t(
+    counterKey,
+    { group, current: lightboxIndex + 1, total }
+  );
+
+  lightbox
+    .querySelectorAll("[data-lightbox-prev], [data-lightbox-next]")
+    .forEach((button) => button.classList.toggle("hidden", total < 2));
+
+  // Keep the address shareable (the modal manager's history state stays)
+  const position = getLightboxImages().indexOf(img) + 1;
+  history.replaceState(history.state, "", `${LIGHTBOX_HASH_PREFIX}${position}`);
+
+  preloadLightboxNeighbours();
+}
+
+/**
+ * Preload the previous and next images so navigation feels instant
+ */
+function preloadLightboxNeighbours() {
+  const total = lightboxGroup.length;
+
+  [lightboxIndex - 1, lightboxIndex + 1].forEach((index) => {
+    const img = lightboxGroup[(index + total) % total];
+    if (img) {
+      new Image().src = getLightboxSource(img);
+    }
+  });
+}
+
+/**
+ * Open the image named by a #gallery/<n> hash (1-based, page order)
+ */
+function openLightboxFromHash() {
+  const match = window.location.hash.match(/^#gallery\/(\d+)$/);
+
+  if (!match) {
+    closeLightbox();
+    return;
+  }
+
+  const img = getLightboxImages()[parseInt(match[1], 10) - 1];
+  if (!img) return;
+
+  if (isLightboxOpen() && lightboxGroup.includes(img)) {
+    showLightboxImage(lightboxGroup.indexOf(img));
+    return;
+  }
+
+  // Closing steps back to this entry, so it must not reopen the image
+  if (!isLightboxOpen()) {
+    history.replaceState(
+      history.state,
+      "",
+      window.location.pathname + window.location.search
+    );
+  }
+  openLightbox(img);
+}
+
+/**
+ * Arrow key navigation while the lightbox is open (Escape and the focus
+ * trap are handled by the modal manager)
+ */
+function handleLightboxKeydown(e) {
+  switch (e.key) {
+    case "ArrowLeft":
+      e.preventDefault();
+      showLightboxImage(lightboxIndex - 1);
+      break;
+    case "ArrowRight":
+      e.preventDefault();
+      showLightboxImage(lightboxIndex + 1);
+      break;
+  }
+}
+
+/**
+ * Social Feed
+ */
+
+// <div data-social-feed="assets/data/social-feed.json" data-gallery="...">
+// renders the posts written by scripts/sync-social-feed.js. Posts open in
+// the gallery lightbox. Until a feed has been synced the grid stays hidden and
+// only the profile links around it show.
+const SOCIAL_FEED_URL = "assets/data/social-feed.json";
+const SOCIAL_FEED_VERSION = 1;
+const SOCIAL_FEED_LIMIT = 8;
+const SOCIAL_EXCERPT_LENGTH = 90;
+const SOCIAL_LIGHTBOX_CAPTION_LENGTH = 240;
+
+const SOCIAL_PLATFORMS = {
+  instagram: { label: "Instagram", icon: "fab fa-instagram" },
+  tiktok: { label: "TikTok", icon: "fab fa-tiktok" },
+};
+
+/**
+ * Render every [data-social-feed] grid on the page
+ */
+function initializeSocialFeed() {
+  const feeds = document.querySelectorAll("[data-social-feed]");
+  if (feeds.length === 0) return;
+
+  feeds.forEach(async (feed) => {
+    try {
+      const data = await loadSocialFeed(
+        feed.dataset.socialFeed || SOCIAL_FEED_URL
+      );
+      const limit = parseInt(feed.dataset.socialLimit, 10) || SOCIAL_FEED_LIMIT;
+      const posts = data.posts
+        .filter((post) => SOCIAL_PLATFORMS[post.platform])
+        .slice(0, limit);
+
+      if (posts.length === 0) {
+        throw new Error("Social feed has no posts");
+      }
+
+      renderSocialFeed(feed, posts, data.profiles || {});
+    } catch (error) {
+      console.warn("⚠️ Social feed unavailable:", error.message);
+      feed.hidden = true;
+    }
+  });
+
+  // Dates are the only part of a post that depends on the language
+  document.addEventListener("amissa:languagechange", function () {
+    document.querySelectorAll("[data-social-date]").forEach((time) => {
+      time.textContent = formatDate(time.dateTime);
+    });
+  });
+}
+
+async function loadSocialFeed(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load social feed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.version !== SOCIAL_FEED_VERSION) {
+    throw new Error(`Unsupported social feed version ${data.version}`);
+  }
+  return { ...data, posts: data.posts || [] };
+}
+
+/**
+ * Fill a feed grid with post thumbnails that open in the lightbox
+ */
+function renderSocialFeed(feed, posts, profiles) {
+  feed.innerHTML = posts
+    .map((post) => {
+      const platform = SOCIAL_PLATFORMS[post.platform];
+      const handle = profiles[post.platform]?.handle;
+      const caption = post.caption || "";
+      const alt =
+        truncateText(caption, SOCIAL_EXCERPT_LENGTH) ||
+        `${platform.label}${handle ? ` @${handle}` : ""}`;
+      const videoBadge =
+        post.type === "video"
+          ? `<span class="absolute top-2 right-2 w-8 h-8 rounded-full bg-black bg-opacity-60 text-white flex items-center justify-center pointer-events-none">
+                        <i class="fas fa-play text-xs" aria-hidden="true"></i>
+                        <span class="sr-only" data-i18n="social.video">${t(
+                          "social.video"
+                        )}</span>
+                    </span>`
+          : "";
+
+      return `
+            <figure class="flex flex-col">
+                <div class="relative">
+                    <img
+                        data-src="${escapeHTML(post.image)}"
+                        data-sizes="(min-width: 1024px) 25vw, (min-width: 768px) 33vw, 50vw"
+                        data-caption="${escapeHTML(
+                          truncateText(
+                            caption,
+                            SOCIAL_LIGHTBOX_CAPTION_LENGTH
+                          ) || alt
+                        )}"
+                        data-link="${escapeHTML(post.url)}"
+                        alt="${escapeHTML(alt)}"
+                        tabindex="0"
+                        role="button"
+                        aria-haspopup="dialog"
+                        class="gallery-img w-full aspect-square object-cover rounded-xl shadow-md cursor-pointer bg-gray-100 hover:scale-105 transition-transform duration-300" />
+                    ${videoBadge}
+                </div>
+                <figcaption class="mt-3 text-sm">
+                    <span class="flex items-center gap-2 text-gray-500">
+                        <i class="${platform.icon}" aria-hidden="true"></i>
+                        <span class="sr-only">${platform.label}</span>
+                        <time datetime="${escapeHTML(
+                          post.date
+                        )}" data-social-date>${formatDate(post.date)}</time>
+                    </span>
+                    <span class="block mt-1 text-gray-700 line-clamp-2">${escapeHTML(
+                      truncateText(caption, SOCIAL_EXCERPT_LENGTH)
+                    )}</span>
+                </figcaption>
+            </figure>`;
+    })
+    .join("");
+
+  observeLazyImages(feed);
+
+  // The lightbox only sets itself up on pages that had images at load
+  if (!document.getElementById("lightbox")) {
+    initializeLightbox();
+  } else if (window.location.hash.startsWith(LIGHTBOX_HASH_PREFIX)) {
+    openLightboxFromHash();
+  }
+}
+
+/**
+ * Carousel
+ */
+
+// Slides are .carousel-item elements inside [data-carousel]. Seasonal slides
+// can set data-slide-start / data-slide-end (YYYY-MM-DD, inclusive).
+const CAROUSEL_INTERVAL = 5000;
+
+const carousels = [];
+
+/**
+ * Initialize every [data-carousel] on the page
+ */
+function initializeCarousels() {
+  document.querySelectorAll("[data-carousel]").forEach((root) => {
+    const carousel = createCarousel(root);
+    if (carousel) {
+      carousels.push(carousel);
+    }
+  });
+}
+
+/**
+ * Check a slide's optional date window against today's local date
+ */
+function isSlideInSeason(slide, today = getLocalDateKey()) {
+  const { slideStart, slideEnd } = slide.dataset;
+  return (
+    (!slideStart || slideStart <= today) && (!slideEnd || today <= slideEnd)
+  );
+}
+
+function getLocalDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Set up one carousel and return its controls
+ */
+function createCarousel(root) {
+  root.querySelectorAll(".carousel-item").forEach((slide) => {
+    if (!isSlideInSeason(slide)) {
+      slide.remove();
+    }
+  });
+
+  const slides = Array.from(root.querySelectorAll(".carousel-item"));
+  if (slides.length === 0) return null;
+
+  const interval =
+    parseInt(root.dataset.carouselInterval, 10) || CAROUSEL_INTERVAL;
+  const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+  const state = {
+    index: 0,
+    timer: null,
+    hovered: false,
+    focused: false,
+    // Stopped by the user or by reduced motion preference
+    stopped: reducedMotion.matches,
+  };
+
+  root.setAttribute("role", "region");
+  root.setAttribute("aria-roledescription", "carousel");
+  slides.forEach((slide) => {
+    slide.setAttribute("role", "group");
+    slide.setAttribute("aria-roledescription", "slide");
+  });
+
+  // Screen reader announcements for slide changes made by the user
+  const status = document.createElement("div");
+  status.className = "sr-only";
+  status.setAttribute("aria-live", "polite");
+  status.setAttribute("aria-atomic", "true");
+  root.appendChild(status);
+
+  const controls = slides.length > 1 ? createCarouselControls(slides) : null;
+  if (controls) {
+    root.appendChild(controls);
+
+    controls
+      .querySelector("[data-carousel-prev]")
+      .addEventListener("click", () => goTo(state.index - 1));
+    controls
+      .querySelector("[data-carousel-next]")
+      .addEventListener("click", () => goTo(state.index + 1));
+    controls.querySelectorAll("[data-carousel-dot]").forEach((dot) => {
+      dot.addEventListener("click", () =>
+        goTo(parseInt(dot.dataset.carouselDot, 10))
+      );
+    });
+    controls
+      .querySelector("[data-carousel-toggle]")
+      .addEventListener("click", function () {
+        state.stopped = !state.stopped;
+        updateAutoplay();
       });
+  }
+
+  function show(index, { announce = false } = {}) {
+    state.index = (index + slides.length) % slides.length;
+
+    slides.forEach((slide, i) => {
+      const active = i === state.index;
+      slide.classList.toggle("opacity-100", active);
+      slide.classList.toggle("opacity-0", !active);
+      slide.classList.toggle("pointer-events-none", !active);
+      slide.setAttribute("aria-hidden", String(!active));
+      slide.inert = !active;
+    });
+
+    controls?.querySelectorAll("[data-carousel-dot]").forEach((dot, i) => {
+      dot.setAttribute("aria-current", String(i === state.index));
+      dot.classList.toggle("bg-white", i === state.index);
+      dot.classList.toggle("bg-opacity-50", i !== state.index);
+    });
+
+    // Load the visible slide and the next one through the lazy loader
+    [state.index, (state.index + 1) % slides.length].forEach((i) => {
+      slides[i].querySelectorAll("img[data-src]").forEach(loadLazyImage);
+    });
+
+    if (announce) {
+      const heading = slides[state.index].querySelector("h1, h2, h3");
+      status.textContent = t("carousel.status", {
+        current: state.index + 1,
+        total: slides.length,
+        title: heading ? heading.textContent.trim() : "",
+      });
+    }
+  }
+
+  function goTo(index) {
+    show(index, { announce: true });
+    // Restart the countdown after manual navigation
+    updateAutoplay();
+  }
+
+  function isPlaying() {
+    return (
+      slides.length > 1 &&
+      !state.stopped &&
+      !state.hovered &&
+      !state.focused &&
+      !document.hidden
+    );
+  }
+
+  function updateAutoplay() {
+    clearInterval(state.timer);
+    state.timer = isPlaying()
+      ? setInterval(() => show(state.index + 1), interval)
+      : null;
+    updateLabels();
+  }
+
+  function updateLabels() {
+    slides.forEach((slide, i) => {
+      slide.setAttribute(
+        "aria-label",
+        t("carousel.slide", { current: i + 1, total: slides.length })
+      );
+    });
+
+    controls?.querySelectorAll("[data-carousel-dot]").forEach((dot, i) => {
+      dot.setAttribute("aria-label", t("carousel.goTo", { number: i + 1 }));
+    });
+
+    const toggle = controls?.querySelector("[data-carousel-toggle]");
+    if (toggle) {
+      const label = state.stopped ? "carousel.play" : "carousel.pause";
+      toggle.setAttribute("aria-label", t(label));
+      toggle.setAttribute("data-i18n-aria-label", label);
+      toggle.querySelector("i").className = state.stopped
+        ? "fas fa-play"
+        : "fas fa-pause";
+    }
+  }
+
+  // Pause while the visitor is reading or interacting
+  root.addEventListener("mouseenter", function () {
+    state.hovered = true;
+    updateAutoplay();
+  });
+  root.addEventListener("mouseleave", function () {
+    state.hovered = false;
+    updateAutoplay();
+  });
+  root.addEventListener("focusin", function (e) {
+    // Keyboard focus only, so clicking play does not pause again
+    state.focused = e.target.matches(":focus-visible");
+    updateAutoplay();
+  });
+  root.addEventListener("focusout", function (e) {
+    if (!root.contains(e.relatedTarget)) {
+      state.focused = false;
+      updateAutoplay();
+    }
+  });
+  document.addEventListener("visibilitychange", updateAutoplay);
+
+  reducedMotion.addEventListener?.("change", function (e) {
+    state.stopped = e.matches;
+    updateAutoplay();
+  });
+
+  addSwipeListener(root, (direction) => goTo(state.index + direction));
+
+  document.addEventListener("amissa:languagechange", updateLabels);
+
+  show(0);
+  updateAutoplay();
+
+  return {
+    root,
+    show: goTo,
+    next: () => goTo(state.index + 1),
+    prev: () => goTo(state.index - 1),
+    play() {
+      state.stopped = false;
+      updateAutoplay();
+    },
+    pause() {
+      state.stopped = true;
+      updateAutoplay();
+    },
+  };
+}
+
+/**
+ * Build prev/next buttons, dot indicators and the autoplay toggle
+ */
+function createCarouselControls(slides) {
+  const controls = document.createElement("div");
+  controls.className =
+    "absolute inset-x-0 bottom-6 z-20 flex items-center justify-center gap-4";
+
+  const buttonClass =
+    "w-10 h-10 rounded-full bg-white bg-opacity-20 hover:bg-opacity-40 text-white transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-yellow-400";
+
+  const dots = slides
+    .map(
+      (slide, i) => `
+            <button type="button" data-carousel-dot="${i}" aria-label="${t(
+        "carousel.goTo",
+        { number: i + 1 }
+      )}" class="w-3 h-3 rounded-full bg-white bg-opacity-50 transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-yellow-400"></button>`
+    )
+    .join("");
+
+  controls.innerHTML = `
+        <button type="button" data-carousel-prev aria-label="${t(
+          "carousel.prev"
+        )}" data-i18n-aria-label="carousel.prev" class="${buttonClass}">
+            <i class="fas fa-chevron-left"></i>
+        </button>
+        <div class="flex items-center gap-2">${dots}</div>
+        <button type="button" data-carousel-next aria-label="${t(
+          "carousel.next"
+        )}" data-i18n-aria-label="carousel.next" class="${buttonClass}">
+            <i class="fas fa-chevron-right"></i>
+        </button>
+        <button type="button" data-carousel-toggle class="${buttonClass}">
+            <i class="fas fa-pause"></i>
+        </button>
+    `;
+
+  return controls;
+}
+
+/**
+ * Consent Manager
+ */
+
+// Bump the version when categories or vendors change so visitors are asked again.
+// The CDNs every page loads from are listed under "necessary": the pages
+// cannot render without them, so they are disclosed rather than held back.
+const CONSENT_STORAGE_KEY = "amissa-consent";
+const CONSENT_VERSION = 2;
+const CONSENT_CATEGORIES = ["necessary", "analytics", "marketing"];
+
+let consentState = null;
+const consentListeners = [];
+
+/**
+ * Restore saved consent, show the banner if the visitor has not chosen yet
+ * and load any content they already agreed to
+ */
+function initializeConsent() {
+  consentState = loadConsent();
+
+  if (consentState) {
+    activateConsentedContent();
+  } else {
+    showConsentBanner();
+  }
+
+  // "Cookie settings" links (footer) reopen the banner
+  document.addEventListener("click", function (e) {
+    if (e.target.closest("[data-consent-open]")) {
+      e.preventDefault();
+      showConsentBanner({ expanded: true });
+    }
+  });
+
+  // Choices made in another tab
+  window.addEventListener("storage", function (e) {
+    if (e.key === CONSENT_STORAGE_KEY) {
+      consentState = loadConsent();
+      activateConsentedContent();
+      notifyConsentListeners();
+    }
+  });
+}
+
+/**
+ * Read stored consent; a different version counts as no consent
+ */
+function loadConsent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+    return stored && stored.version === CONSENT_VERSION ? stored : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Current choice per category. `decided` is false until the visitor chooses.
+ */
+function getConsent() {
+  const categories = consentState ? consentState.categories : {};
+
+  return {
+    necessary: true,
+    analytics: categories.analytics === true,
+    marketing: categories.marketing === true,
+    decided: Boolean(consentState),
+    updatedAt: consentState ? consentState.updatedAt : null,
+  };
+}
+
+function hasConsent(category) {
+  return getConsent()[category] === true;
+}
+
+/**
+ * Save the visitor's choice, e.g. setConsent({ analytics: true })
+ */
+function setConsent(choices = {}) {
+  const current = getConsent();
+  const categories = {};
+
+  CONSENT_CATEGORIES.forEach((category) => {
+    categories[category] =
+      category === "necessary"
+        ? true
+        : Boolean(category in choices ? choices[category] : current[category]);
+  });
+
+  consentState = {
+    version: CONSENT_VERSION,
+    categories,
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consentState));
+  } catch (error) {
+    console.warn("⚠️ Could not save consent:", error);
+  }
+
+  hideConsentBanner();
+  activateConsentedContent();
+  notifyConsentListeners();
+
+  return getConsent();
+}
+
+/**
+ * Subscribe to consent changes; returns an unsubscribe function
+ */
+function onConsentChange(listener) {
+  consentListeners.push(listener);
+
+  return function () {
+    const index = consentListeners.indexOf(listener);
+    if (index !== -1) {
+      consentListeners.splice(index, 1);
+    }
+  };
+}
+
+function notifyConsentListeners() {
+  const consent = getConsent();
+
+  consentListeners.forEach((listener) => {
+    try {
+      listener(consent);
+    } catch (error) {
+      console.error("❌ Consent listener failed:", error);
+    }
+  });
+
+  document.dispatchEvent(
+    new CustomEvent("amissa:consentchange", { detail: consent })
+  );
+}
+
+/**
+ * Load scripts and embeds held back until consent:
+ * <script type="text/plain" data-consent="marketing" data-src="...">
+ * <iframe data-consent="marketing" data-src="...">
+ */
+function activateConsentedContent() {
+  document.querySelectorAll("[data-consent]").forEach((element) => {
+    if (!hasConsent(element.dataset.consent)) return;
+
+    if (element.tagName === "SCRIPT") {
+      if (element.type !== "text/plain") return;
+
+      const script = document.createElement("script");
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        if (!["type", "data-src", "data-consent"].includes(name)) {
+          script.setAttribute(name, value);
+        }
+      });
+
+      if (element.dataset.src) {
+        script.src = element.dataset.src;
+      } else {
+        script.textContent = element.textContent;
+      }
+
+      element.replaceWith(script);
+    } else if (element.dataset.src) {
+      element.src = element.dataset.src;
+      element.removeAttribute("data-src");
+      element.removeAttribute("data-consent");
+    }
+  });
+}
+
+/**
+ * Show the consent banner; `expanded` opens the per-category toggles
+ */
+function showConsentBanner({ expanded = false } = {}) {
+  let banner = document.getElementById("consent-banner");
+  if (!banner) {
+    banner = createConsentBanner();
+  }
+
+  const consent = getConsent();
+  banner.querySelectorAll("[data-consent-category]").forEach((toggle) => {
+    toggle.checked = consent[toggle.dataset.consentCategory];
+  });
+
+  banner
+    .querySelector("[data-consent-details]")
+    .classList.toggle("hidden", !expanded);
+  banner
+    .querySelector("[data-consent-save]")
+    .classList.toggle("hidden", !expanded);
+  banner
+    .querySelector("[data-consent-customize]")
+    .classList.toggle("hidden", expanded);
+
+  banner.classList.remove("hidden");
+}
+
+function hideConsentBanner() {
+  document.getElementById("consent-banner")?.classList.add("hidden");
+}
+
+/**
+ * Build the consent banner
+ */
+function createConsentBanner() {
+  const banner = document.createElement("div");
+  banner.id = "consent-banner";
+  banner.className = "fixed inset-x-0 bottom-0 z-50 p-4 hidden";
+  banner.setAttribute("role", "region");
+  banner.setAttribute("aria-label", t("consent.title"));
+  banner.setAttribute("data-i18n-aria-label", "consent.title");
+
+  const categories = CONSENT_CATEGORIES.map(
+    (category) => `
+                <label class="flex items-start gap-3 py-2">
+                    <input type="checkbox" data-consent-category="${category}" ${
+      category === "necessary" ? "checked disabled" : ""
+    } class="mt-1 h-4 w-4 accent-green-600" />
+                    <span>
+                        <span class="block font-medium text-gray-800" data-i18n="consent.${category}">${t(
+      `consent.${category}`
+    )}</span>
+                        <span class="block text-sm text-gray-500" data-i18n="consent.${category}Text">${t(
+      `consent.${category}Text`
+    )}</span>
+                    </span>
+                </label>`
+  ).join("");
+
+  const secondaryButton =
+    "px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition";
+
+  banner.innerHTML = `
+        <div class="max-w-3xl mx-auto bg-white rounded-2xl shadow-2xl border border-gray-100 p-6">
+            <h2 class="text-lg font-bold text-gray-800 mb-2">
+                <i class="fas fa-cookie-bite mr-2 text-yellow-500"></i><span data-i18n="consent.title">${t(
+                  "consent.title"
+                )}</span>
+            </h2>
+            <p class="text-sm text-gray-600 mb-4" data-i18n="consent.text">${t(
+              "consent.text"
+            )}</p>
+            <div class="hidden border-t border-b border-gray-100 mb-4" data-consent-details>${categories}</div>
+            <div class="flex flex-wrap justify-end gap-3">
+                <button type="button" data-consent-customize data-i18n="consent.customize" class="${secondaryButton}">${t(
+    "consent.customize"
+  )}</button>
+                <button type="button" data-consent-save data-i18n="consent.save" class="hidden ${secondaryButton}">${t(
+    "consent.save"
+  )}</button>
+                <button type="button" data-consent-reject data-i18n="consent.reject" class="${secondaryButton}">${t(
+    "consent.reject"
+  )}</button>
+                <button type="button" data-consent-accept data-i18n="consent.accept" class="px-4 py-2 rounded-lg bg-gradient-to-r from-green-500 to-yellow-400 hover:from-green-600 hover:to-yellow-500 text-white font-medium transition">${t(
+                  "consent.accept"
+                )}</button>
+            </div>
+        </div>
+    `;
+
+  document.body.appendChild(banner);
+
+  banner
+    .querySelector("[data-consent-accept]")
+    .addEventListener("click", () =>
+      setConsent({ analytics: true, marketing: true })
+    );
+  banner
+    .querySelector("[data-consent-reject]")
+    .addEventListener("click", () =>
+      setConsent({ analytics: false, marketing: false })
+    );
+  banner
+    .querySelector("[data-consent-customize]")
+    .addEventListener("click", () => showConsentBanner({ expanded: true }));
+  banner
+    .querySelector("[data-consent-save]")
+    .addEventListener("click", function () {
+      const choices = {};
+      banner.querySelectorAll("[data-consent-category]").forEach((toggle) => {
+        choices[toggle.dataset.consentCategory] = toggle.checked;
+      });
+      setConsent(choices);
+    });
+
+  return banner;
+}
+
+/**
+ * Analytics
+ */
+
+// Fill in the IDs/endpoint to enable a sink; empty values keep it off
+const ANALYTICS_CONFIG = {
+  ga4: { measurementId: "" },
+  metaPixel: { pixelId: "" },
+  beacon: { endpoint: "" },
+  // Log events to the console (always on for localhost)
+  debug: false,
+  batchSize: 10,
+  flushDelay: 2000,
+};
+
+const ANALYTICS_QUEUE_KEY = "amissa-analytics-queue";
+const ANALYTICS_QUEUE_LIMIT = 100;
+const SCROLL_DEPTH_MARKS = [25, 50, 75, 100];
+
+// Commerce destinations tracked as outbound clicks
+const OUTBOUND_HOSTS = {
+  shopee: ["shopee.co.id", "shp.ee"],
+  tokopedia: ["tokopedia.com", "tokopedia.link"],
+  whatsapp: ["wa.me", "api.whatsapp.com"],
+};
+
+let analyticsQueue = [];
+let analyticsFlushTimer = null;
+
+const analyticsSinks = {
+  // Google Analytics 4 (gtag.js is loaded after analytics consent)
+  ga4: {
+    consent: "analytics",
+    isEnabled: (config) =>
+      Boolean(config.ga4.measurementId) && typeof gtag === "function",
+    send(events) {
+      events.forEach((event) => {
+        if (event.type === "pageview") {
+          gtag("event", "page_view", {
+            page_title: event.title,
+            page_location: event.url,
+          });
+        } else {
+          gtag("event", event.action, {
+            event_category: event.category,
+            event_label: event.label,
+            value: event.value,
+          });
+        }
+      });
+    },
+  },
+
+  // Meta Pixel (loaded after marketing consent)
+  metaPixel: {
+    consent: "marketing",
+    isEnabled: (config) =>
+      Boolean(config.metaPixel.pixelId) && typeof fbq === "function",
+    send(events) {
+      events.forEach((event) => {
+        if (event.type === "pageview") {
+          fbq("track", "PageView");
+        } else {
+          fbq("trackCustom", event.action, {
+            category: event.category,
+            label: event.label,
+            value: event.value,
+          });
+        }
+      });
+    },
+  },
+
+  // Generic collector: POSTs the batch as JSON
+  beacon: {
+    consent: "analytics",
+    isEnabled: (config) => Boolean(config.beacon.endpoint),
+    send(events, config) {
+      const body = JSON.stringify({ events });
+
+      if (navigator.sendBeacon) {
+        const blob = new Blob([body], { type: "application/json" });
+        if (navigator.sendBeacon(config.beacon.endpoint, blob)) return;
+      }
+
+      fetch(config.beacon.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: body,
+        keepalive: true,
+      }).catch((error) => console.warn("⚠️ Analytics beacon failed:", error));
+    },
+  },
+
+  // Console output for development
+  debug: {
+    consent: "analytics",
+    isEnabled: (config) =>
+      config.debug || ["localhost", "127.0.0.1"].includes(location.hostname),
+    send(events) {
+      events.forEach((event) => console.log("📊 Event tracked:", event));
+    },
+  },
+};
+
+/**
+ * Register a custom analytics sink
+ * ({ consent, isEnabled(config), send(events, config) })
+ */
+function registerAnalyticsSink(name, sink) {
+  if (!sink || typeof sink.send !== "function") {
+    throw new TypeError(`Analytics sink "${name}" must have a send function`);
+  }
+  analyticsSinks[name] = {
+    consent: "analytics",
+    isEnabled: () => true,
+    ...sink,
+  };
+}
+
+/**
+ * Restore queued events, track the page view and set up automatic events
+ */
+function initializeAnalytics() {
+  analyticsQueue = loadAnalyticsQueue();
+  loadAnalyticsVendors();
+
+  onConsentChange(function (consent) {
+    loadAnalyticsVendors();
+
+    if (consent.analytics) {
+      flushAnalytics();
+    } else {
+      analyticsQueue = [];
+      saveAnalyticsQueue();
+    }
+  });
+
+  trackPageView();
+  initializeOutboundTracking();
+  initializeScrollDepthTracking();
+
+  // Send whatever is queued before the page goes away
+  window.addEventListener("pagehide", flushAnalytics);
+  document.addEventListener("visibilitychange", function () {
+    if (document.hidden) {
+      flushAnalytics();
+    }
+  });
+
+  scheduleAnalyticsFlush();
+}
+
+/**
+ * Load gtag.js and the Meta Pixel once the matching consent is given
+ */
+function loadAnalyticsVendors() {
+  const { ga4, metaPixel } = ANALYTICS_CONFIG;
+
+  if (ga4.measurementId && hasConsent("analytics") && !window.gtag) {
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = function () {
+      window.dataLayer.push(arguments);
+    };
+    gtag("js", new Date());
+    // Page views are sent by trackPageView()
+    gtag("config", ga4.measurementId, { send_page_view: false });
+    loadScript(
+      `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(
+        ga4.measurementId
+      )}`
+    );
+  }
+
+  if (metaPixel.pixelId && hasConsent("marketing") && !window.fbq) {
+    const fbq = function () {
+      fbq.callMethod
+        ? fbq.callMethod.apply(fbq, arguments)
+        : fbq.queue.push(arguments);
+    };
+    fbq.push = fbq;
+    fbq.loaded = true;
+    fbq.version = "2.0";
+    fbq.queue = [];
+    window.fbq = window._fbq = fbq;
+    fbq("init", metaPixel.pixelId);
+    loadScript("https://connect.facebook.net/en_US/fbevents.js");
+  }
+}
+
+// Analytics tracking
+function trackEvent(category, action, label = "", value = 0) {
+  queueAnalyticsEvent({ type: "event", category, action, label, value });
+}
+
+function trackPageView() {
+  queueAnalyticsEvent({ type: "pageview", title: document.title });
+}
+
+/**
+ * Add an event to the batch queue; it is only sent after consent
+ */
+function queueAnalyticsEvent(event) {
+  // Visitor declined analytics; do not keep anything
+  if (getConsent().decided && !hasConsent("analytics")) return;
+
+  analyticsQueue.push({
+    ...event,
+    page: currentPage || getCurrentPage(),
+    url: window.location.href,
+    language: currentLanguage,
+    campaign: getCampaign(),
+    timestamp: new Date().toISOString(),
+  });
+
+  // Oldest events are dropped first
+  if (analyticsQueue.length > ANALYTICS_QUEUE_LIMIT) {
+    analyticsQueue = analyticsQueue.slice(-ANALYTICS_QUEUE_LIMIT);
+  }
+  saveAnalyticsQueue();
+
+  if (analyticsQueue.length >= ANALYTICS_CONFIG.batchSize) {
+    flushAnalytics();
+  } else {
+    scheduleAnalyticsFlush();
+  }
+}
+
+function scheduleAnalyticsFlush() {
+  clearTimeout(analyticsFlushTimer);
+  analyticsFlushTimer = setTimeout(flushAnalytics, ANALYTICS_CONFIG.flushDelay);
+}
+
+/**
+ * Send queued events to every enabled sink
+ */
+function flushAnalytics() {
+  clearTimeout(analyticsFlushTimer);
+  if (analyticsQueue.length === 0 || !hasConsent("analytics")) return;
+
+  const events = analyticsQueue;
+  analyticsQueue = [];
+  saveAnalyticsQueue();
+
+  Object.entries(analyticsSinks).forEach(([name, sink]) => {
+    try {
+      if (hasConsent(sink.consent) && sink.isEnabled(ANALYTICS_CONFIG)) {
+        sink.send(events, ANALYTICS_CONFIG);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Analytics sink "${name}" failed:`, error);
+    }
+  });
+}
+
+function loadAnalyticsQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ANALYTICS_QUEUE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveAnalyticsQueue() {
+  try {
+    if (analyticsQueue.length > 0) {
+      localStorage.setItem(ANALYTICS_QUEUE_KEY, JSON.stringify(analyticsQueue));
+    } else {
+      localStorage.removeItem(ANALYTICS_QUEUE_KEY);
+    }
+  } catch (error) {
+    // Storage full or unavailable; events stay in memory
+  }
+}
+
+/**
+ * Marketplace key for a Shopee, Tokopedia or WhatsApp URL, otherwise null
+ */
+function getOutboundMarketplace(href) {
+  let host;
+  try {
+    host = new URL(href, window.location.href).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+
+  return (
+    Object.keys(OUTBOUND_HOSTS).find((key) =>
+      OUTBOUND_HOSTS[key].some(
+        (domain) => host === domain || host.endsWith(`.${domain}`)
+      )
+    ) || null
+  );
+}
+
+/**
+ * Track clicks on marketplace and WhatsApp links anywhere on the page
+ */
+function initializeOutboundTracking() {
+  // Middle clicks open marketplaces in a new tab too
+  ["click", "auxclick"].forEach((type) => {
+    document.addEventListener(type, function (e) {
+      const link = e.target.closest("a[href]");
+      if (!link) return;
+
+      const marketplace = getOutboundMarketplace(link.href);
+      if (marketplace) {
+        // Tagged on click so links rendered later are covered too
+        decorateOutboundLink(link);
+
+        trackEvent("Outbound", "Click", marketplace);
+
+        // The visitor may not come back; send now
+        flushAnalytics();
+      }
+    });
+  });
+}
+
+/**
+ * Track how far down the page visitors scroll (25/50/75/100%)
+ */
+function initializeScrollDepthTracking() {
+  const reached = new Set();
+
+  const checkDepth = throttle(function () {
+    const scrollable =
+      document.documentElement.scrollHeight - window.innerHeight;
+    const depth =
+      scrollable > 0 ? Math.round((window.scrollY / scrollable) * 100) : 100;
+
+    SCROLL_DEPTH_MARKS.forEach((mark) => {
+      if (depth >= mark && !reached.has(mark)) {
+        reached.add(mark);
+        trackEvent("Scroll", "Depth", `${mark}%`, mark);
+      }
+    });
+
+    if (reached.size === SCROLL_DEPTH_MARKS.length) {
+      window.removeEventListener("scroll", checkDepth);
+    }
+  }, 250);
+
+  window.addEventListener("scroll", checkDepth, { passive: true });
+}
+
+/**
+ * Campaign Attribution
+ */
+
+// Landing URL parameters kept for the session and passed on to marketplaces
+const CAMPAIGN_STORAGE_KEY = "amissa-campaign";
+const CAMPAIGN_PARAMS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "ref",
+];
+const CAMPAIGN_DEFAULTS = {
+  utm_source: "amissasweetcare",
+  utm_medium: "referral",
+};
+
+/**
+ * Remember campaign parameters from the landing URL for this session
+ */
+function initializeCampaignAttribution() {
+  const params = new URLSearchParams(window.location.search);
+  const landing = {};
+
+  CAMPAIGN_PARAMS.forEach((name) => {
+    const value = params.get(name);
+    if (value) {
+      landing[name] = value.trim().slice(0, 100);
+    }
+  });
+
+  // A new campaign link replaces the one stored earlier in the session
+  if (Object.keys(landing).length > 0) {
+    landing.landingPage = currentPage;
+    try {
+      sessionStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(landing));
+    } catch (error) {
+      console.warn("⚠️ Could not save campaign:", error);
+    }
+  }
+}
+
+/**
+ * Campaign parameters for this session (empty object when none)
+ */
+function getCampaign() {
+  try {
+    return JSON.parse(sessionStorage.getItem(CAMPAIGN_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Add UTM parameters (Shopee/Tokopedia) or a source tag (WhatsApp) to a
+ * commerce link. Parameters already on the link, such as a partner's
+ * ?ref= code, are left as they are.
+ */
+function decorateOutboundLink(link) {
+  if (link.dataset.outboundTagged) return;
+
+  const marketplace = getOutboundMarketplace(link.href);
+  if (!marketplace) return;
+
+  const url = new URL(link.href);
+
+  if (marketplace === "whatsapp") {
+    const text = url.searchParams.get("text") || t("outbound.whatsappGreeting");
+    url.searchParams.set("text", tagWhatsAppText(text));
+  } else {
+    const campaign = getCampaign();
+    const params = {
+      ...CAMPAIGN_DEFAULTS,
+      utm_campaign: currentPage,
+      utm_content: currentPage,
+      ...campaign,
+    };
+
+    CAMPAIGN_PARAMS.forEach((name) => {
+      if (params[name] && !url.searchParams.has(name)) {
+        url.searchParams.set(name, params[name]);
+      }
+    });
+  }
+
+  // Encode spaces as %20 like buildWhatsAppOrderUrl (a literal + is %2B)
+  link.href = url.toString().replace(/\+/g, "%20");
+  link.dataset.outboundTagged = marketplace;
+}
+
+/**
+ * Append the page and campaign a WhatsApp message was sent from
+ */
+function tagWhatsAppText(text) {
+  const campaign = getCampaign();
+  const source = [
+    currentPage,
+    campaign.utm_campaign,
+    campaign.utm_source,
+    campaign.ref && `ref ${campaign.ref}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return `${text}\n\n${t("outbound.whatsappTag", { source })}`;
+}
+
+/**
+ * Site Search
+ */
+
+// Generated by scripts/build-search-index.js from the pages and catalog
+const SEARCH_INDEX_URL = "assets/data/search-index.json";
+const SEARCH_INDEX_VERSION = 1;
+const SEARCH_RESULT_LIMIT = 8;
+const SEARCH_SNIPPET_LENGTH = 140;
+
+const SEARCH_TYPE_ICONS = {
+  product: "fas fa-box",
+  team: "fas fa-user",
+  recipe: "fas fa-utensils",
+  location: "fas fa-map-marker-alt",
+  gallery: "fas fa-images",
+  section: "fas fa-file-alt",
+};
+
+const SEARCH_PAGE_LABELS = {
+  "index.html": "nav.home",
+  "about.html": "nav.about",
+  "product.html": "nav.product",
+  "team.html": "nav.team",
+  "gallery.html": "nav.gallery",
+  "locator.html": "nav.locator",
+};
+
+// Weight of a match in each field of an entry
+const SEARCH_FIELD_WEIGHTS = { title: 3, keywords: 2, text: 1 };
+
+// Question words and fillers in Indonesian and English
+const SEARCH_STOPWORDS = new Set([
+  "yang",
+  "dan",
+  "di",
+  "ke",
+  "dari",
+  "untuk",
+  "dengan",
+  "ini",
+  "itu",
+  "apa",
+  "siapa",
+  "mana",
+  "cocok",
+  "the",
+  "a",
+  "an",
+  "and",
+  "of",
+  "for",
+  "to",
+  "in",
+  "is",
+  "who",
+  "what",
+  "which",
+  "good",
+]);
+
+// Removed in order: particles, possessives, derivational suffixes and an
+// English plural "s"
+const SEARCH_SUFFIXES = [
+  /(lah|kah|tah|pun)$/,
+  /(ku|mu|nya)$/,
+  /(kan|an|i)$/,
+  /(?<!s)s$/,
+];
+
+// Indonesian prefixes, longest first; the value replaces the prefix
+const SEARCH_PREFIXES = [
+  ["meng", ""],
+  ["meny", "s"],
+  ["peng", ""],
+  ["peny", "s"],
+  ["mem", ""],
+  ["men", ""],
+  ["pem", ""],
+  ["pen", ""],
+  ["per", ""],
+  ["ber", ""],
+  ["ter", ""],
+  ["me", ""],
+  ["pe", ""],
+  ["be", ""],
+  ["di", ""],
+  ["ke", ""],
+  ["se", ""],
+];
+
+// Shortest stem left after removing an affix
+const SEARCH_MIN_STEM = 4;
+
+let searchIndexPromise = null;
+let searchResults = [];
+let searchActiveIndex = -1;
+
+/**
+ * Navbar trigger, / and Ctrl+K shortcuts, and deep links to a result
+ */
+function initializeSearch() {
+  document.addEventListener("click", function (e) {
+    const trigger = e.target.closest("[data-search-open]");
+    if (trigger) {
+      e.preventDefault();
+      openSearch(trigger);
+    }
+  });
+
+  document.addEventListener("keydown", function (e) {
+    const isShortcut =
+      (e.key === "k" && (e.ctrlKey || e.metaKey)) ||
+      (e.key === "/" &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        !isEditableTarget(e.target));
+
+    if (isShortcut && !isModalOpen("search-overlay")) {
+      e.preventDefault();
+      openSearch();
+    }
+  });
+
+  document.addEventListener("amissa:languagechange", function () {
+    if (isModalOpen("search-overlay")) {
+      runSearch(document.querySelector("[data-search-input]").value);
+    }
+  });
+
+  // Arriving from a result on another page
+  revealSearchTarget(window.location.hash);
+}
+
+function isEditableTarget(target) {
+  return Boolean(
+    target.closest?.("input, textarea, select, [contenteditable='true']")
+  );
+}
+
+/**
+ * Open the overlay and load the index on first use
+ */
+function openSearch(trigger = document.activeElement) {
+  createSearchOverlay();
+  openModal("search-overlay", { trigger });
+
+  const input = document.querySelector("[data-search-input]");
+  input.select();
+  runSearch(input.value);
+}
+
+function createSearchOverlay() {
+  if (document.getElementById("search-overlay")) return;
+
+  const overlay = document.createElement("div");
+  overlay.id = "search-overlay";
+  overlay.className =
+    "fixed inset-0 z-50 hidden bg-black bg-opacity-50 px-4 pt-20 pb-4";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "search-title");
+
+  overlay.innerHTML = `
+        <div class="mx-auto max-w-2xl bg-white rounded-2xl shadow-2xl overflow-hidden">
+            <div class="flex items-center gap-3 px-4 border-b">
+                <i class="fas fa-search text-gray-400" aria-hidden="true"></i>
+                <label id="search-title" for="search-input" class="sr-only" data-i18n="search.label">${t(
+                  "search.label"
+                )}</label>
+                <input
+                    id="search-input"
+                    type="search"
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded="false"
+                    aria-controls="search-results"
+                    autocomplete="off"
+                    spellcheck="false"
+                    placeholder="${t("search.placeholder")}"
+                    data-i18n-placeholder="search.placeholder"
+                    data-search-input
+                    class="flex-1 py-4 text-gray-800 focus:outline-none" />
+                <button type="button" data-modal-close aria-label="${t(
+                  "search.close"
+                )}" data-i18n-aria-label="search.close" class="text-gray-500 hover:text-gray-700 p-2">
+                    <i class="fas fa-times text-xl"></i>
+                </button>
+            </div>
+            <ul id="search-results" role="listbox" aria-labelledby="search-title" class="max-h-[60vh] overflow-y-auto divide-y" data-search-results></ul>
+            <p class="px-4 py-3 text-sm text-gray-500 border-t" aria-live="polite" data-search-status></p>
+        </div>
+    `;
+
+  document.body.appendChild(overlay);
+
+  // The modal manager only toggles .show
+  overlay.addEventListener("amissa:modalclose", function () {
+    overlay.classList.add("hidden");
+  });
+
+  const input = overlay.querySelector("[data-search-input]");
+  input.addEventListener("input", () => runSearch(input.value));
+  input.addEventListener("keydown", handleSearchKeydown);
+
+  overlay
+    .querySelector("[data-search-results]")
+    .addEventListener("click", function (e) {
+      const option = e.target.closest("[data-search-result]");
+      if (!option) return;
+
+      e.preventDefault();
+      openSearchResult(searchResults[option.dataset.searchResult]);
     });
+}
+
+/**
+ * Arrow keys move through the results, Enter opens the active one
+ */
+function handleSearchKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (searchResults.length === 0) return;
+
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    setActiveSearchResult(
+      (searchActiveIndex + step + searchResults.length) % searchResults.length
+    );
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    const result = searchResults[Math.max(searchActiveIndex, 0)];
+    if (result) {
+      openSearchResult(result);
+    }
+  }
+}
+
+function setActiveSearchResult(index) {
+  const input = document.querySelector("[data-search-input]");
+  searchActiveIndex = index;
+
+  document.querySelectorAll("[data-search-result]").forEach((option, i) => {
+    const active = i === index;
+    option.setAttribute("aria-selected", String(active));
+    option.classList.toggle("bg-green-50", active);
+    if (active) {
+      option.scrollIntoView?.({ block: "nearest" });
+    }
+  });
+
+  if (index >= 0) {
+    input.setAttribute("aria-activedescendant", `search-result-${index}`);
+  } else {
+    input.removeAttribute("aria-activedescendant");
+  }
+}
+
+/**
+ * Fetch and prepare the index once
+ */
+function loadSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = fetch(SEARCH_INDEX_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load search index: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((index) => {
+        if (index.version !== SEARCH_INDEX_VERSION) {
+          throw new Error(`Unsupported search index version ${index.version}`);
+        }
+
+        return index.entries.map((entry) => ({
+          ...entry,
+          stems: {
+            title: getSearchStems(entry.title),
+            keywords: getSearchStems(entry.keywords),
+            text: getSearchStems(entry.text),
+          },
+        }));
+      })
+      .catch((error) => {
+        // Allow another attempt next time the overlay opens
+        searchIndexPromise = null;
+        throw error;
+      });
+  }
+
+  return searchIndexPromise;
+}
+
+/**
+ * Search and render; ignores results for a query that is no longer current
+ */
+async function runSearch(query) {
+  const status = document.querySelector("[data-search-status]");
+  const trimmed = query.trim();
+
+  if (!trimmed) {
+    renderSearchResults([], "");
+    status.textContent = t("search.hint");
+    return;
+  }
+
+  let entries;
+  try {
+    status.textContent = t("search.loading");
+    entries = await loadSearchIndex();
+  } catch (error) {
+    console.error("❌ Error loading search index:", error);
+    status.textContent = t("search.loadFailed");
+    return;
+  }
+
+  if (document.querySelector("[data-search-input]").value.trim() !== trimmed) {
+    return;
+  }
+
+  const results = searchEntries(entries, trimmed);
+  renderSearchResults(results, trimmed);
+  status.textContent =
+    results.length === 0
+      ? t("search.noResults", { query: trimmed })
+      : t("search.results", { count: results.length });
+}
+
+/**
+ * Rank entries for a query. Every query word is matched exactly, as a
+ * prefix or within a small edit distance; results with more matched words
+ * come first.
+ */
+function searchEntries(entries, query) {
+  const terms = Array.from(
+    new Set(
+      foldSearchText(query)
+        .filter((word) => !SEARCH_STOPWORDS.has(word))
+        .map(stemSearchWord)
+    )
+  );
+  if (terms.length === 0) return [];
+
+  return entries
+    .map((entry) => {
+      const matchedStems = new Set();
+      let score = 0;
+      let matchedTerms = 0;
+
+      terms.forEach((term) => {
+        let best = 0;
+
+        Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+          entry.stems[field].forEach((stem) => {
+            const quality = getSearchMatchQuality(term, stem);
+            if (quality > 0) {
+              matchedStems.add(stem);
+              best = Math.max(best, quality * weight);
+            }
+          });
+        });
+
+        if (best > 0) {
+          matchedTerms++;
+          score += best;
+        }
+      });
+
+      return { entry, score, matchedTerms, matchedStems };
+    })
+    .filter((result) => result.matchedTerms > 0)
+    .sort((a, b) => b.matchedTerms - a.matchedTerms || b.score - a.score)
+    .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+/**
+ * 1 for the same stem, less for a prefix or a near miss, 0 otherwise
+ */
+function getSearchMatchQuality(term, stem) {
+  if (term === stem) return 1;
+  if (term.length >= 3 && stem.startsWith(term)) return 0.8;
+  if (term.length >= 5) {
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    if (getEditDistance(term, stem, maxDistance) <= maxDistance) return 0.6;
+  }
+  return 0;
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Lowercase words without diacritics ("Café" → "cafe")
+ */
+function foldSearchText(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .match(/[a-z0-9]+/g) || []
+  );
+}
+
+function getSearchStems(text) {
+  return new Set(foldSearchText(text).map(stemSearchWord));
+}
+
+/**
+ * Light Indonesian stemmer: strips particles, possessives, one suffix and
+ * one prefix so "pemasaran" and "memasarkan" meet at "asar". It does not
+ * need to produce real root words, only the same stem on both sides.
+ */
+function stemSearchWord(word) {
+  let stem = word;
+
+  SEARCH_SUFFIXES.forEach((suffix) => {
+    const stripped = stem.replace(suffix, "");
+    if (stripped.length >= SEARCH_MIN_STEM) {
+      stem = stripped;
+    }
+  });
+
+  const prefix = SEARCH_PREFIXES.find(([start]) => stem.startsWith(start));
+  if (prefix) {
+    const stripped = prefix[1] + stem.slice(prefix[0].length);
+    if (stripped.length >= SEARCH_MIN_STEM) {
+      stem = stripped;
+    }
+  }
+
+  return stem;
+}
+
+function renderSearchResults(results, query) {
+  const list = document.querySelector("[data-search-results]");
+  const input = document.querySelector("[data-search-input]");
+  searchResults = results.map((result) => result.entry);
+
+  list.innerHTML = results
+    .map(({ entry, matchedStems }, index) => {
+      const page = SEARCH_PAGE_LABELS[entry.page];
+      const icon = SEARCH_TYPE_ICONS[entry.type] || SEARCH_TYPE_ICONS.section;
+
+      return `
+                <li id="search-result-${index}" role="option" aria-selected="false" data-search-result="${index}">
+                    <a href="${escapeHTML(
+                      entry.url
+                    )}" tabindex="-1" class="flex gap-3 px-4 py-3 hover:bg-green-50">
+                        <i class="${icon} text-green-600 mt-1" aria-hidden="true"></i>
+                        <span class="flex-1 min-w-0">
+                            <span class="block font-semibold text-gray-800">${highlightSearchText(
+                              entry.title,
+                              matchedStems
+                            )}</span>
+                            <span class="block text-xs text-gray-500">${escapeHTML(
+                              page ? t(page) : entry.page
+                            )}</span>
+                            <span class="block text-sm text-gray-600 mt-1">${highlightSearchText(
+                              getSearchSnippet(entry, matchedStems),
+                              matchedStems
+                            )}</span>
+                        </span>
+                    </a>
+                </li>`;
+    })
+    .join("");
+
+  input.setAttribute("aria-expanded", String(results.length > 0 && !!query));
+  setActiveSearchResult(-1);
+}
+
+/**
+ * Part of the entry text around the first match
+ */
+function getSearchSnippet(entry, matchedStems) {
+  const text = entry.text || "";
+  if (text.length <= SEARCH_SNIPPET_LENGTH) return text;
+
+  const words = text.split(/([\p{L}\p{N}]+)/u);
+  let offset = 0;
+  let matchAt = 0;
+
+  for (const part of words) {
+    if (matchesSearchStems(part, matchedStems)) {
+      matchAt = offset;
+      break;
+    }
+    offset += part.length;
+  }
+
+  const start = Math.max(
+    0,
+    Math.min(matchAt - 40, text.length - SEARCH_SNIPPET_LENGTH)
+  );
+  const snippet = text.slice(start, start + SEARCH_SNIPPET_LENGTH).trim();
+
+  return `${start > 0 ? "…" : ""}${snippet}${
+    start + SEARCH_SNIPPET_LENGTH < text.length ? "…" : ""
+  }`;
+}
+
+function matchesSearchStems(word, matchedStems) {
+  const folded = foldSearchText(word);
+  return folded.length === 1 && matchedStems.has(stemSearchWord(folded[0]));
+}
+
+/**
+ * Escape text and wrap matched words in <mark>
+ */
+function highlightSearchText(text, matchedStems) {
+  return String(text || "")
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part) =>
+      matchesSearchStems(part, matchedStems)
+        ? `<mark class="bg-yellow-200 rounded px-0.5">${escapeHTML(
+            part
+          )}</mark>`
+        : escapeHTML(part)
+    )
+    .join("");
+}
+
+/**
+ * Scroll to a result on this page or go to its page
+ */
+function openSearchResult(entry) {
+  // Only the chosen result: free-text queries may hold personal details
+  trackEvent("Search", "Result", entry.url);
+
+  const [page, hash] = entry.url.split("#");
+  if (page.replace(".html", "") !== currentPage) {
+    window.location.href = entry.url;
+    return;
+  }
+
+  closeModal("search-overlay");
+  revealSearchTarget(`#${hash}`);
+}
+
+/**
+ * Scroll to and briefly highlight a search target (#id of a
+ * [data-search] block, product, team, recipe or location card)
+ */
+function revealSearchTarget(hash) {
+  if (!/^#[\w-]+$/.test(hash || "")) return;
+
+  const target = document.getElementById(hash.slice(1));
+  if (
+    !target ||
+    !target.matches(
+      "[data-search], [data-product-id], [data-team-member], [data-recipe], [data-location]"
+    )
+  ) {
+    return;
+  }
+
+  scrollToElement(hash);
+
+  target.setAttribute("tabindex", "-1");
+  target.focus({ preventScroll: true });
+  target.classList.add("ring-4", "ring-yellow-300");
+  setTimeout(() => target.classList.remove("ring-4", "ring-yellow-300"), 2000);
+}
+
+/**
+ * Notifications
+ */
+
+// Toasts beyond the limit wait in a queue until a visible one closes
+const NOTIFICATION_LIMIT = 3;
+const NOTIFICATION_DURATION = 5000;
+
+const NOTIFICATION_STYLES = {
+  success: { className: "bg-green-500", icon: "fas fa-check-circle" },
+  error: { className: "bg-red-500", icon: "fas fa-exclamation-circle" },
+  warning: { className: "bg-yellow-500", icon: "fas fa-exclamation-triangle" },
+  info: { className: "bg-blue-500", icon: "fas fa-info-circle" },
+  loading: { className: "bg-blue-500", icon: "fas fa-spinner fa-spin" },
+};
 
-    images.forEach((img) => imageObserver.observe(img));
+const visibleNotifications = [];
+const queuedNotifications = [];
+let notificationCount = 0;
+
+/**
+ * Show a toast. The third argument is a duration in ms (0 keeps it open)
+ * or { duration, actions: [{ label, onClick }] }. Returns a handle with
+ * update(message, type, options) and dismiss().
+ */
+function showNotification(message, type = "info", options = {}) {
+  const text = String(message);
+
+  // The same message is already showing: keep it up instead of stacking
+  const duplicate = visibleNotifications.find(
+    (item) => item.message === text && item.type === type
+  );
+  if (duplicate) {
+    duplicate.remaining = duplicate.duration;
+    startNotificationTimer(duplicate);
+    return duplicate.handle;
+  }
+
+  const notification = {
+    id: ++notificationCount,
+    message: text,
+    type: type,
+    element: null,
+    timer: null,
+    paused: false,
+    closing: false,
+    ...getNotificationOptions(options),
+  };
+  notification.remaining = notification.duration;
+  notification.handle = {
+    id: notification.id,
+    update: (newMessage, newType, newOptions) =>
+      updateNotification(notification, newMessage, newType, newOptions),
+    dismiss: () => dismissNotification(notification),
+  };
+
+  if (visibleNotifications.length < NOTIFICATION_LIMIT) {
+    renderNotification(notification);
   } else {
-    // Fallback for browsers that don't support IntersectionObserver
-    images.forEach((img) => {
-      img.src = img.dataset.src;
-      img.classList.remove("lazy");
-    });
+    queuedNotifications.push(notification);
   }
+
+  return notification.handle;
 }
 
 /**
- * Initialize smooth scrolling
+ * Show a loading toast while `promise` runs, then turn it into a success
+ * or error toast. `success` and `error` are strings or functions of the
+ * result/error returning a string or { message, type, ...options }.
+ * Settles like the original promise.
  */
-function initializeSmoothScrolling() {
-  const scrollLinks = document.querySelectorAll('a[href^="#"]');
+async function notifyPromise(promise, { loading, success, error } = {}) {
+  const notification = showNotification(loading, "loading", 0);
 
-  scrollLinks.forEach((link) => {
-    link.addEventListener("click", function (e) {
-      e.preventDefault();
-      const targetId = this.getAttribute("href");
-      scrollToElement(targetId);
-    });
-  });
+  try {
+    const result = await (typeof promise === "function" ? promise() : promise);
+    settleNotification(notification, success, result, "success");
+    return result;
+  } catch (reason) {
+    settleNotification(notification, error, reason, "error");
+    throw reason;
+  }
+}
+
+function settleNotification(notification, content, value, type) {
+  const resolved = typeof content === "function" ? content(value) : content;
+
+  if (!resolved) {
+    notification.dismiss();
+  } else if (typeof resolved === "object") {
+    const { message, type: resolvedType = type, ...options } = resolved;
+    notification.update(message, resolvedType, options);
+  } else {
+    notification.update(resolved, type);
+  }
+}
+
+function getNotificationOptions(options) {
+  const settings =
+    typeof options === "number" ? { duration: options } : options;
+  return {
+    duration: settings.duration ?? NOTIFICATION_DURATION,
+    actions: settings.actions || [],
+  };
 }
 
 /**
- * Initialize tooltips
+ * Change the message of a toast; options reset to the defaults when omitted
  */
-function initializeTooltips() {
-  const tooltipElements = document.querySelectorAll("[data-tooltip]");
+function updateNotification(notification, message, type, options = {}) {
+  if (notification.closing) {
+    return showNotification(message, type || notification.type, options);
+  }
 
-  tooltipElements.forEach((element) => {
-    element.addEventListener("mouseenter", showTooltip);
-    element.addEventListener("mouseleave", hideTooltip);
+  Object.assign(notification, getNotificationOptions(options), {
+    message: String(message),
+    type: type || notification.type,
   });
+  notification.remaining = notification.duration;
+
+  if (notification.element) {
+    fillNotification(notification);
+    startNotificationTimer(notification);
+  }
+  return notification.handle;
 }
 
 /**
- * Initialize scroll effects
+ * Shared stack in the top right corner
  */
-function initializeScrollEffects() {
-  // Navbar background on scroll
-  const navbar = document.querySelector("nav");
-  if (navbar) {
-    window.addEventListener(
-      "scroll",
-      throttle(function () {
-        if (window.pageYOffset > 50) {
-          navbar.classList.add("scrolled");
-        } else {
-          navbar.classList.remove("scrolled");
-        }
-      }, 100)
+function getNotificationContainer() {
+  let container = document.getElementById("notification-container");
+  if (container) return container;
+
+  container = document.createElement("div");
+  container.id = "notification-container";
+  container.className =
+    "fixed top-4 right-4 left-4 sm:left-auto z-50 flex flex-col items-end gap-3 pointer-events-none";
+  document.body.appendChild(container);
+
+  container.addEventListener("click", function (e) {
+    const notification = findNotification(e.target);
+    if (!notification) return;
+
+    if (e.target.closest("[data-notification-close]")) {
+      dismissNotification(notification);
+      return;
+    }
+
+    const button = e.target.closest("[data-notification-action]");
+    if (button) {
+      const action = notification.actions[button.dataset.notificationAction];
+      dismissNotification(notification);
+      action.onClick?.();
+    }
+  });
+
+  document.addEventListener("keydown", function (e) {
+    if (e.key !== "Escape" || visibleNotifications.length === 0) return;
+
+    // Escape belongs to an open dialog, drawer or menu unless a toast has focus
+    const focused = findNotification(document.activeElement);
+    if (
+      !focused &&
+      (getTopModal() || isCartOpen() || isLightboxOpen() || isMenuOpen)
+    ) {
+      return;
+    }
+
+    dismissNotification(
+      focused || visibleNotifications[visibleNotifications.length - 1]
     );
-  }
+  });
 
-  // Fade in animations on scroll
-  initializeScrollAnimations();
+  return container;
+}
+
+function findNotification(target) {
+  const element = target?.closest("[data-notification]");
+  return (
+    element && visibleNotifications.find((item) => item.element === element)
+  );
 }
 
 /**
- * Initialize scroll animations
+ * Add a toast to the stack and start its timer
  */
-function initializeScrollAnimations() {
-  const animatedElements = document.querySelectorAll(
-    ".fade-in-up, .fade-in, .slide-in-left, .slide-in-right"
-  );
+function renderNotification(notification) {
+  const element = document.createElement("div");
+  element.className =
+    "notification pointer-events-auto flex items-start gap-3 w-full max-w-sm p-4 rounded-lg shadow-lg text-white transform translate-x-full opacity-0 transition duration-300 motion-reduce:transition-none";
+  element.dataset.notification = notification.id;
+  notification.element = element;
+  fillNotification(notification);
 
-  if ("IntersectionObserver" in window) {
-    const animationObserver = new IntersectionObserver(
-      (entries) => {
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add("animated");
-          }
-        });
-      },
-      {
-        threshold: 0.1,
-        rootMargin: "0px 0px -50px 0px",
-      }
-    );
+  getNotificationContainer().appendChild(element);
+  visibleNotifications.push(notification);
 
-    animatedElements.forEach((el) => animationObserver.observe(el));
-  }
+  // Hovering or focusing a toast keeps it open
+  const pause = () => pauseNotification(notification);
+  const resume = () => resumeNotification(notification);
+  element.addEventListener("mouseenter", pause);
+  element.addEventListener("mouseleave", resume);
+  element.addEventListener("focusin", pause);
+  element.addEventListener("focusout", function (e) {
+    if (!element.contains(e.relatedTarget)) resume();
+  });
+
+  addSwipeListener(element, () => dismissNotification(notification));
+
+  // Animate in
+  requestAnimationFrame(() => {
+    element.classList.remove("translate-x-full", "opacity-0");
+  });
+
+  startNotificationTimer(notification);
 }
 
 /**
- * Scroll to element smoothly
+ * Render message, actions and close button as text nodes (never HTML)
  */
-function scrollToElement(targetId) {
-  const target = document.querySelector(targetId);
-  if (!target) return;
+function fillNotification(notification) {
+  const { element } = notification;
+  const style =
+    NOTIFICATION_STYLES[notification.type] || NOTIFICATION_STYLES.info;
 
-  const headerOffset = document.querySelector("nav")?.offsetHeight || 0;
-  const elementPosition = target.getBoundingClientRect().top;
-  const offsetPosition =
-    elementPosition + window.pageYOffset - headerOffset - 20;
+  Object.values(NOTIFICATION_STYLES).forEach((item) =>
+    element.classList.remove(item.className)
+  );
+  element.classList.add(style.className);
 
-  window.scrollTo({
-    top: offsetPosition,
-    behavior: "smooth",
+  // Errors interrupt; everything else waits for the screen reader
+  element.setAttribute(
+    "role",
+    notification.type === "error" ? "alert" : "status"
+  );
+  element.setAttribute("aria-atomic", "true");
+
+  const icon = document.createElement("i");
+  icon.className = `${style.icon} mt-1`;
+  icon.setAttribute("aria-hidden", "true");
+
+  const text = document.createElement("p");
+  text.className = "flex-1";
+  text.textContent = notification.message;
+
+  const actions = notification.actions.map((action, index) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className =
+      "font-semibold underline hover:text-gray-200 focus:outline-none focus:ring-2 focus:ring-white rounded";
+    button.dataset.notificationAction = index;
+    button.textContent = action.label;
+    return button;
   });
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className =
+    "text-white hover:text-gray-200 focus:outline-none focus:ring-2 focus:ring-white rounded";
+  close.dataset.notificationClose = "";
+  close.setAttribute("aria-label", t("notification.close"));
+  close.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+
+  element.replaceChildren(icon, text, ...actions, close);
+}
+
+function startNotificationTimer(notification) {
+  clearTimeout(notification.timer);
+  notification.timer = null;
+  if (notification.duration <= 0 || notification.paused) return;
+
+  notification.startedAt = Date.now();
+  notification.timer = setTimeout(
+    () => dismissNotification(notification),
+    notification.remaining
+  );
+}
+
+function pauseNotification(notification) {
+  notification.paused = true;
+  if (!notification.timer) return;
+
+  clearTimeout(notification.timer);
+  notification.timer = null;
+  notification.remaining -= Date.now() - notification.startedAt;
+}
+
+function resumeNotification(notification) {
+  notification.paused = false;
+  startNotificationTimer(notification);
+}
+
+/**
+ * Close a toast (or drop it from the queue) and show the next queued one
+ */
+function dismissNotification(notification) {
+  const queued = queuedNotifications.indexOf(notification);
+  if (queued !== -1) {
+    queuedNotifications.splice(queued, 1);
+    return;
+  }
+
+  if (notification.closing || !notification.element) return;
+  notification.closing = true;
+  clearTimeout(notification.timer);
+
+  visibleNotifications.splice(visibleNotifications.indexOf(notification), 1);
+
+  const { element } = notification;
+  element.classList.add("translate-x-full", "opacity-0");
+  setTimeout(() => element.remove(), 300);
+
+  if (queuedNotifications.length > 0) {
+    renderNotification(queuedNotifications.shift());
+  }
+}
+
+/**
+ * Close every toast, including queued ones
+ */
+function clearNotifications() {
+  queuedNotifications.length = 0;
+  [...visibleNotifications].forEach(dismissNotification);
 }
 
 /**
  * Utility Functions
  */
 
+// Load an external script once
+function loadScript(src) {
+  const existing = document.querySelector(`script[src="${src}"]`);
+  if (existing) return Promise.resolve(existing);
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.async = true;
+    script.onload = () => resolve(script);
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// Minimum horizontal travel (px) for a touch to count as a swipe
+const SWIPE_THRESHOLD = 50;
+
+// Call onSwipe(1) for a left swipe (next) and onSwipe(-1) for a right swipe
+function addSwipeListener(element, onSwipe) {
+  let touchStart = null;
+
+  element.addEventListener(
+    "touchstart",
+    function (e) {
+      const touch = e.changedTouches[0];
+      touchStart = { x: touch.clientX, y: touch.clientY };
+    },
+    { passive: true }
+  );
+
+  element.addEventListener("touchend", function (e) {
+    if (!touchStart) return;
+
+    const touch = e.changedTouches[0];
+    const deltaX = touch.clientX - touchStart.x;
+    const deltaY = touch.clientY - touchStart.y;
+    touchStart = null;
+
+    if (
+      Math.abs(deltaX) > SWIPE_THRESHOLD &&
+      Math.abs(deltaX) > Math.abs(deltaY)
+    ) {
+      onSwipe(deltaX < 0 ? 1 : -1);
+    }
+  });
+}
+
+// Focusable elements inside a container, skipping hidden ones
+function getFocusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+    (element) => !element.closest(".hidden, [hidden]")
+  );
+}
+
+// Keep Tab and Shift+Tab inside a dialog
+function trapFocus(e, container) {
+  const focusable = getFocusableElements(container);
+  if (focusable.length === 0) {
+    e.preventDefault();
+    container.focus();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  const active = document.activeElement;
+
+  if (!container.contains(active)) {
+    e.preventDefault();
+    first.focus();
+  } else if (e.shiftKey && (active === first || active === container)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || active === container)) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
 // Throttle function for performance
 function throttle(func, limit) {
   let inThrottle;
@@ -566,152 +8255,106 @@ function debounce(func, wait, immediate) {
   };
 }
 
-// Email validation
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
-// Phone validation
-function isValidPhone(phone) {
-  const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-  return phoneRegex.test(phone.replace(/\s/g, ""));
+// Escape text for safe use inside HTML templates
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
-// Form validation
-function validateContactForm(form) {
-  let isValid = true;
-  const requiredFields = form.querySelectorAll(
-    "input[required], textarea[required]"
-  );
-
-  requiredFields.forEach((field) => {
-    if (!validateField(field)) {
-      isValid = false;
-    }
-  });
-
-  return isValid;
+// Prices stay out of products.json until the business confirms them
+function hasPrice(item) {
+  return typeof item.price === "number";
 }
 
-function validateField(field) {
-  const value = field.value.trim();
-  const fieldType = field.type;
-  const isRequired = field.hasAttribute("required");
-
-  // Clear previous errors
-  clearFieldError(field);
-
-  // Required field validation
-  if (isRequired && !value) {
-    showFieldError(field, "This field is required");
+// A marketplace URL that points past the bare domain to an actual listing
+function isListingUrl(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, "") !== "";
+  } catch (error) {
     return false;
   }
-
-  // Type-specific validation
-  if (value) {
-    switch (fieldType) {
-      case "email":
-        if (!isValidEmail(value)) {
-          showFieldError(field, "Please enter a valid email address");
-          return false;
-        }
-        break;
-      case "tel":
-        if (!isValidPhone(value)) {
-          showFieldError(field, "Please enter a valid phone number");
-          return false;
-        }
-        break;
-      case "url":
-        try {
-          new URL(value);
-        } catch {
-          showFieldError(field, "Please enter a valid URL");
-          return false;
-        }
-        break;
-    }
-  }
-
-  return true;
 }
 
-function showFieldError(field, message) {
-  field.classList.add("error");
-
-  // Remove existing error message
-  const existingError = field.parentElement.querySelector(".field-error");
-  if (existingError) {
-    existingError.remove();
-  }
+// Format a price in rupiah
+function formatPrice(amount, currency = "IDR") {
+  if (typeof amount !== "number") return "";
+  return new Intl.NumberFormat("id-ID", {
+    style: "currency",
+    currency: currency,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
 
-  // Add new error message
-  const errorElement = document.createElement("div");
-  errorElement.className = "field-error text-red-500 text-sm mt-1";
-  errorElement.textContent = message;
-  field.parentElement.appendChild(errorElement);
+// Format a date for the current language, e.g. "12 Mei 2025"
+function formatDate(value) {
+  const date = new Date(value);
+  if (isNaN(date)) return "";
+  return new Intl.DateTimeFormat(currentLanguage === "en" ? "en-GB" : "id-ID", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  }).format(date);
 }
 
-function clearFieldError(field) {
-  field.classList.remove("error");
-  const errorElement = field.parentElement.querySelector(".field-error");
-  if (errorElement) {
-    errorElement.remove();
-  }
+// Shorten text to a whole word, e.g. for captions
+function truncateText(text, length) {
+  const value = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (value.length <= length) return value;
+  return `${value.slice(0, length).replace(/\s+\S*$/, "")}…`;
 }
 
-// Notification system
-function showNotification(message, type = "info", duration = 5000) {
-  // Remove existing notifications
-  const existingNotifications = document.querySelectorAll(".notification");
-  existingNotifications.forEach((notif) => notif.remove());
+// Format an ingredient or conversion amount: one decimal below 10, whole
+// numbers above, e.g. 1,5 or 36
+function formatQuantity(value) {
+  return new Intl.NumberFormat(currentLanguage === "en" ? "en-GB" : "id-ID", {
+    maximumFractionDigits: value < 10 ? 1 : 0,
+  }).format(value);
+}
 
-  const notification = document.createElement("div");
-  notification.className = `notification fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg transform translate-x-full transition-transform duration-300`;
+// Format an average star rating with one decimal, e.g. 4.5 -> "4,5"
+function formatRating(value) {
+  return new Intl.NumberFormat(currentLanguage === "en" ? "en-GB" : "id-ID", {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  }).format(value);
+}
 
-  // Set colors based on type
-  switch (type) {
-    case "success":
-      notification.classList.add("bg-green-500", "text-white");
-      break;
-    case "error":
-      notification.classList.add("bg-red-500", "text-white");
-      break;
-    case "warning":
-      notification.classList.add("bg-yellow-500", "text-white");
-      break;
-    default:
-      notification.classList.add("bg-blue-500", "text-white");
-  }
+// Show a filter chip as selected or not (team and recipe filters)
+function setFilterChipState(chip, active) {
+  chip.setAttribute("aria-pressed", String(active));
+  chip.classList.toggle("bg-green-500", active);
+  chip.classList.toggle("border-green-500", active);
+  chip.classList.toggle("text-white", active);
+  chip.classList.toggle("bg-white", !active);
+  chip.classList.toggle("border-gray-300", !active);
+  chip.classList.toggle("text-gray-700", !active);
+}
 
-  notification.innerHTML = `
-        <div class="flex items-center">
-            <span class="mr-2">${message}</span>
-            <button class="ml-2 text-white hover:text-gray-200" onclick="this.parentElement.parentElement.remove()">
-                <i class="fas fa-times"></i>
-            </button>
-        </div>
-    `;
+// Format a product weight, e.g. { value: 250, unit: "gr" } -> "250gr"
+function formatWeight(weight) {
+  if (!weight) return "";
+  return `${weight.value}${weight.unit}`;
+}
 
-  document.body.appendChild(notification);
+// Email validation
+function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
 
-  // Animate in
-  setTimeout(() => {
-    notification.classList.remove("translate-x-full");
-  }, 100);
-
-  // Auto remove
-  if (duration > 0) {
-    setTimeout(() => {
-      notification.classList.add("translate-x-full");
-      setTimeout(() => {
-        if (notification.parentElement) {
-          notification.remove();
-        }
-      }, 300);
-    }, duration);
-  }
+// Phone validation: Indonesian numbers in any common form, or +country code
+function isValidPhone(phone) {
+  const compact = String(phone).replace(/[\s().-]/g, "");
+  return (
+    normalizeIndonesianPhone(compact) !== null ||
+    /^\+[1-9]\d{7,14}$/.test(compact)
+  );
 }
 
 // Tooltip functions
@@ -749,21 +8392,6 @@ function hideTooltip() {
   }
 }
 
-// Analytics tracking
-function trackEvent(category, action, label = "", value = 0) {
-  // Google Analytics 4
-  if (typeof gtag !== "undefined") {
-    gtag("event", action, {
-      event_category: category,
-      event_label: label,
-      value: value,
-    });
-  }
-
-  // Console log for development
-  console.log("📊 Event tracked:", { category, action, label, value });
-}
-
 // Error handling
 function showErrorFallback() {
   console.warn("🔄 Loading fallback content...");
@@ -777,11 +8405,7 @@ function showErrorFallback() {
     loadComponentFallback("footer-container");
   }
 
-  showNotification(
-    "Some features may be limited. Please refresh the page.",
-    "warning",
-    10000
-  );
+  showNotification(t("error.limited"), "warning", 10000);
 }
 
 // Page visibility handling
@@ -792,7 +8416,9 @@ document.addEventListener("visibilitychange", function () {
   } else {
     // Page is visible
     console.log("👁️ Page visible");
-    // Refresh dynamic content if needed
+
+    // Send form submissions queued while offline
+    flushSubmissionQueue();
   }
 });
 
@@ -816,11 +8442,70 @@ window.addEventListener(
 // Export functions for global access (if needed)
 window.AmissaSweetCare = {
   showNotification,
+  notifications: {
+    show: showNotification,
+    promise: notifyPromise,
+    clear: clearNotifications,
+  },
   trackEvent,
   scrollToElement,
   validateField,
   isValidEmail,
   isValidPhone,
+  validation: {
+    validateForm,
+    validateFieldAsync,
+    registerRule: registerValidationRule,
+    normalizePhone: normalizeIndonesianPhone,
+  },
+  components: {
+    load: loadComponents,
+    include: includeElement,
+    clearCache: clearPartialCache,
+  },
+  i18n: {
+    t,
+    messages: MESSAGES,
+    getLanguage,
+    setLanguage,
+    apply: applyTranslations,
+  },
+  forms: {
+    config: FORM_TRANSPORT_CONFIG,
+    submit: submitForm,
+    registerTransport: registerFormTransport,
+    pending: () => loadSubmissionQueue().length,
+    flush: flushSubmissionQueue,
+  },
+  cart: {
+    add: addToCart,
+    updateQuantity: updateCartQuantity,
+    remove: removeFromCart,
+    clear: clearCart,
+    items: () => cartItems.map((item) => ({ ...item })),
+    subtotal: getCartSubtotal,
+    open: openCart,
+    close: closeCart,
+    checkout: checkoutCart,
+  },
+  analytics: {
+    config: ANALYTICS_CONFIG,
+    track: trackEvent,
+    trackPageView,
+    registerSink: registerAnalyticsSink,
+    flush: flushAnalytics,
+  },
+  consent: {
+    get: getConsent,
+    set: setConsent,
+    onChange: onConsentChange,
+    open: () => showConsentBanner({ expanded: true }),
+  },
+  modals: {
+    open: openModal,
+    close: closeModal,
+    isOpen: isModalOpen,
+  },
 };
 
 console.log("📁 main.js loaded successfully!");
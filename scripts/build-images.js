@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Responsive images for Amissa SweetCare Website
+ * Writes resized AVIF/WebP/JPEG variants of every image the pages and data
+ * files reference to assets/generated/ and describes them in
+ * assets/data/image-manifest.json. main.js turns img[data-src] into
+ * <picture> elements from that manifest.
+ *
+ * Usage: node scripts/build-images.js [--force]
+ *
+ * `node scripts/build.js --images` runs this as part of the build. The
+ * output is not committed (see .gitignore); the Pages deploy generates it.
+ *
+ * Needs sharp (npm install --no-save sharp). Existing variants newer than
+ * their source are kept unless --force is given.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const OUTPUT_DIR = "assets/generated";
+const MANIFEST_FILE = "assets/data/image-manifest.json";
+
+// Bump together with IMAGE_MANIFEST_VERSION in main.js
+const MANIFEST_VERSION = 1;
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const PLACEHOLDER_WIDTH = 16;
+
+// Images with transparency fall back to PNG instead of JPEG
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 70 },
+  jpeg: { quality: 75, mozjpeg: true },
+  png: { compressionLevel: 9, palette: true },
+};
+
+// Files scanned for image references
+const REFERENCE_PATTERN = /assets\/[\w/.-]+\.(?:png|jpe?g)/gi;
+
+function loadSharp() {
+  try {
+    return require("sharp");
+  } catch (error) {
+    throw new Error(
+      "sharp is not installed. Run `npm install --no-save sharp` first."
+    );
+  }
+}
+
+/**
+ * Every image path mentioned in the pages, partials and data files
+ */
+function findReferencedImages() {
+  const files = [
+    ...fs.readdirSync(ROOT).filter((file) => file.endsWith(".html")),
+    ...fs
+      .readdirSync(path.join(ROOT, "partials"))
+      .map((file) => `partials/${file}`),
+    ...fs
+      .readdirSync(path.join(ROOT, "assets/data"))
+      .filter(
+        (file) => file.endsWith(".json") && file !== "image-manifest.json"
+      )
+      .map((file) => `assets/data/${file}`),
+  ];
+
+  const images = new Set();
+  files.forEach((file) => {
+    const content = fs.readFileSync(path.join(ROOT, file), "utf8");
+    (content.match(REFERENCE_PATTERN) || []).forEach((image) => {
+      if (image.startsWith(`${OUTPUT_DIR}/`)) return;
+
+      if (fs.existsSync(path.join(ROOT, image))) {
+        images.add(image);
+      } else {
+        console.warn(`⚠️ ${file} references missing image ${image}`);
+      }
+    });
+  });
+
+  return [...images].sort();
+}
+
+/**
+ * assets/images/produk5.png → assets/generated/images/produk5-png
+ * (the extension stays in the name because produk5.jpg also exists)
+ */
+function getVariantBase(image) {
+  const parsed = path.parse(path.relative("assets", image));
+  return path.posix.join(
+    OUTPUT_DIR,
+    parsed.dir,
+    `${parsed.name}-${parsed.ext.slice(1).toLowerCase()}`
+  );
+}
+
+function isUpToDate(output, source, force) {
+  if (force || !fs.existsSync(output)) return false;
+  return fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Variants, size and placeholder for one image
+ */
+async function processImage(sharp, image, force) {
+  const source = path.join(ROOT, image);
+  const metadata = await sharp(source).metadata();
+  const base = getVariantBase(image);
+
+  // Never upscale; tiny images get a single variant at their own width
+  const widths = WIDTHS.filter((width) => width < metadata.width);
+  widths.push(Math.min(metadata.width, WIDTHS[WIDTHS.length - 1]));
+
+  const fallback = metadata.hasAlpha ? "png" : "jpeg";
+  const formats = {};
+
+  fs.mkdirSync(path.join(ROOT, path.dirname(base)), { recursive: true });
+
+  for (const format of ["avif", "webp", fallback]) {
+    formats[format] = [];
+
+    for (const width of widths) {
+      const extension = format === "jpeg" ? "jpg" : format;
+      const file = `${base}-${width}.${extension}`;
+      const output = path.join(ROOT, file);
+
+      if (!isUpToDate(output, source, force)) {
+        await sharp(source)
+          .rotate()
+          .resize({ width, withoutEnlargement: true })
+          [format](FORMATS[format])
+          .toFile(output);
+      }
+
+      formats[format].push({ src: file, width });
+    }
+  }
+
+  const placeholder = await sharp(source)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    placeholder: `data:image/webp;base64,${placeholder.toString("base64")}`,
+    formats,
+  };
+}
+
+async function buildImages({ force = false } = {}) {
+  const sharp = loadSharp();
+  const images = {};
+
+  for (const image of findReferencedImages()) {
+    images[image] = await processImage(sharp, image, force);
+    console.log(`🖼️ ${image}`);
+  }
+
+  fs.writeFileSync(
+    path.join(ROOT, MANIFEST_FILE),
+    `${JSON.stringify({ version: MANIFEST_VERSION, images }, null, 2)}\n`
+  );
+  console.log(
+    `🎉 Wrote ${Object.keys(images).length} images to ${MANIFEST_FILE}`
+  );
+}
+
+if (require.main === module) {
+  buildImages({ force: process.argv.includes("--force") }).catch((error) => {
+    console.error("❌ Image build failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildImages,
+  findReferencedImages,
+  getVariantBase,
+  MANIFEST_FILE,
+};
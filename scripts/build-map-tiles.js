@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Map tiles for Amissa SweetCare Website
+ * Downloads the raster tiles around the locations and areas in
+ * assets/data/locations.geojson to assets/tiles/ and describes them in
+ * assets/data/map-tiles.json, so the locator map works without a tile server
+ * and offline once visited. Without that file main.js draws the locations as
+ * plain vector markers instead.
+ *
+ * Usage: node scripts/build-map-tiles.js [--min-zoom 10] [--max-zoom 14] [--force]
+ *
+ * TILE_SOURCE_URL (a {z}/{x}/{y} template) and TILE_ATTRIBUTION, the credit
+ * line its terms require, must both be set. Use a self-hosted or commercial
+ * source whose terms allow downloading tiles in bulk; the public
+ * OpenStreetMap servers forbid it. Downloads are still sequential,
+ * identified and capped at MAX_TILES.
+ *
+ * The tiles and map-tiles.json are build output and are not committed; the
+ * Pages deploy runs this step when the TILE_SOURCE_URL and
+ * TILE_ATTRIBUTION repository variables are set.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const LOCATIONS_FILE = "assets/data/locations.geojson";
+const TILES_DIR = "assets/tiles";
+const MANIFEST_FILE = "assets/data/map-tiles.json";
+
+// Bump together with MAP_TILES_VERSION in main.js
+const MANIFEST_VERSION = 1;
+
+const USER_AGENT =
+  "AmissaSweetCare-TileBundler/1.0 (+amissasweetcare@gmail.com)";
+
+const DEFAULT_MIN_ZOOM = 10;
+const DEFAULT_MAX_ZOOM = 14;
+const MAX_TILES = 1500;
+const REQUEST_DELAY = 200;
+
+// Margin around the outermost locations and areas, in degrees (about 5 km)
+const BOUNDS_PADDING = 0.05;
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = {
+    minZoom: DEFAULT_MIN_ZOOM,
+    maxZoom: DEFAULT_MAX_ZOOM,
+    force: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--min-zoom") {
+      options.minZoom = parseInt(argv[++i], 10);
+    } else if (argv[i] === "--max-zoom") {
+      options.maxZoom = parseInt(argv[++i], 10);
+    } else if (argv[i] === "--force") {
+      options.force = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (
+    !Number.isInteger(options.minZoom) ||
+    !Number.isInteger(options.maxZoom) ||
+    options.minZoom < 0 ||
+    options.maxZoom > 19 ||
+    options.minZoom > options.maxZoom
+  ) {
+    throw new Error(
+      "Zoom levels must be whole numbers with 0 ≤ min ≤ max ≤ 19"
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Tile server and credit line from the environment; there is no default
+ * because the server's terms must allow bulk downloads
+ */
+function getTileSource(env = process.env) {
+  if (!env.TILE_SOURCE_URL || !env.TILE_ATTRIBUTION) {
+    throw new Error(
+      "Set TILE_SOURCE_URL and TILE_ATTRIBUTION to a tile source whose terms allow bulk downloads (not tile.openstreetmap.org)"
+    );
+  }
+  return { url: env.TILE_SOURCE_URL, attribution: env.TILE_ATTRIBUTION };
+}
+
+/**
+ * [[south, west], [north, east]] around every point location and area
+ * center, so the map can frame any origin the locator offers
+ */
+function getLocationBounds(collection = readLocations()) {
+  const points = [
+    ...(collection.features || [])
+      .filter((feature) => feature.geometry?.type === "Point")
+      .map((feature) => feature.geometry.coordinates),
+    ...(collection.areas || [])
+      .filter((area) => Array.isArray(area.center))
+      .map((area) => area.center),
+  ];
+
+  if (points.length === 0) {
+    throw new Error(`No point locations in ${LOCATIONS_FILE}`);
+  }
+
+  const lngs = points.map(([lng]) => lng);
+  const lats = points.map(([, lat]) => lat);
+  return [
+    [Math.min(...lats) - BOUNDS_PADDING, Math.min(...lngs) - BOUNDS_PADDING],
+    [Math.max(...lats) + BOUNDS_PADDING, Math.max(...lngs) + BOUNDS_PADDING],
+  ];
+}
+
+function readLocations() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, LOCATIONS_FILE), "utf8"));
+}
+
+/**
+ * Slippy map tile containing a coordinate
+ */
+function getTile(lat, lng, zoom) {
+  const scale = 2 ** zoom;
+  const latRad = (lat * Math.PI) / 180;
+  return {
+    x: Math.floor(((lng + 180) / 360) * scale),
+    y: Math.floor(
+      ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) *
+        scale
+    ),
+  };
+}
+
+/**
+ * Every tile covering the bounds at each zoom level
+ */
+function listTiles(bounds, minZoom, maxZoom) {
+  const [[south, west], [north, east]] = bounds;
+  const tiles = [];
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const topLeft = getTile(north, west, z);
+    const bottomRight = getTile(south, east, z);
+
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  }
+
+  return tiles;
+}
+
+async function downloadTile(source, { z, x, y }) {
+  const url = source.url.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+  const response = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+
+  if (!response.ok) {
+    throw new Error(`Could not download ${url}: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function buildMapTiles(options) {
+  const source = getTileSource();
+  const bounds = getLocationBounds();
+  const tiles = listTiles(bounds, options.minZoom, options.maxZoom);
+
+  if (tiles.length > MAX_TILES) {
+    throw new Error(
+      `${tiles.length} tiles needed, more than the limit of ${MAX_TILES}; lower --max-zoom`
+    );
+  }
+
+  let downloaded = 0;
+  for (const tile of tiles) {
+    const file = path.join(
+      ROOT,
+      TILES_DIR,
+      `${tile.z}/${tile.x}/${tile.y}.png`
+    );
+    if (!options.force && fs.existsSync(file)) continue;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, await downloadTile(source, tile));
+    downloaded++;
+    await new Promise((resolve) => setTimeout(resolve, REQUEST_DELAY));
+  }
+  console.log(`📥 ${downloaded} new tiles, ${tiles.length} in total`);
+
+  fs.writeFileSync(
+    path.join(ROOT, MANIFEST_FILE),
+    `${JSON.stringify(
+      {
+        version: MANIFEST_VERSION,
+        url: `${TILES_DIR}/{z}/{x}/{y}.png`,
+        minZoom: options.minZoom,
+        maxZoom: options.maxZoom,
+        bounds,
+        attribution: source.attribution,
+      },
+      null,
+      2
+    )}\n`
+  );
+  console.log(`🎉 Wrote ${MANIFEST_FILE}`);
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => buildMapTiles(parseArgs(process.argv.slice(2))))
+    .catch((error) => {
+      console.error("❌ Map tile build failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  buildMapTiles,
+  getLocationBounds,
+  getTileSource,
+  listTiles,
+  getTile,
+};
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Search index for Amissa SweetCare Website
+ * Collects the searchable blocks of every page, the product catalog, the
+ * team, the recipes and the partner locations into assets/data/search-index.json for the search overlay in main.js.
+ *
+ * Usage: node scripts/build-search-index.js
+ *
+ * A block is an element with an id and a data-search attribute; its value
+ * is the result type ("team", "gallery", defaults to "section"). The title
+ * is data-search-title or the first heading inside, and
+ * data-search-keywords adds words that are not on the page, such as
+ * English synonyms. scripts/build.js writes a fresh index into its output
+ * directory; run this script to refresh the committed copy used when
+ * previewing the sources directly.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { findElement, getAttribute } = require("./html");
+
+const ROOT = path.resolve(__dirname, "..");
+const INDEX_FILE = "assets/data/search-index.json";
+const CATALOG_FILE = "assets/data/products.json";
+const TEAM_FILE = "assets/data/team.json";
+const RECIPES_FILE = "assets/data/recipes.json";
+const LOCATIONS_FILE = "assets/data/locations.geojson";
+
+// Location categories as searchable words in both languages
+const LOCATION_KEYWORDS = {
+  cafe: "kafe cafe",
+  reseller: "reseller toko store",
+  farmer: "petani farmer singkong",
+};
+
+// Bump together with the reader in main.js when the entry shape changes
+const INDEX_VERSION = 1;
+
+// Content that is not readable text
+const SKIPPED_ELEMENTS = [
+  "script",
+  "style",
+  "template",
+  "svg",
+  "button",
+  "select",
+  "textarea",
+];
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  middot: "·",
+  times: "×",
+};
+
+/**
+ * Visible text of an HTML fragment on a single line
+ */
+function htmlToText(html) {
+  return SKIPPED_ELEMENTS.reduce(
+    (text, tag) =>
+      text.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, "gi"), " "),
+    html
+  )
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        return String.fromCodePoint(
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10)
+        );
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, " ")
+    .replace(/ ([,.;:!?])/g, "$1")
+    .trim();
+}
+
+/**
+ * Entries for every [data-search] block of a page
+ */
+function indexPage(page) {
+  const html = fs.readFileSync(path.join(ROOT, page), "utf8");
+  const pattern = /<([a-z][a-z0-9-]*)(?=\s)[^>]*\sdata-search(?=[\s=>])/gi;
+  const entries = [];
+  let from = 0;
+  let element;
+
+  while ((element = findElement(html, pattern, from))) {
+    const openTag = html.slice(element.start, element.openEnd);
+    const id = getAttribute(openTag, "id");
+    if (!id) {
+      throw new Error(`[data-search] block without an id in ${page}`);
+    }
+
+    let content = html.slice(element.openEnd, element.closeStart);
+    let title = getAttribute(openTag, "data-search-title");
+
+    if (!title) {
+      const heading = findElement(content, /<(h[1-4])(?=[\s>])/gi);
+      if (heading) {
+        title = htmlToText(content.slice(heading.openEnd, heading.closeStart));
+        content = content.slice(0, heading.start) + content.slice(heading.end);
+      }
+    }
+
+    entries.push({
+      type: getAttribute(openTag, "data-search") || "section",
+      url: `${page}#${id}`,
+      page,
+      title: title || id,
+      text: htmlToText(content),
+      keywords: getAttribute(openTag, "data-search-keywords") || "",
+    });
+
+    // Nested blocks are indexed on their own
+    from = element.openEnd;
+  }
+
+  return entries;
+}
+
+/**
+ * Entries for the product catalog; cards get id="produk-<id>" in main.js
+ */
+function indexCatalog() {
+  const catalog = JSON.parse(
+    fs.readFileSync(path.join(ROOT, CATALOG_FILE), "utf8")
+  );
+
+  return (catalog.products || []).map((product) => ({
+    type: "product",
+    url: `product.html#produk-${product.id}`,
+    page: "product.html",
+    title: product.name,
+    text: [product.summary, product.description, ...(product.benefits || [])]
+      .filter(Boolean)
+      .join(" "),
+    keywords: ["produk", "product", ...(product.keywords || [])].join(" "),
+  }));
+}
+
+/**
+ * Entries for the team; cards get id="tim-<id>" in main.js
+ */
+function indexTeam() {
+  const team = JSON.parse(fs.readFileSync(path.join(ROOT, TEAM_FILE), "utf8"));
+
+  return (team.members || []).map((member) => ({
+    type: "team",
+    url: `team.html#tim-${member.id}`,
+    page: "team.html",
+    title: member.name,
+    text: [
+      member.role,
+      member.focus,
+      member.programme && `Prodi ${member.programme}`,
+      member.quote,
+      member.story,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    keywords: ["tim", "team", ...(member.keywords || [])].join(" "),
+  }));
+}
+
+/**
+ * Entries for the recipes; cards get id="resep-<id>" in main.js
+ */
+function indexRecipes() {
+  const data = JSON.parse(
+    fs.readFileSync(path.join(ROOT, RECIPES_FILE), "utf8")
+  );
+
+  return (data.recipes || []).map((recipe) => ({
+    type: "recipe",
+    url: `product.html#resep-${recipe.id}`,
+    page: "product.html",
+    title: recipe.name,
+    text: [
+      recipe.summary,
+      recipe.source,
+      ...(recipe.ingredients || []).map((ingredient) => ingredient.name),
+    ]
+      .filter(Boolean)
+      .join(" "),
+    keywords: ["resep", "recipe", ...(recipe.keywords || [])].join(" "),
+  }));
+}
+
+/**
+ * Entries for the partner locations; list items get id="lokasi-<id>" in main.js
+ */
+function indexLocations() {
+  const collection = JSON.parse(
+    fs.readFileSync(path.join(ROOT, LOCATIONS_FILE), "utf8")
+  );
+
+  return (collection.features || []).map(({ properties: location }) => ({
+    type: "location",
+    url: `locator.html#lokasi-${location.id}`,
+    page: "locator.html",
+    title: location.name,
+    text: [location.address, location.hours, location.description]
+      .filter(Boolean)
+      .join(" "),
+    keywords: [
+      "lokasi",
+      "location",
+      location.area,
+      LOCATION_KEYWORDS[location.category],
+    ]
+      .filter(Boolean)
+      .join(" "),
+  }));
+}
+
+/**
+ * Build the index for every top-level page
+ */
+function buildSearchIndex() {
+  const pages = fs
+    .readdirSync(ROOT)
+    .filter((file) => file.endsWith(".html"))
+    .sort();
+
+  return {
+    version: INDEX_VERSION,
+    entries: [
+      ...indexCatalog(),
+      ...indexTeam(),
+      ...indexRecipes(),
+      ...indexLocations(),
+      ...pages.flatMap(indexPage),
+    ],
+  };
+}
+
+function writeSearchIndex(root = ROOT) {
+  const index = buildSearchIndex();
+  fs.writeFileSync(
+    path.join(root, INDEX_FILE),
+    `${JSON.stringify(index, null, 2)}\n`
+  );
+  console.log(`🔎 Indexed ${index.entries.length} entries into ${INDEX_FILE}`);
+  return index;
+}
+
+if (require.main === module) {
+  try {
+    writeSearchIndex();
+  } catch (error) {
+    console.error("❌ Search index failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildSearchIndex, writeSearchIndex, htmlToText };
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/**
+ * Static build for Amissa SweetCare Website
+ * Inlines the shared partials into every page, adds the SEO metadata from
+ * scripts/metadata.js and writes a GitHub Pages tree to dist/ with a
+ * generated sitemap.xml, robots.txt (host-root sites only) and search index.
+ *
+ * Usage: node scripts/build.js [--out dist] [--images]
+ *
+ * --images runs scripts/build-images.js first (needs sharp). Pages only
+ * look for the image manifest when the build found one, so builds without
+ * generated variants load the original images without a failed request.
+ *
+ * The output directory is replaced on every run, so it must be outside the
+ * sources and either empty or an earlier build.
+ *
+ * Resolves the same placeholders as loadComponents() in assets/js/main.js:
+ * the navbar-container/footer-container elements and any [data-include]
+ * element, including <template data-slot> overrides and nested includes.
+ * Inlined containers are marked with data-included so main.js skips them.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { findElement, getAttribute, setAttribute } = require("./html");
+const { writeSearchIndex } = require("./build-search-index");
+const { buildImages, MANIFEST_FILE } = require("./build-images");
+const {
+  applyMetadata,
+  buildSitemap,
+  buildRobots,
+  loadSite,
+} = require("./metadata");
+
+const ROOT = path.resolve(__dirname, "..");
+
+// Keep in sync with COMPONENTS in assets/js/main.js
+const COMPONENTS = [
+  { id: "navbar-container", file: "partials/navbar.html", select: "nav" },
+  { id: "footer-container", file: "partials/footer.html", select: "footer" },
+];
+
+// Copied as-is next to the built pages
+const STATIC_ENTRIES = [
+  "assets",
+  "partials",
+  "sw.js",
+  "manifest.webmanifest",
+  "CNAME",
+];
+
+// Source folders the output directory must never be inside of
+const SOURCE_DIRS = [...STATIC_ENTRIES, "scripts", "test", ".git", ".github"];
+
+// Written into every build; marks a directory the build may replace
+const BUILD_MARKER = ".nojekyll";
+
+const MAX_INCLUDE_DEPTH = 5;
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { out: path.join(ROOT, "dist"), images: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out") {
+      const value = argv[++i];
+      if (!value || value.startsWith("--")) {
+        throw new Error("--out needs a directory");
+      }
+      options.out = path.resolve(value);
+    } else if (argv[i] === "--images") {
+      options.images = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * The output directory is deleted before every build, so refuse anything
+ * that holds the sources or was not written by an earlier build
+ */
+function checkOutputDir(out) {
+  const fromOut = path.relative(out, ROOT);
+  if (!fromOut || (!fromOut.startsWith("..") && !path.isAbsolute(fromOut))) {
+    throw new Error(`Output directory ${out} contains the site sources`);
+  }
+
+  const fromRoot = path.relative(ROOT, out);
+  if (!fromRoot.startsWith("..") && !path.isAbsolute(fromRoot)) {
+    const [top] = fromRoot.split(path.sep);
+    const isSource =
+      SOURCE_DIRS.includes(top) ||
+      (fs.existsSync(path.join(ROOT, top)) &&
+        !fs.statSync(path.join(ROOT, top)).isDirectory());
+    if (isSource) {
+      throw new Error(`Output directory ${fromRoot} is inside the sources`);
+    }
+  }
+
+  if (
+    fs.existsSync(out) &&
+    fs.readdirSync(out).length > 0 &&
+    !fs.existsSync(path.join(out, BUILD_MARKER))
+  ) {
+    throw new Error(
+      `${out} is not empty and not an earlier build; remove it or pick another --out`
+    );
+  }
+}
+
+/**
+ * Take the component out of a full preview document, mirroring
+ * extractFragment() in main.js. Only tag-name selectors are supported.
+ */
+function extractFragment(html, select, file) {
+  if (!/<(html|body)[\s>]/i.test(html)) return html;
+
+  if (select) {
+    if (!/^[a-z][a-z0-9-]*$/i.test(select)) {
+      throw new Error(`Unsupported selector "${select}" for ${file}`);
+    }
+
+    const element = findElement(
+      html,
+      new RegExp(`<(${select})(?=[\\s>/])`, "gi")
+    );
+    if (!element) {
+      throw new Error(`Element "${select}" not found in ${file}`);
+    }
+    return html.slice(element.start, element.end);
+  }
+
+  const body = findElement(html, /<(body)(?=[\s>])/gi);
+  return html
+    .slice(body.openEnd, body.closeStart)
+    .replace(/<script\b[\s\S]*?<\/script>/gi, "");
+}
+
+/**
+ * Collect <template data-slot="name"> overrides from an element's content
+ */
+function collectSlotOverrides(content) {
+  const overrides = {};
+  const pattern = /<(template)(?=[\s>])/gi;
+  let from = 0;
+  let element;
+
+  while ((element = findElement(content, pattern, from))) {
+    const openTag = content.slice(element.start, element.openEnd);
+    const slot = getAttribute(openTag, "data-slot");
+    if (slot) {
+      overrides[slot] = content.slice(element.openEnd, element.closeStart);
+    }
+    from = element.end;
+  }
+
+  return overrides;
+}
+
+/**
+ * Replace the default content of [data-slot] elements with page overrides
+ */
+function applySlotOverrides(html, overrides) {
+  const pattern = /<([a-z][a-z0-9-]*)(?=\s)[^>]*\sdata-slot\s*=/gi;
+  let from = 0;
+  let element;
+
+  while ((element = findElement(html, pattern, from))) {
+    const openTag = html.slice(element.start, element.openEnd);
+    const slot = getAttribute(openTag, "data-slot");
+
+    if (slot in overrides) {
+      html =
+        html.slice(0, element.openEnd) +
+        overrides[slot] +
+        html.slice(element.closeStart);
+      from = element.openEnd + overrides[slot].length;
+    } else {
+      from = element.openEnd;
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Inline a partial into the element found at `element`
+ */
+function inlineElement(html, element, file, select, chain) {
+  if (chain.length > MAX_INCLUDE_DEPTH || chain.includes(file)) {
+    throw new Error(
+      `Include loop or nesting too deep: ${[...chain, file].join(" → ")}`
+    );
+  }
+
+  const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+  const content = html.slice(element.openEnd, element.closeStart);
+  const overrides = collectSlotOverrides(content);
+
+  let fragment = applySlotOverrides(
+    extractFragment(source, select, file),
+    overrides
+  );
+  fragment = resolveIncludes(fragment, [...chain, file]);
+
+  const openTag = setAttribute(
+    html.slice(element.start, element.openEnd),
+    "data-included",
+    file
+  );
+
+  return {
+    html:
+      html.slice(0, element.start) +
+      openTag +
+      fragment +
+      html.slice(element.closeStart),
+    end: element.start + openTag.length + fragment.length,
+  };
+}
+
+/**
+ * Inline navbar/footer containers and [data-include] elements
+ */
+function resolveIncludes(html, chain = []) {
+  COMPONENTS.forEach((component) => {
+    const element = findElement(
+      html,
+      new RegExp(`<([a-z][a-z0-9-]*)(?=\\s)[^>]*\\sid="${component.id}"`, "gi")
+    );
+    if (element) {
+      html = inlineElement(
+        html,
+        element,
+        component.file,
+        component.select,
+        chain
+      ).html;
+    }
+  });
+
+  const pattern = /<([a-z][a-z0-9-]*)(?=\s)[^>]*\sdata-include\s*=/gi;
+  let from = 0;
+  let element;
+
+  while ((element = findElement(html, pattern, from))) {
+    const openTag = html.slice(element.start, element.openEnd);
+    const result = inlineElement(
+      html,
+      element,
+      getAttribute(openTag, "data-include"),
+      getAttribute(openTag, "data-include-select"),
+      chain
+    );
+    html = result.html;
+    from = result.end;
+  }
+
+  return html;
+}
+
+/**
+ * Point main.js at the generated image manifest
+ */
+function addImageManifest(html) {
+  return html.replace(
+    /(\n[ \t]*)<\/head>/i,
+    `\n    <meta name="image-manifest" content="${MANIFEST_FILE}" />$1</head>`
+  );
+}
+
+/**
+ * Build every top-level page into the output directory
+ */
+function build(options) {
+  checkOutputDir(options.out);
+
+  fs.rmSync(options.out, { recursive: true, force: true });
+  fs.mkdirSync(options.out, { recursive: true });
+
+  const pages = fs
+    .readdirSync(ROOT)
+    .filter((file) => file.endsWith(".html"))
+    .sort();
+
+  const site = loadSite();
+  const hasImages = fs.existsSync(path.join(ROOT, MANIFEST_FILE));
+
+  pages.forEach((page) => {
+    let html = applyMetadata(
+      resolveIncludes(fs.readFileSync(path.join(ROOT, page), "utf8")),
+      page,
+      site
+    );
+    if (hasImages) html = addImageManifest(html);
+
+    fs.writeFileSync(path.join(options.out, page), html);
+    console.log(`✅ Built ${page}`);
+  });
+
+  fs.writeFileSync(path.join(options.out, "sitemap.xml"), buildSitemap(site));
+  console.log(`🗺️ Wrote sitemap.xml for ${site.url}`);
+
+  const robots = buildRobots(site);
+  if (robots) {
+    fs.writeFileSync(path.join(options.out, "robots.txt"), robots);
+    console.log("🤖 Wrote robots.txt");
+  } else {
+    console.warn(
+      `⚠️ No robots.txt: crawlers only read it at the host root, not under ${site.url}`
+    );
+  }
+
+  STATIC_ENTRIES.filter((entry) =>
+    fs.existsSync(path.join(ROOT, entry))
+  ).forEach((entry) => {
+    fs.cpSync(path.join(ROOT, entry), path.join(options.out, entry), {
+      recursive: true,
+    });
+    console.log(`📁 Copied ${entry}`);
+  });
+
+  // Replaces the copied index so it matches the built pages; the committed
+  // copy is only refreshed by scripts/build-search-index.js
+  writeSearchIndex(options.out);
+
+  // Serve files as-is on GitHub Pages
+  fs.writeFileSync(path.join(options.out, BUILD_MARKER), "");
+
+  console.log(`🎉 Build complete: ${path.relative(ROOT, options.out) || "."}`);
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.images) await buildImages();
+  build(options);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error("❌ Build failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  build,
+  checkOutputDir,
+  resolveIncludes,
+  extractFragment,
+  addImageManifest,
+};
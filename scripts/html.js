@@ -0,0 +1,87 @@
+/**
+ * Minimal HTML helpers shared by the build scripts
+ * Regex based: good enough for the hand-written pages in this repo, not a
+ * general HTML parser.
+ */
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+/**
+ * Find the element opening tag matching `pattern` starting at `from`.
+ * Returns { start, openEnd, end, tag } where end is the index after the
+ * matching closing tag.
+ */
+function findElement(html, pattern, from = 0) {
+  pattern.lastIndex = from;
+  const match = pattern.exec(html);
+  if (!match) return null;
+
+  const start = match.index;
+  const tag = match[1].toLowerCase();
+  const openEnd = html.indexOf(">", start) + 1;
+
+  if (VOID_ELEMENTS.has(tag) || html[openEnd - 2] === "/") {
+    return { start, openEnd, end: openEnd, closeStart: openEnd, tag };
+  }
+
+  // Walk same-name tags to find the matching close tag
+  const tagPattern = new RegExp(`<(/?)${tag}(?=[\\s>/])[^>]*>`, "gi");
+  tagPattern.lastIndex = openEnd;
+  let depth = 1;
+  let tagMatch;
+
+  while ((tagMatch = tagPattern.exec(html))) {
+    depth += tagMatch[1] ? -1 : 1;
+    if (depth === 0) {
+      return {
+        start,
+        openEnd,
+        closeStart: tagMatch.index,
+        end: tagPattern.lastIndex,
+        tag,
+      };
+    }
+  }
+
+  throw new Error(`Unclosed <${tag}> at offset ${start}`);
+}
+
+/**
+ * Read an attribute from an opening tag. Valueless attributes read as "".
+ */
+function getAttribute(openTag, name) {
+  const match = openTag.match(
+    new RegExp(`\\s${name}(?:\\s*=\\s*("([^"]*)"|'([^']*)'))?(?=[\\s/>])`, "i")
+  );
+  if (!match) return null;
+  return match[1] ? match[2] ?? match[3] : "";
+}
+
+/**
+ * Add or replace an attribute on an opening tag
+ */
+function setAttribute(openTag, name, value) {
+  const pattern = new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*')`, "i");
+  const attribute = ` ${name}="${value}"`;
+
+  if (pattern.test(openTag)) {
+    return openTag.replace(pattern, attribute);
+  }
+  return openTag.replace(/\s*\/?>$/, (end) => attribute + end.trimStart());
+}
+
+module.exports = { VOID_ELEMENTS, findElement, getAttribute, setAttribute };
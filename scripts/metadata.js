@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * SEO metadata for Amissa SweetCare Website
+ * Generates the <head> tags of every page listed in assets/data/site.json
+ * (title, description, canonical URL, Open Graph/Twitter cards and JSON-LD)
+ * and the sitemap.xml/robots.txt that go with them. scripts/build.js
+ * applies it to the built pages; the source pages keep their plain <title>.
+ *
+ * Usage: node scripts/metadata.js [page]   (prints the tags for one page)
+ *
+ * JSON-LD covers the Organization on every page, the product catalog as a
+ * ProductGroup with one variant per pack weight and an Offer per
+ * marketplace listing of that product plus an AggregateRating from the
+ * approved reviews in assets/data/reviews.json, and the team as Person
+ * entries. SITE_URL overrides the site URL, e.g. for a preview deployment.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+const SITE_FILE = "assets/data/site.json";
+const CATALOG_FILE = "assets/data/products.json";
+const TEAM_FILE = "assets/data/team.json";
+const REVIEWS_FILE = "assets/data/reviews.json";
+const IMAGE_MANIFEST_FILE = "assets/data/image-manifest.json";
+
+// Preview images above roughly 300 KB are dropped by WhatsApp, so share
+// cards use a generated variant of about this width when one exists
+const SHARE_IMAGE_WIDTH = 1200;
+
+// schema.org offer names for product links that can be listings
+const MARKETPLACES = {
+  shopee: "Shopee",
+  tokopedia: "Tokopedia",
+};
+
+// UN/CEFACT codes for product weights
+const WEIGHT_UNITS = { gr: "GRM", g: "GRM", kg: "KGM" };
+
+function readJSON(file, fallback) {
+  const fullPath = path.join(ROOT, file);
+  if (fallback !== undefined && !fs.existsSync(fullPath)) return fallback;
+  return JSON.parse(fs.readFileSync(fullPath, "utf8"));
+}
+
+function loadSite() {
+  const site = readJSON(SITE_FILE);
+  const url = process.env.SITE_URL || site.url;
+  return { ...site, url: url.endsWith("/") ? url : `${url}/` };
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function getPageUrl(site, page) {
+  return page === "index.html" ? site.url : `${site.url}${page}`;
+}
+
+function getAbsoluteUrl(site, file) {
+  return new URL(file, site.url).href;
+}
+
+/**
+ * Share image for a page: a generated JPEG/PNG variant from
+ * scripts/build-images.js when available, otherwise the original file
+ */
+function getShareImage(site, image) {
+  const entry = readJSON(IMAGE_MANIFEST_FILE, { images: {} }).images[image];
+  const variants = entry && (entry.formats.jpeg || entry.formats.png);
+
+  if (!variants || variants.length === 0) {
+    return { url: getAbsoluteUrl(site, image) };
+  }
+
+  const variant =
+    variants.find((item) => item.width >= SHARE_IMAGE_WIDTH) ||
+    variants[variants.length - 1];
+  return {
+    url: getAbsoluteUrl(site, variant.src),
+    width: variant.width,
+    height: Math.round((entry.height / entry.width) * variant.width),
+  };
+}
+
+/**
+ * Organization node shared by every page
+ */
+function buildOrganization(site) {
+  return {
+    "@type": "Organization",
+    "@id": `${site.url}#organization`,
+    name: site.name,
+    url: site.url,
+    logo: getAbsoluteUrl(site, site.logo),
+    description: site.description,
+    email: site.email,
+    telephone: site.telephone,
+    address: { "@type": "PostalAddress", ...site.address },
+    parentOrganization: site.parentOrganization
+      ? { "@type": "CollegeOrUniversity", name: site.parentOrganization }
+      : undefined,
+    sameAs: site.sameAs,
+  };
+}
+
+/**
+ * Average rating and review count per product from the approved reviews
+ */
+function getProductRatings() {
+  const { reviews = [] } = readJSON(REVIEWS_FILE, { reviews: [] });
+  const ratings = {};
+
+  reviews.forEach((review) => {
+    const rating = ratings[review.product] || { total: 0, count: 0 };
+    rating.total += review.rating;
+    rating.count++;
+    ratings[review.product] = rating;
+  });
+
+  return ratings;
+}
+
+/**
+ * A link to a page of its own rather than a site's front page
+ */
+function isListingUrl(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, "") !== "";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The catalog as one ProductGroup whose variants differ by weight
+ */
+function buildProductGroup(site) {
+  const catalog = readJSON(CATALOG_FILE);
+  const organization = { "@id": `${site.url}#organization` };
+  const ratings = getProductRatings();
+
+  return {
+    "@type": "ProductGroup",
+    "@id": `${site.url}product.html#products`,
+    name: site.name,
+    description: site.description,
+    url: `${site.url}product.html`,
+    brand: organization,
+    productGroupID: "amissa",
+    variesBy: "https://schema.org/weight",
+    hasVariant: (catalog.products || []).map((product) => {
+      // Only the product's own listings: the catalog-wide links lead to a
+      // store or marketplace front page, which is not an offer. An offer
+      // also needs a price, so none are published until one is confirmed
+      const links =
+        typeof product.price === "number" ? product.links || {} : {};
+      const rating = ratings[product.id];
+      const offers = Object.keys(MARKETPLACES)
+        .filter((marketplace) => isListingUrl(links[marketplace]))
+        .map((marketplace) => ({
+          "@type": "Offer",
+          name: MARKETPLACES[marketplace],
+          url: links[marketplace],
+          price: product.price,
+          priceCurrency: catalog.currency || "IDR",
+          availability: "https://schema.org/InStock",
+          itemCondition: "https://schema.org/NewCondition",
+          seller: organization,
+        }));
+
+      return {
+        "@type": "Product",
+        "@id": `${site.url}product.html#produk-${product.id}`,
+        sku: product.id,
+        name: product.name,
+        description: product.description || product.summary,
+        image: (product.images || []).map((image) =>
+          getAbsoluteUrl(site, image)
+        ),
+        url: `${site.url}product.html#produk-${product.id}`,
+        brand: organization,
+        weight: product.weight && {
+          "@type": "QuantitativeValue",
+          value: product.weight.value,
+          unitCode: WEIGHT_UNITS[product.weight.unit] || product.weight.unit,
+        },
+        offers: offers.length > 0 ? offers : undefined,
+        aggregateRating: rating && {
+          "@type": "AggregateRating",
+          ratingValue: Math.round((rating.total / rating.count) * 10) / 10,
+          reviewCount: rating.count,
+          bestRating: 5,
+          worstRating: 1,
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Team members as Person entries working for the organization
+ */
+function buildPeople(site) {
+  const team = readJSON(TEAM_FILE, { members: [] });
+
+  return team.members.map((member) => ({
+    "@type": "Person",
+    "@id": `${site.url}team.html#${member.id}`,
+    name: member.name,
+    jobTitle: member.role,
+    description: member.story,
+    image: member.photo && getAbsoluteUrl(site, member.photo),
+    url: `${site.url}team.html#${member.id}`,
+    worksFor: { "@id": `${site.url}#organization` },
+    affiliation: site.parentOrganization && {
+      "@type": "CollegeOrUniversity",
+      name: site.parentOrganization,
+    },
+    sameAs: member.socials ? Object.values(member.socials) : undefined,
+  }));
+}
+
+// Extra JSON-LD nodes per page
+const PAGE_SCHEMAS = {
+  "index.html": (site) => [
+    {
+      "@type": "WebSite",
+      "@id": `${site.url}#website`,
+      name: site.name,
+      url: site.url,
+      inLanguage: site.language,
+      publisher: { "@id": `${site.url}#organization` },
+    },
+  ],
+  "product.html": (site) => [buildProductGroup(site)],
+  "team.html": (site) => buildPeople(site),
+};
+
+/**
+ * JSON-LD graph for a page
+ */
+function buildStructuredData(site, page) {
+  const extra = PAGE_SCHEMAS[page] ? PAGE_SCHEMAS[page](site) : [];
+
+  return {
+    "@context": "https://schema.org",
+    "@graph": [buildOrganization(site), ...extra],
+  };
+}
+
+/**
+ * <head> markup for a page, or null for pages without metadata
+ */
+function buildHead(page, site = loadSite()) {
+  const meta = site.pages[page];
+  if (!meta) return null;
+
+  const url = getPageUrl(site, page);
+  const image = getShareImage(site, meta.image || site.image);
+
+  const tags = [
+    `<title>${escapeAttribute(meta.title)}</title>`,
+    `<meta name="description" content="${escapeAttribute(
+      meta.description
+    )}" />`,
+    `<link rel="canonical" href="${url}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:site_name" content="${escapeAttribute(site.name)}" />`,
+    `<meta property="og:title" content="${escapeAttribute(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeAttribute(
+      meta.description
+    )}" />`,
+    `<meta property="og:url" content="${url}" />`,
+    `<meta property="og:locale" content="${site.locale}" />`,
+    ...(site.alternateLocales || []).map(
+      (locale) => `<meta property="og:locale:alternate" content="${locale}" />`
+    ),
+    `<meta property="og:image" content="${image.url}" />`,
+    ...(image.width
+      ? [
+          `<meta property="og:image:width" content="${image.width}" />`,
+          `<meta property="og:image:height" content="${image.height}" />`,
+        ]
+      : []),
+    `<meta name="twitter:card" content="summary_large_image" />`,
+    `<meta name="twitter:title" content="${escapeAttribute(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeAttribute(
+      meta.description
+    )}" />`,
+    `<meta name="twitter:image" content="${image.url}" />`,
+    // "<" is escaped so text in the data cannot close the script element
+    `<script type="application/ld+json">${JSON.stringify(
+      buildStructuredData(site, page)
+    ).replace(/</g, "\\u003c")}</script>`,
+  ];
+
+  return tags.join("\n    ");
+}
+
+/**
+ * Replace the handwritten <title> of a page with the generated tags
+ */
+function applyMetadata(html, page, site = loadSite()) {
+  const head = buildHead(page, site);
+  if (!head) return html;
+
+  if (!/<title>[\s\S]*?<\/title>/i.test(html)) {
+    throw new Error(`No <title> to replace in ${page}`);
+  }
+  return html.replace(/<title>[\s\S]*?<\/title>/i, head);
+}
+
+/**
+ * Last commit date of a file, or its modification time outside git
+ */
+function getLastModified(file) {
+  try {
+    const date = execFileSync(
+      "git",
+      ["log", "-1", "--format=%cI", "--", file],
+      {
+        cwd: ROOT,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }
+    ).trim();
+    if (date) return date.slice(0, 10);
+  } catch (error) {
+    // Not a git checkout
+  }
+  return fs.statSync(path.join(ROOT, file)).mtime.toISOString().slice(0, 10);
+}
+
+/**
+ * sitemap.xml for the pages listed in site.json
+ */
+function buildSitemap(site = loadSite()) {
+  const urls = Object.entries(site.pages).map(
+    ([page, meta]) => `  <url>
+    <loc>${getPageUrl(site, page)}</loc>
+    <lastmod>${getLastModified(page)}</lastmod>
+    <changefreq>${meta.changefreq || "monthly"}</changefreq>
+    <priority>${(meta.priority ?? 0.5).toFixed(1)}</priority>
+  </url>`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * robots.txt, or null when the site is served below the host root: crawlers
+ * only read robots.txt at the root, so a project site cannot have one
+ */
+function buildRobots(site = loadSite()) {
+  if (new URL(site.url).pathname !== "/") return null;
+
+  return `User-agent: *
+Allow: /
+Disallow: /partials/
+Disallow: /offline.html
+
+Sitemap: ${site.url}sitemap.xml
+`;
+}
+
+if (require.main === module) {
+  try {
+    const page = process.argv[2] || "index.html";
+    const head = buildHead(page);
+    if (!head) {
+      throw new Error(`${page} is not listed in ${SITE_FILE}`);
+    }
+    console.log(head);
+  } catch (error) {
+    console.error("❌ Metadata failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  applyMetadata,
+  buildHead,
+  buildStructuredData,
+  buildSitemap,
+  buildRobots,
+  isListingUrl,
+  loadSite,
+};
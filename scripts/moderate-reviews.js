@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Review moderation for Amissa SweetCare Website
+ * The review form on product.html sends new reviews to the "review" form
+ * transport (a Formspree form or JSON endpoint), never to the site itself;
+ * the form stays disabled until that transport has an endpoint.
+ * This script moves them from that queue through a moderation file into
+ * assets/data/reviews.json, which the reviews section in main.js and the
+ * product JSON-LD in scripts/metadata.js read.
+ *
+ * Usage: node scripts/moderate-reviews.js [--queue path/to/export.json]
+ *
+ * 1. Submissions in the queue export ({ "submissions": [...] } as exported
+ *    by Formspree, or a plain array) that are new are added to
+ *    reviews-moderation.json with "status": "pending".
+ * 2. Change the status of each entry to "approved" or "rejected".
+ * 3. Run the script again: approved entries are published without their
+ *    e-mail address. Entries stay in the moderation file so the same export
+ *    can be imported again safely.
+ *
+ * reviews-moderation.json holds e-mail addresses and is not committed.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const MODERATION_FILE = "reviews-moderation.json";
+const REVIEWS_FILE = "assets/data/reviews.json";
+const CATALOG_FILE = "assets/data/products.json";
+
+// Bump together with REVIEWS_VERSION in main.js
+const REVIEWS_VERSION = 1;
+
+const STATUSES = ["pending", "approved", "rejected"];
+const TEXT_LENGTH = 1000;
+const NAME_LENGTH = 60;
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { queue: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--queue") {
+      options.queue = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function readJSON(root, file, fallback) {
+  const fullPath = path.join(root, file);
+  if (!fs.existsSync(fullPath)) return fallback;
+  return JSON.parse(fs.readFileSync(fullPath, "utf8"));
+}
+
+function writeJSON(root, file, data) {
+  fs.writeFileSync(path.join(root, file), `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function cleanText(value, length) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, length);
+}
+
+/**
+ * Turn a queued form submission into a moderation entry, or explain why it
+ * cannot be one
+ */
+function normalizeSubmission(submission, productIds) {
+  const rating = Number(submission.rating);
+  const text = cleanText(submission.review || submission.text, TEXT_LENGTH);
+  const name = cleanText(submission.name, NAME_LENGTH);
+  const date = new Date(
+    submission._date || submission.submittedAt || submission.date
+  );
+
+  if (!productIds.includes(submission.product)) {
+    return { error: `unknown product "${submission.product}"` };
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: `invalid rating "${submission.rating}"` };
+  }
+  if (!name || !text) {
+    return { error: "missing name or review text" };
+  }
+  if (isNaN(date)) {
+    return { error: "missing submission date" };
+  }
+
+  // Exports carry no stable id, so the content identifies a submission
+  const id =
+    submission.id ||
+    crypto
+      .createHash("sha1")
+      .update([submission.product, name, text, date.toISOString()].join("\n"))
+      .digest("hex")
+      .slice(0, 12);
+
+  return {
+    entry: {
+      id: String(id),
+      status: "pending",
+      submittedAt: date.toISOString(),
+      product: submission.product,
+      rating,
+      name,
+      city: cleanText(submission.city, NAME_LENGTH),
+      text,
+      email: cleanText(submission.email, 200),
+    },
+  };
+}
+
+/**
+ * Add the new submissions of a queue export to the moderation entries
+ */
+function importQueue(file, entries, productIds) {
+  const queue = JSON.parse(fs.readFileSync(file, "utf8"));
+  const submissions = Array.isArray(queue) ? queue : queue.submissions || [];
+  const known = new Set(entries.map((entry) => entry.id));
+  let added = 0;
+
+  submissions.forEach((submission, index) => {
+    const { entry, error } = normalizeSubmission(submission, productIds);
+    if (error) {
+      console.warn(`⚠️ Skipped submission ${index + 1}: ${error}`);
+      return;
+    }
+    if (known.has(entry.id)) return;
+
+    entries.push(entry);
+    known.add(entry.id);
+    added++;
+  });
+
+  console.log(`📥 ${added} new submissions from ${path.basename(file)}`);
+}
+
+/**
+ * Import, check and publish. `root` is the site checkout the files are
+ * read from and written to.
+ */
+function moderateReviews(options) {
+  const root = options.root || ROOT;
+  const catalog = readJSON(root, CATALOG_FILE, { products: [] });
+  const productIds = catalog.products.map((product) => product.id);
+  const moderation = readJSON(root, MODERATION_FILE, { entries: [] });
+  const entries = moderation.entries || [];
+
+  if (options.queue) {
+    importQueue(options.queue, entries, productIds);
+  }
+
+  entries.forEach((entry) => {
+    if (!STATUSES.includes(entry.status)) {
+      throw new Error(
+        `Entry ${entry.id} has status "${entry.status}"; use ${STATUSES.join(
+          ", "
+        )}`
+      );
+    }
+  });
+
+  const published = readJSON(root, REVIEWS_FILE, { reviews: [] }).reviews || [];
+  const publishedIds = new Set(published.map((review) => review.id));
+
+  const approved = entries
+    .filter(
+      (entry) => entry.status === "approved" && !publishedIds.has(entry.id)
+    )
+    .map((entry) => ({
+      id: entry.id,
+      product: entry.product,
+      rating: entry.rating,
+      name: entry.name,
+      city: entry.city || undefined,
+      text: entry.text,
+      date: entry.submittedAt.slice(0, 10),
+    }));
+
+  // A review rejected after publishing is taken down again
+  const rejected = new Set(
+    entries
+      .filter((entry) => entry.status === "rejected")
+      .map((entry) => entry.id)
+  );
+
+  const reviews = [...published, ...approved]
+    .filter((review) => !rejected.has(review.id))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  writeJSON(root, MODERATION_FILE, { entries });
+  writeJSON(root, REVIEWS_FILE, { version: REVIEWS_VERSION, reviews });
+
+  const pending = entries.filter((entry) => entry.status === "pending").length;
+  console.log(
+    `✅ Published ${approved.length} new reviews, ${
+      published.length + approved.length - reviews.length
+    } taken down, ${reviews.length} in total`
+  );
+  if (pending > 0) {
+    console.log(`⏳ ${pending} reviews waiting in ${MODERATION_FILE}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    moderateReviews(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error("❌ Review moderation failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { moderateReviews, normalizeSubmission };
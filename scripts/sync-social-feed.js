@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Social feed sync for Amissa SweetCare Website
+ * Pulls the latest Instagram and TikTok posts into
+ * assets/data/social-feed.json for the social feed section in main.js.
+ * Thumbnails are downloaded to assets/images/social/ because the media URLs
+ * the APIs return expire after a few days.
+ *
+ * Usage:
+ *   INSTAGRAM_ACCESS_TOKEN=... TIKTOK_ACCESS_TOKEN=... \
+ *     node scripts/sync-social-feed.js [--limit 12] [--out dir]
+ *   node scripts/sync-social-feed.js --fixture path/to/responses.json --out dir
+ *
+ * A fixture holds raw API responses ({ "instagram": {...}, "tiktok": {...} })
+ * and is read instead of calling the APIs; its local media paths are kept
+ * as they are. INSTAGRAM_API_URL and TIKTOK_API_URL point the sync at a stub
+ * server instead. A platform without a token, or whose request fails, keeps
+ * the posts from the previous sync.
+ *
+ * --out writes the feed and thumbnails under another directory instead of
+ * the site, with the same relative paths; use it for fixture and test runs
+ * so the real feed and its thumbnails stay untouched.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const FEED_FILE = "assets/data/social-feed.json";
+const MEDIA_DIR = "assets/images/social";
+
+// Bump together with SOCIAL_FEED_VERSION in main.js
+const FEED_VERSION = 1;
+
+const DEFAULT_LIMIT = 12;
+const CAPTION_LENGTH = 500;
+
+const PROFILES = {
+  instagram: {
+    handle: "amissa_p2mwuncip",
+    url: "https://www.instagram.com/amissa_p2mwuncip/",
+  },
+  tiktok: {
+    handle: "amissa_p2mwuncip",
+    url: "https://www.tiktok.com/@amissa_p2mwuncip",
+  },
+};
+
+const INSTAGRAM_API_URL =
+  process.env.INSTAGRAM_API_URL || "https://graph.instagram.com/v21.0";
+const TIKTOK_API_URL =
+  process.env.TIKTOK_API_URL || "https://open.tiktokapis.com/v2";
+
+const MEDIA_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { limit: DEFAULT_LIMIT, fixture: null, out: ROOT };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--limit") {
+      options.limit = parseInt(argv[++i], 10);
+    } else if (argv[i] === "--fixture") {
+      options.fixture = path.resolve(argv[++i]);
+    } else if (argv[i] === "--out") {
+      const value = argv[++i];
+      if (!value || value.startsWith("--")) {
+        throw new Error("--out needs a directory");
+      }
+      options.out = path.resolve(value);
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new Error("--limit must be a positive number");
+  }
+
+  return options;
+}
+
+async function fetchJSON(url, init) {
+  const response = await fetch(url, init);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const message = body?.error?.message || response.statusText;
+    throw new Error(`${response.status} ${message}`);
+  }
+  return body;
+}
+
+/**
+ * Raw API responses per platform; null when a platform has no token
+ */
+const SOURCES = {
+  instagram: (limit) => {
+    const token = process.env.INSTAGRAM_ACCESS_TOKEN;
+    if (!token) return null;
+
+    const fields =
+      "id,caption,media_type,media_url,thumbnail_url,permalink,timestamp";
+    return fetchJSON(
+      `${INSTAGRAM_API_URL}/me/media?fields=${fields}&limit=${limit}&access_token=${encodeURIComponent(
+        token
+      )}`
+    );
+  },
+
+  tiktok: (limit) => {
+    const token = process.env.TIKTOK_ACCESS_TOKEN;
+    if (!token) return null;
+
+    const fields =
+      "id,title,video_description,cover_image_url,share_url,create_time";
+    return fetchJSON(`${TIKTOK_API_URL}/video/list/?fields=${fields}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ max_count: Math.min(limit, 20) }),
+    });
+  },
+};
+
+/**
+ * Turn raw API responses into feed posts (media not downloaded yet)
+ */
+const NORMALIZERS = {
+  instagram: (response) =>
+    (response.data || []).map((media) => ({
+      id: String(media.id),
+      platform: "instagram",
+      type:
+        media.media_type === "VIDEO"
+          ? "video"
+          : media.media_type === "CAROUSEL_ALBUM"
+          ? "album"
+          : "image",
+      url: media.permalink,
+      image: media.thumbnail_url || media.media_url,
+      caption: media.caption || "",
+      // Instagram sends +0000 offsets, which Safari cannot parse
+      date: new Date(media.timestamp).toISOString(),
+    })),
+
+  tiktok: (response) => {
+    if (response.error && response.error.code !== "ok") {
+      throw new Error(response.error.message || response.error.code);
+    }
+
+    return (response.data?.videos || []).map((video) => ({
+      id: String(video.id),
+      platform: "tiktok",
+      type: "video",
+      url: video.share_url,
+      image: video.cover_image_url,
+      caption: video.video_description || video.title || "",
+      date: new Date(video.create_time * 1000).toISOString(),
+    }));
+  },
+};
+
+function readFeed(out) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(out, FEED_FILE), "utf8"));
+  } catch (error) {
+    return { posts: [] };
+  }
+}
+
+/**
+ * Save a remote thumbnail next to the site and return its local path
+ */
+async function downloadMedia(post, out) {
+  if (!/^https?:\/\//.test(post.image)) return post.image;
+
+  const existing = fs
+    .readdirSync(path.join(out, MEDIA_DIR))
+    .find((file) => path.parse(file).name === `${post.platform}-${post.id}`);
+  if (existing) return `${MEDIA_DIR}/${existing}`;
+
+  const response = await fetch(post.image);
+  if (!response.ok) {
+    throw new Error(`Could not download ${post.image}: ${response.status}`);
+  }
+
+  const type = (response.headers.get("content-type") || "").split(";")[0];
+  const file = `${MEDIA_DIR}/${post.platform}-${post.id}${
+    MEDIA_EXTENSIONS[type] || ".jpg"
+  }`;
+  fs.writeFileSync(
+    path.join(out, file),
+    Buffer.from(await response.arrayBuffer())
+  );
+  return file;
+}
+
+/**
+ * Delete downloaded thumbnails that are no longer in the feed
+ */
+function pruneMedia(posts, out) {
+  const used = new Set(posts.map((post) => post.image));
+
+  fs.readdirSync(path.join(out, MEDIA_DIR)).forEach((file) => {
+    if (!used.has(`${MEDIA_DIR}/${file}`)) {
+      fs.unlinkSync(path.join(out, MEDIA_DIR, file));
+    }
+  });
+}
+
+async function syncSocialFeed(options) {
+  const out = options.out || ROOT;
+  const previous = readFeed(out);
+  const fixture = options.fixture
+    ? JSON.parse(fs.readFileSync(options.fixture, "utf8"))
+    : null;
+
+  fs.mkdirSync(path.join(out, MEDIA_DIR), { recursive: true });
+  fs.mkdirSync(path.join(out, path.dirname(FEED_FILE)), { recursive: true });
+
+  let posts = [];
+  let synced = 0;
+
+  for (const platform of Object.keys(SOURCES)) {
+    const previousPosts = (previous.posts || []).filter(
+      (post) => post.platform === platform
+    );
+
+    try {
+      const response = fixture
+        ? fixture[platform]
+        : await SOURCES[platform](options.limit);
+
+      if (!response) {
+        console.warn(`⚠️ No ${platform} data, keeping previous posts`);
+        posts = posts.concat(previousPosts);
+        continue;
+      }
+
+      const fresh = NORMALIZERS[platform](response).filter(
+        (post) => post.url && post.image
+      );
+      for (const post of fresh) {
+        post.image = await downloadMedia(post, out);
+        post.caption = post.caption.trim().slice(0, CAPTION_LENGTH);
+      }
+
+      posts = posts.concat(fresh);
+      synced++;
+      console.log(`📥 ${fresh.length} ${platform} posts`);
+    } catch (error) {
+      console.warn(
+        `⚠️ ${platform} sync failed, keeping previous posts:`,
+        error.message
+      );
+      posts = posts.concat(previousPosts);
+    }
+  }
+
+  if (synced === 0) {
+    throw new Error("No platform could be synced; the feed was left as is");
+  }
+
+  posts = posts
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, options.limit);
+
+  pruneMedia(posts, out);
+
+  fs.writeFileSync(
+    path.join(out, FEED_FILE),
+    `${JSON.stringify(
+      {
+        version: FEED_VERSION,
+        updatedAt: new Date().toISOString(),
+        profiles: PROFILES,
+        posts,
+      },
+      null,
+      2
+    )}\n`
+  );
+  console.log(`🎉 Wrote ${posts.length} posts to ${path.join(out, FEED_FILE)}`);
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => syncSocialFeed(parseArgs(process.argv.slice(2))))
+    .catch((error) => {
+      console.error("❌ Social feed sync failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { syncSocialFeed, NORMALIZERS };
@@ -0,0 +1,157 @@
+/**
+ * Service worker for Amissa SweetCare Website
+ * Precaches the pages, partials, script, styles and data for offline
+ * browsing. Images, including the bundled map tiles (assets/tiles/), are
+ * cached at runtime as they are viewed, so installing stays light.
+ *
+ * - Pages: network first, falling back to the cached copy, then offline.html
+ * - Site assets and the Tailwind/Font Awesome/Leaflet/Google Fonts CDNs:
+ *   stale-while-revalidate
+ *
+ * Runtime copies are looked up before the precache, so the background
+ * refreshes are what later visits get.
+ *
+ * Bump CACHE_VERSION when PRECACHE_URLS changes. main.js offers a reload
+ * when a new worker is waiting and sends SKIP_WAITING when accepted.
+ */
+
+const CACHE_VERSION = "v6";
+const PRECACHE = `amissa-precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `amissa-runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = "offline.html";
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "about.html",
+  "product.html",
+  "team.html",
+  "gallery.html",
+  "locator.html",
+  OFFLINE_URL,
+  "partials/navbar.html",
+  "partials/footer.html",
+  "partials/hero.html",
+  "assets/css/style.css",
+  "assets/js/main.js",
+  "assets/data/products.json",
+  "assets/data/search-index.json",
+  "assets/data/team.json",
+  "assets/data/recipes.json",
+  "assets/data/locations.geojson",
+  "assets/data/reviews.json",
+  "assets/images/icons/icon-192.png",
+  "manifest.webmanifest",
+];
+
+// Third-party hosts whose responses are cached at runtime
+const CDN_HOSTS = [
+  "cdn.tailwindcss.com",
+  "cdnjs.cloudflare.com",
+  "unpkg.com",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("amissa-"))
+            .filter((key) => key !== PRECACHE && key !== RUNTIME_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over after the visitor agrees
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (
+    url.origin === self.location.origin ||
+    CDN_HOSTS.includes(url.hostname)
+  ) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  }
+});
+
+/**
+ * Fresh page when online; cached page or the offline page otherwise
+ */
+async function networkFirst(request) {
+  // Pages are static: one copy per page whatever the campaign parameters
+  const url = new URL(request.url);
+  url.search = "";
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(url.href, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (
+      (await findCached(url.href, { ignoreSearch: true })) ||
+      caches.match(OFFLINE_URL)
+    );
+  }
+}
+
+/**
+ * Runtime copy if there is one, else the precached copy
+ */
+async function findCached(request, options) {
+  const runtime = await caches.open(RUNTIME_CACHE);
+  return (
+    (await runtime.match(request, options)) ||
+    (await caches.match(request, options))
+  );
+}
+
+/**
+ * Cached copy right away, refreshed in the background for next time
+ */
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await findCached(request);
+
+  const update = fetch(request)
+    .then((response) => {
+      // CDN scripts and styles come back opaque without CORS
+      if (response.ok || response.type === "opaque") {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  if (cached) {
+    event.waitUntil(update);
+    return cached;
+  }
+  return (await update) || Response.error();
+}
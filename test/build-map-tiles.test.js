@@ -0,0 +1,37 @@
+/**
+ * Tile source and bounds in scripts/build-map-tiles.js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getLocationBounds,
+  getTileSource,
+} = require("../scripts/build-map-tiles");
+
+test("needs an explicit tile source", () => {
+  assert.throws(() => getTileSource({}), /Set TILE_SOURCE_URL/);
+  assert.throws(
+    () => getTileSource({ TILE_SOURCE_URL: "https://t.example/{z}/{x}/{y}" }),
+    /TILE_ATTRIBUTION/
+  );
+  assert.deepEqual(
+    getTileSource({
+      TILE_SOURCE_URL: "https://t.example/{z}/{x}/{y}",
+      TILE_ATTRIBUTION: "Example",
+    }),
+    { url: "https://t.example/{z}/{x}/{y}", attribution: "Example" }
+  );
+});
+
+test("bounds cover the areas as well as the locations", () => {
+  const [[south, west], [north, east]] = getLocationBounds({
+    features: [
+      { geometry: { type: "Point", coordinates: [108.1131, -7.3489] } },
+    ],
+    areas: [{ id: "garut", center: [107.9062, -7.2134] }],
+  });
+
+  assert.ok(west < 107.9062 && east > 108.1131);
+  assert.ok(south < -7.3489 && north > -7.2134);
+});
@@ -0,0 +1,85 @@
+/**
+ * Output directory checks and outputs of scripts/build.js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { build, checkOutputDir, addImageManifest } = require("../scripts/build");
+
+const ROOT = path.resolve(__dirname, "..");
+
+test("refuses the checkout and its parents", () => {
+  assert.throws(() => checkOutputDir(ROOT), /contains the site sources/);
+  assert.throws(
+    () => checkOutputDir(path.dirname(ROOT)),
+    /contains the site sources/
+  );
+});
+
+test("refuses source folders and files", () => {
+  for (const dir of ["assets", "assets/build", "scripts", ".git", "sw.js"]) {
+    assert.throws(
+      () => checkOutputDir(path.join(ROOT, dir)),
+      /inside the sources/,
+      dir
+    );
+  }
+});
+
+test("accepts new, empty and earlier build directories", (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "amissa-build-"));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  checkOutputDir(path.join(ROOT, "dist"));
+  checkOutputDir(path.join(tmp, "new"));
+  checkOutputDir(tmp);
+
+  fs.writeFileSync(path.join(tmp, "notes.txt"), "keep me");
+  assert.throws(() => checkOutputDir(tmp), /not an earlier build/);
+
+  fs.writeFileSync(path.join(tmp, ".nojekyll"), "");
+  checkOutputDir(tmp);
+});
+
+test("--out without a directory is an error", () => {
+  assert.throws(
+    () =>
+      execFileSync(process.execPath, ["scripts/build.js", "--out"], {
+        cwd: ROOT,
+        stdio: "pipe",
+      }),
+    (error) => /--out needs a directory/.test(error.stderr.toString())
+  );
+});
+
+test("writes the search index into the output only", (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "amissa-build-"));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+
+  const committed = path.join(ROOT, "assets/data/search-index.json");
+  const before = fs.statSync(committed).mtimeMs;
+
+  build({ out: tmp });
+
+  assert.equal(fs.statSync(committed).mtimeMs, before);
+  const index = JSON.parse(
+    fs.readFileSync(path.join(tmp, "assets/data/search-index.json"), "utf8")
+  );
+  assert.ok(index.entries.length > 0);
+});
+
+test("names the image manifest in the page head", () => {
+  const html = "<head>\n    <title>Amissa</title>\n  </head>\n<body></body>";
+
+  assert.equal(
+    addImageManifest(html),
+    "<head>\n    <title>Amissa</title>\n" +
+      '    <meta name="image-manifest" content="assets/data/image-manifest.json" />\n' +
+      "  </head>\n<body></body>"
+  );
+});
@@ -0,0 +1,134 @@
+/**
+ * Form transports in assets/js/main.js against a local stub endpoint
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./support/load-main");
+const { startStubServer, parseMultipart } = require("./support/stub-server");
+
+// Short delays keep the retry tests fast
+const FAST = { retryDelay: 5, timeout: 200 };
+
+test("form transports", async (t) => {
+  const server = await startStubServer();
+  t.after(() => server.close());
+
+  await t.test("formspree posts form data with the page", async () => {
+    const main = loadMain({ page: "product.html" });
+    const result = await main.submitForm(
+      "contact",
+      { _subject: "Hello", name: "Ani", message: "Halo" },
+      { endpoint: server.url, ...FAST }
+    );
+
+    assert.equal(result.ok, true);
+    const request = server.requests.at(-1);
+    assert.equal(request.method, "POST");
+    assert.equal(request.headers.accept, "application/json");
+    assert.deepEqual(parseMultipart(request), {
+      _subject: "Hello",
+      name: "Ani",
+      message: "Halo",
+      _page: "product",
+    });
+  });
+
+  await t.test("json sends a JSON body", async () => {
+    const main = loadMain();
+    await main.submitForm(
+      "newsletter",
+      { email: "ani@example.com" },
+      { type: "json", endpoint: server.url, ...FAST }
+    );
+
+    const request = server.requests.at(-1);
+    assert.equal(request.headers["content-type"], "application/json");
+    assert.deepEqual(JSON.parse(request.body), {
+      email: "ani@example.com",
+      _page: "index",
+    });
+  });
+
+  await t.test("server errors are retried", async () => {
+    const main = loadMain();
+    const before = server.requests.length;
+    server.reply({ status: 503 }, { status: 500 });
+
+    const result = await main.submitForm(
+      "contact",
+      { name: "Ani" },
+      { endpoint: server.url, ...FAST }
+    );
+
+    assert.equal(result.ok, true);
+    assert.equal(server.requests.length - before, 3);
+  });
+
+  await t.test("gives up after the configured retries", async () => {
+    const main = loadMain();
+    const before = server.requests.length;
+    server.reply({ status: 500 }, { status: 500 }, { status: 500 });
+
+    await assert.rejects(
+      main.submitForm(
+        "contact",
+        { name: "Ani" },
+        { endpoint: server.url, ...FAST }
+      ),
+      { name: "SubmissionError", status: 500, retryable: true }
+    );
+    assert.equal(server.requests.length - before, 3);
+  });
+
+  await t.test("rejections are not retried", async () => {
+    const main = loadMain();
+    const before = server.requests.length;
+    server.reply({
+      status: 422,
+      body: { errors: [{ message: "email should be an email" }] },
+    });
+
+    await assert.rejects(
+      main.submitForm(
+        "contact",
+        { email: "x" },
+        { endpoint: server.url, ...FAST }
+      ),
+      {
+        message: "email should be an email",
+        status: 422,
+        retryable: false,
+      }
+    );
+    assert.equal(server.requests.length - before, 1);
+  });
+
+  await t.test("slow endpoints time out as retryable", async () => {
+    const main = loadMain();
+    server.reply({ status: 200, delay: 500 });
+
+    await assert.rejects(
+      main.submitForm(
+        "contact",
+        { name: "Ani" },
+        { endpoint: server.url, retries: 0, timeout: 50 }
+      ),
+      { message: "Request timed out", retryable: true }
+    );
+  });
+
+  await t.test("without an endpoint the mail client opens", async () => {
+    const main = loadMain();
+    const result = await main.submitForm("contact", {
+      _subject: "Hello",
+      name: "Ani",
+    });
+
+    // Spread: the result comes from the vm context, with its own Object
+    assert.deepEqual({ ...result }, { ok: true, fallback: true });
+    assert.match(main.location.href, /^mailto:amissasweetcare@gmail\.com\?/);
+    assert.match(main.location.href, /subject=Hello/);
+    assert.match(main.location.href, /name%3A%20Ani/);
+  });
+});
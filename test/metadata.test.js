@@ -0,0 +1,49 @@
+/**
+ * Site URL handling and offers in scripts/metadata.js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildHead,
+  buildRobots,
+  isListingUrl,
+  loadSite,
+} = require("../scripts/metadata");
+
+test("page URLs keep the project path of the site URL", () => {
+  const site = loadSite();
+  const head = buildHead("product.html", site);
+
+  assert.match(
+    head,
+    /<link rel="canonical" href="https:\/\/amissasweetcare\.github\.io\/amissa\.github\.io\/product\.html" \/>/
+  );
+});
+
+test("robots.txt only for sites at the host root", () => {
+  const site = loadSite();
+
+  assert.equal(buildRobots(site), null);
+  assert.match(
+    buildRobots({ ...site, url: "https://www.example.com/" }),
+    /Sitemap: https:\/\/www\.example\.com\/sitemap\.xml/
+  );
+});
+
+test("front pages do not count as product listings", () => {
+  assert.equal(isListingUrl("https://tokopedia.com"), false);
+  assert.equal(isListingUrl("https://www.tokopedia.com/"), false);
+  assert.equal(isListingUrl(undefined), false);
+  assert.equal(
+    isListingUrl("https://www.tokopedia.com/amissa/amissa-250gr"),
+    true
+  );
+});
+
+test("no offers without a confirmed price", () => {
+  const head = buildHead("product.html", loadSite());
+
+  assert.doesNotMatch(head, /"@type":\s*"Offer"/);
+  assert.doesNotMatch(head, /"price"/);
+});
@@ -0,0 +1,135 @@
+/**
+ * scripts/moderate-reviews.js with scripts/fixtures/review-queue.json, run
+ * against a temporary copy of the catalog
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  moderateReviews,
+  normalizeSubmission,
+} = require("../scripts/moderate-reviews");
+
+const ROOT = path.resolve(__dirname, "..");
+const QUEUE_FILE = path.join(ROOT, "scripts/fixtures/review-queue.json");
+const PRODUCT_IDS = ["amissa-250gr", "amissa-500gr", "amissa-1kg"];
+
+function readJSON(root, file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), "utf8"));
+}
+
+function writeJSON(root, file, data) {
+  fs.writeFileSync(path.join(root, file), JSON.stringify(data));
+}
+
+/**
+ * Temporary site root with the real catalog and no reviews yet
+ */
+function makeSiteRoot(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "amissa-reviews-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(root, "assets/data"), { recursive: true });
+  fs.copyFileSync(
+    path.join(ROOT, "assets/data/products.json"),
+    path.join(root, "assets/data/products.json")
+  );
+  return root;
+}
+
+test("normalizes the queued submissions", () => {
+  const { submissions } = JSON.parse(fs.readFileSync(QUEUE_FILE, "utf8"));
+  const [first, second, spam] = submissions.map((submission) =>
+    normalizeSubmission(submission, PRODUCT_IDS)
+  );
+
+  assert.deepEqual(first.entry, {
+    id: first.entry.id,
+    status: "pending",
+    submittedAt: "2025-06-02T09:15:00.000Z",
+    product: "amissa-250gr",
+    rating: 5,
+    name: "Contoh Pelanggan",
+    city: "Tasikmalaya",
+    text: "Manisnya pas untuk teh pagi dan tidak meninggalkan rasa pahit di lidah.",
+    email: "pelanggan@example.com",
+  });
+  assert.match(first.entry.id, /^[0-9a-f]{12}$/);
+  assert.equal(second.entry.email, "");
+  assert.equal(spam.error, 'unknown product "amissa-kopi"');
+});
+
+test("the same submission always gets the same id", () => {
+  const submission = {
+    _date: "2025-06-02T09:15:00.000Z",
+    product: "amissa-250gr",
+    rating: "5",
+    name: "  Ani ",
+    review: "Enak\n sekali",
+  };
+
+  assert.equal(
+    normalizeSubmission(submission, PRODUCT_IDS).entry.id,
+    normalizeSubmission({ ...submission, name: "Ani" }, PRODUCT_IDS).entry.id
+  );
+  assert.equal(
+    normalizeSubmission({ ...submission, rating: "0" }, PRODUCT_IDS).error,
+    'invalid rating "0"'
+  );
+});
+
+test("publishes approved reviews without e-mail addresses", (t) => {
+  const root = makeSiteRoot(t);
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+
+  moderateReviews({ root, queue: QUEUE_FILE });
+
+  const moderation = readJSON(root, "reviews-moderation.json");
+  assert.deepEqual(
+    moderation.entries.map((entry) => entry.status),
+    ["pending", "pending"]
+  );
+  assert.deepEqual(readJSON(root, "assets/data/reviews.json").reviews, []);
+
+  // Importing the same export again adds nothing
+  moderateReviews({ root, queue: QUEUE_FILE });
+  assert.equal(readJSON(root, "reviews-moderation.json").entries.length, 2);
+
+  moderation.entries[0].status = "approved";
+  moderation.entries[1].status = "rejected";
+  writeJSON(root, "reviews-moderation.json", moderation);
+  moderateReviews({ root });
+
+  const { version, reviews } = readJSON(root, "assets/data/reviews.json");
+  assert.equal(version, 1);
+  assert.deepEqual(reviews, [
+    {
+      id: moderation.entries[0].id,
+      product: "amissa-250gr",
+      rating: 5,
+      name: "Contoh Pelanggan",
+      city: "Tasikmalaya",
+      text: "Manisnya pas untuk teh pagi dan tidak meninggalkan rasa pahit di lidah.",
+      date: "2025-06-02",
+    },
+  ]);
+
+  // Rejecting a published review takes it down again
+  moderation.entries[0].status = "rejected";
+  writeJSON(root, "reviews-moderation.json", moderation);
+  moderateReviews({ root });
+  assert.deepEqual(readJSON(root, "assets/data/reviews.json").reviews, []);
+});
+
+test("refuses unknown statuses", (t) => {
+  const root = makeSiteRoot(t);
+  writeJSON(root, "reviews-moderation.json", {
+    entries: [{ id: "a", status: "maybe" }],
+  });
+
+  assert.throws(() => moderateReviews({ root }), /status "maybe"/);
+});
@@ -0,0 +1,41 @@
+/**
+ * WhatsApp order message and marketplace links in assets/js/main.js
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./support/load-main");
+
+test("order message lists items and quantities without prices", () => {
+  const main = loadMain({ page: "product.html" });
+  const message = main.buildOrderMessage([
+    { id: "amissa-250gr", name: "Amissa 250gr", quantity: 2 },
+    { id: "amissa-1kg", name: "Amissa 1kg", quantity: 1 },
+  ]);
+
+  assert.match(message, /1\. Amissa 250gr x2\n2\. Amissa 1kg x1\n/);
+  assert.doesNotMatch(message, /Rp|Subtotal/);
+});
+
+test("order message totals only when every item has a price", () => {
+  const main = loadMain({ page: "product.html" });
+  const priced = main.buildOrderMessage([
+    { id: "a", name: "A", price: 10000, quantity: 2 },
+  ]);
+  const partial = main.buildOrderMessage([
+    { id: "a", name: "A", price: 10000, quantity: 2 },
+    { id: "b", name: "B", quantity: 1 },
+  ]);
+
+  assert.match(priced, /1\. A x2 = Rp\s?20\.000/);
+  assert.match(priced, /Subtotal: Rp\s?20\.000/);
+  assert.doesNotMatch(partial, /Rp|Subtotal/);
+});
+
+test("marketplace buttons need a listing URL", () => {
+  const main = loadMain({ page: "product.html" });
+
+  assert.equal(main.isListingUrl("https://tokopedia.com"), false);
+  assert.equal(main.isListingUrl("https://id.shp.ee/ABUXY4Y"), true);
+  assert.equal(main.isListingUrl(undefined), false);
+});
@@ -0,0 +1,94 @@
+/**
+ * Offline submission queue in assets/js/main.js against a local stub
+ * endpoint
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./support/load-main");
+const { startStubServer, parseMultipart } = require("./support/stub-server");
+
+const FAST = { retryDelay: 5, timeout: 200 };
+
+test("submission queue", async (t) => {
+  const server = await startStubServer();
+  t.after(() => server.close());
+
+  await t.test("offline submissions are queued, then sent", async () => {
+    const main = loadMain({ page: "product.html", online: false });
+    const result = await main.sendOrQueueSubmission(
+      "wholesale",
+      { business: "DMY Café" },
+      { endpoint: server.url, ...FAST }
+    );
+
+    assert.equal(result.queued, true);
+    assert.equal(main.loadSubmissionQueue().length, 1);
+
+    main.navigator.onLine = true;
+    const before = server.requests.length;
+    await main.flushSubmissionQueue();
+
+    assert.equal(server.requests.length - before, 1);
+    assert.equal(main.loadSubmissionQueue().length, 0);
+  });
+
+  await t.test("flushed entries report the page they came from", async () => {
+    const product = loadMain({ page: "product.html", online: false });
+    await product.sendOrQueueSubmission(
+      "contact",
+      { name: "Ani" },
+      { endpoint: server.url, ...FAST }
+    );
+
+    // Same storage, flushed later from the home page
+    const home = loadMain({ page: "index.html" });
+    home.localStorage = product.localStorage;
+    await home.flushSubmissionQueue();
+
+    assert.equal(parseMultipart(server.requests.at(-1))._page, "product");
+  });
+
+  await t.test("unreachable endpoints queue after the retries", async () => {
+    const main = loadMain();
+    server.reply({ status: 503 }, { status: 503 }, { status: 503 });
+
+    const result = await main.sendOrQueueSubmission(
+      "contact",
+      { name: "Ani" },
+      { endpoint: server.url, ...FAST }
+    );
+
+    assert.equal(result.queued, true);
+    assert.equal(main.loadSubmissionQueue().length, 1);
+  });
+
+  await t.test("a flush stops at the first network failure", async () => {
+    const main = loadMain({ online: false });
+    for (const name of ["Ani", "Budi"]) {
+      await main.sendOrQueueSubmission(
+        "contact",
+        { name },
+        { endpoint: server.url, ...FAST, retries: 0 }
+      );
+    }
+
+    main.navigator.onLine = true;
+    server.reply({ status: 200 }, { status: 503 });
+    await main.flushSubmissionQueue();
+
+    const queue = main.loadSubmissionQueue();
+    assert.equal(queue.length, 1);
+    assert.equal(queue[0].payload.name, "Budi");
+  });
+
+  await t.test("mailto submissions are never queued", async () => {
+    const main = loadMain({ online: false });
+    const result = await main.sendOrQueueSubmission("contact", {
+      name: "Ani",
+    });
+
+    assert.equal(result.fallback, true);
+    assert.equal(main.loadSubmissionQueue().length, 0);
+  });
+});
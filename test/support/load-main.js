@@ -0,0 +1,109 @@
+/**
+ * Loads assets/js/main.js into a Node vm context with just enough of the
+ * browser (document, window, localStorage, navigator) for its non-DOM parts:
+ * form transports, the submission queue and the helpers they use. Function
+ * declarations are properties of the returned context; `evaluate` reads
+ * top-level consts such as FORM_TRANSPORT_CONFIG.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const MAIN_FILE = path.resolve(__dirname, "../../assets/js/main.js");
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
+
+function createEventTarget() {
+  const listeners = {};
+  return {
+    addEventListener(type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners[type] = (listeners[type] || []).filter((l) => l !== listener);
+    },
+    dispatchEvent(event) {
+      (listeners[event.type] || []).forEach((listener) => listener(event));
+      return true;
+    },
+  };
+}
+
+/**
+ * Fresh main.js context for a page such as "product.html"
+ */
+function loadMain({ page = "index.html", online = true } = {}) {
+  const document = {
+    ...createEventTarget(),
+    readyState: "loading",
+    hidden: false,
+    documentElement: { lang: "id" },
+    body: { style: {} },
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+
+  const context = {
+    ...createEventTarget(),
+    console: { log() {}, warn() {}, error() {}, info() {} },
+    document,
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    navigator: { onLine: online, language: "id-ID" },
+    location: {
+      href: `https://example.test/${page}`,
+      pathname: `/${page}`,
+      search: "",
+      hash: "",
+    },
+    history: { state: null, pushState() {}, replaceState() {}, back() {} },
+    innerWidth: 1024,
+    fetch,
+    FormData,
+    AbortController,
+    URL,
+    URLSearchParams,
+    CustomEvent: class CustomEvent {
+      constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    },
+    Event: class Event {
+      constructor(type) {
+        this.type = type;
+      }
+    },
+    Intl,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+  };
+  context.window = context;
+  context.self = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(MAIN_FILE, "utf8"), context, {
+    filename: MAIN_FILE,
+  });
+
+  // The DOM-bound parts are not under test
+  context.showNotification = () => {};
+  context.trackEvent = () => {};
+  context.evaluate = (expression) => vm.runInContext(expression, context);
+
+  return context;
+}
+
+module.exports = { loadMain };
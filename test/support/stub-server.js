@@ -0,0 +1,65 @@
+/**
+ * Local HTTP endpoint standing in for Formspree or a JSON form API. Each
+ * request gets the next queued reply ({ status, body, delay }), or 200 with
+ * { ok: true } once the queue is empty; requests are recorded with their
+ * parsed body.
+ */
+
+const http = require("http");
+
+async function startStubServer() {
+  const requests = [];
+  const replies = [];
+
+  const server = http.createServer((request, response) => {
+    let raw = "";
+    request.on("data", (chunk) => (raw += chunk));
+    request.on("end", () => {
+      requests.push({
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        body: raw,
+      });
+
+      const reply = replies.shift() || { status: 200, body: { ok: true } };
+      setTimeout(() => {
+        if (response.destroyed) return;
+        response.writeHead(reply.status, {
+          "Content-Type": "application/json",
+        });
+        response.end(JSON.stringify(reply.body || {}));
+      }, reply.delay || 0);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/submit`,
+    requests,
+    reply: (...items) => replies.push(...items),
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+/**
+ * Fields of a multipart/form-data request body
+ */
+function parseMultipart(request) {
+  const boundary = /boundary=(.+)$/.exec(request.headers["content-type"])[1];
+  const fields = {};
+
+  request.body.split(`--${boundary}`).forEach((part) => {
+    const match = /name="([^"]+)"\r\n\r\n([\s\S]*)\r\n$/.exec(part);
+    if (match) fields[match[1]] = match[2];
+  });
+
+  return fields;
+}
+
+module.exports = { startStubServer, parseMultipart };
@@ -0,0 +1,182 @@
+/**
+ * scripts/sync-social-feed.js against the fixture and a local stub API,
+ * writing into temporary directories
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const ROOT = path.resolve(__dirname, "..");
+const SCRIPT = path.join(ROOT, "scripts/sync-social-feed.js");
+const FEED_FILE = "assets/data/social-feed.json";
+
+function makeTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "amissa-social-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function readFeed(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, FEED_FILE), "utf8"));
+}
+
+// Runs the script in its own process; tokens and API URLs come only from env
+function runSync(args, env = {}) {
+  const {
+    INSTAGRAM_ACCESS_TOKEN,
+    TIKTOK_ACCESS_TOKEN,
+    INSTAGRAM_API_URL,
+    TIKTOK_API_URL,
+    ...base
+  } = process.env;
+  return execFile(process.execPath, [SCRIPT, ...args], {
+    cwd: ROOT,
+    env: { ...base, ...env },
+  });
+}
+
+/**
+ * Instagram and TikTok endpoints plus one thumbnail. `tiktokStatus` lets a
+ * test make the TikTok request fail.
+ */
+async function startStubApi() {
+  const state = { tiktokStatus: 200, requests: [] };
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    state.requests.push({ path: url.pathname, headers: request.headers });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    if (url.pathname === "/me/media") {
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(
+        JSON.stringify({
+          data: [
+            {
+              id: "1",
+              caption: "  Panen singkong  ",
+              media_type: "IMAGE",
+              media_url: `${base}/media/1`,
+              permalink: "https://www.instagram.com/p/ONE/",
+              timestamp: "2025-06-01T08:00:00+0000",
+            },
+          ],
+        })
+      );
+    } else if (url.pathname === "/video/list/") {
+      response.writeHead(state.tiktokStatus, {
+        "Content-Type": "application/json",
+      });
+      response.end(
+        JSON.stringify({
+          data: {
+            videos: [
+              {
+                id: "7",
+                title: "Es kopi susu",
+                cover_image_url: `${base}/media/7`,
+                share_url: "https://www.tiktok.com/@amissa/video/7",
+                create_time: 1746000000,
+              },
+            ],
+          },
+          error: { code: "ok" },
+        })
+      );
+    } else if (url.pathname.startsWith("/media/")) {
+      response.writeHead(200, { "Content-Type": "image/webp" });
+      response.end(Buffer.from("RIFF0000WEBP"));
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("a fixture run writes only into --out", async (t) => {
+  const out = makeTempDir(t);
+  const siteFeed = path.join(ROOT, FEED_FILE);
+  const before = fs.existsSync(siteFeed) && fs.statSync(siteFeed).mtimeMs;
+
+  await runSync([
+    "--fixture",
+    "scripts/fixtures/social-api.json",
+    "--out",
+    out,
+  ]);
+
+  const feed = readFeed(out);
+  assert.equal(feed.version, 1);
+  assert.deepEqual(
+    feed.posts.map((post) => `${post.platform}:${post.type}`),
+    ["instagram:image", "instagram:video", "tiktok:video", "instagram:album"]
+  );
+  assert.equal(feed.posts[1].image, "assets/images/team/gambar5.jpg");
+  assert.equal(
+    fs.existsSync(siteFeed) && fs.statSync(siteFeed).mtimeMs,
+    before
+  );
+});
+
+test("--out needs a directory", async () => {
+  await assert.rejects(runSync(["--out"]), (error) =>
+    /--out needs a directory/.test(error.stderr)
+  );
+});
+
+test("syncs from the API and keeps old posts of a failing platform", async (t) => {
+  const out = makeTempDir(t);
+  const api = await startStubApi();
+  t.after(() => api.close());
+
+  const env = {
+    INSTAGRAM_ACCESS_TOKEN: "ig-token",
+    TIKTOK_ACCESS_TOKEN: "tt-token",
+    INSTAGRAM_API_URL: api.url,
+    TIKTOK_API_URL: api.url,
+  };
+
+  await runSync(["--out", out], env);
+
+  let feed = readFeed(out);
+  assert.deepEqual(
+    feed.posts.map((post) => post.image),
+    [
+      "assets/images/social/instagram-1.webp",
+      "assets/images/social/tiktok-7.webp",
+    ]
+  );
+  assert.equal(feed.posts[0].caption, "Panen singkong");
+  assert.ok(fs.existsSync(path.join(out, feed.posts[1].image)));
+
+  const tiktok = api.state.requests.find((r) => r.path === "/video/list/");
+  assert.equal(tiktok.headers.authorization, "Bearer tt-token");
+
+  // A thumbnail no post uses any more is pruned on the next run
+  const stale = path.join(out, "assets/images/social/instagram-0.jpg");
+  fs.writeFileSync(stale, "");
+  api.state.tiktokStatus = 500;
+
+  await runSync(["--out", out], env);
+
+  feed = readFeed(out);
+  assert.deepEqual(
+    feed.posts.map((post) => post.id),
+    ["1", "7"]
+  );
+  assert.equal(fs.existsSync(stale), false);
+});
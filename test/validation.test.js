@@ -0,0 +1,84 @@
+/**
+ * Field validation rules in assets/js/main.js, on plain field objects
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadMain } = require("./support/load-main");
+
+function createField({ value = "", attributes = {}, dataset = {} } = {}) {
+  return {
+    type: "text",
+    value,
+    required: "required" in attributes,
+    dataset,
+    hasAttribute: (name) => name in attributes,
+    getAttribute: (name) => (name in attributes ? attributes[name] : null),
+  };
+}
+
+function loadValidation() {
+  const main = loadMain();
+  const errors = new Map();
+  main.showFieldError = (field, message) => errors.set(field, message);
+  main.clearFieldError = (field) => errors.delete(field);
+  return { main, errors };
+}
+
+test("data-validate keeps | inside a pattern", () => {
+  const { main } = loadValidation();
+  const field = createField({
+    dataset: { validate: "required|minlength:3|pattern:BDG|JKT" },
+  });
+
+  // Spread: the arrays come from the vm context, with its own Array
+  assert.deepEqual(
+    [...main.getFieldRules(field)].map((rule) => [...rule]),
+    [
+      ["required", null],
+      ["minlength", "3"],
+      ["pattern", "BDG|JKT"],
+    ]
+  );
+});
+
+test("the pattern rule uses its argument", () => {
+  const { main } = loadValidation();
+  const field = createField({ dataset: { validate: "pattern:BDG|JKT" } });
+
+  field.value = "JKT";
+  assert.equal(main.validateField(field), true);
+  field.value = "SBY";
+  assert.equal(main.validateField(field), false);
+});
+
+test("the pattern attribute still applies without an argument", () => {
+  const { main } = loadValidation();
+  const field = createField({ value: "12a", attributes: { pattern: "\\d+" } });
+
+  assert.equal(main.validateField(field), false);
+});
+
+test("validateField answers synchronously with a boolean", () => {
+  const { main, errors } = loadValidation();
+  const field = createField({ attributes: { required: "" } });
+
+  assert.equal(main.validateField(field), false);
+  assert.equal(errors.has(field), true);
+
+  field.value = "Ani";
+  assert.equal(main.validateField(field), true);
+  assert.equal(errors.has(field), false);
+});
+
+test("async rules only count in validateFieldAsync", async () => {
+  const { main } = loadValidation();
+  main.registerValidationRule("taken", async (value) => value !== "ani");
+  const field = createField({ value: "ani", dataset: { validate: "taken" } });
+
+  assert.equal(main.validateField(field), true);
+  assert.equal(await main.validateFieldAsync(field), false);
+
+  field.value = "budi";
+  assert.equal(await main.validateFieldAsync(field), true);
+});